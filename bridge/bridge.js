@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * Gimbal Serial Bridge
+ * Owns the serial port on the PC next to the gimbal and relays its byte stream
+ * to one browser over a WebSocket (the app's 'Remote Bridge' link), so every
+ * feature built on sendMsg/readMsg works from another desk.
+ *
+ * Binary frames carry raw serial bytes in both directions. Text frames are JSON
+ * status messages from the bridge: { type: 'hello', device, baudRate } once the
+ * port is open, { type: 'error', message } before the bridge closes the session.
+ *
+ * With --simulator the bridge serves the app's own simulated gimbal
+ * (js/gimbalSimulator.js) instead of a port, for testing without hardware.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ==================== Configuration ====================
+
+const DEFAULT_OPTIONS = {
+  serial: null,        // serial port path (COM3, /dev/ttyUSB0)
+  baudRate: 115200,    // same as SERIAL_BAUD_RATE in the app
+  simulator: 0,        // simulated unit number, 0 = use the serial port
+  host: '127.0.0.1',   // listen address; use 0.0.0.0 to accept other PCs
+  port: 8765,
+  token: null,         // when set, clients must connect with ?token=<token>
+  origins: [],         // page origins allowed besides file:// and localhost (the deployed app)
+};
+
+// Page origins always allowed: the app opened from disk (file:// sends 'null') or served on this PC
+const LOCAL_ORIGIN = /^(null|https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?)$/;
+
+const USAGE = `Usage: node bridge.js (--serial <path> | --simulator [unit]) [options]
+
+  --serial <path>     Serial port connected to the gimbal (e.g. COM3, /dev/ttyUSB0)
+  --simulator [unit]  Serve the built-in simulated gimbal instead (unit 1 by default)
+  --baud <rate>       Baud rate (default ${DEFAULT_OPTIONS.baudRate})
+  --host <address>    Listen address (default ${DEFAULT_OPTIONS.host}; 0.0.0.0 for remote desks)
+  --port <number>     WebSocket port (default ${DEFAULT_OPTIONS.port})
+  --token <secret>    Require ws://host:port/?token=<secret>
+  --origin <url>      Also accept the app served from this origin (e.g. https://lab.example); repeatable
+  --list              List the serial ports and exit
+  --help              Show this text`;
+
+// WebSocket close codes sent to the browser (the reason is shown to the user)
+const CLOSE_NORMAL = 1000;
+const CLOSE_POLICY = 1008;     // wrong token
+const CLOSE_DEVICE_ERROR = 1011;
+const CLOSE_BUSY = 1013;       // another client holds the port
+
+// ==================== Command Line ====================
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options (DEFAULT_OPTIONS plus list/help flags)
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS, list: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--serial': options.serial = next(); break;
+      case '--simulator':
+        options.simulator = /^\d+$/.test(argv[i + 1] || '') ? Number(argv[++i]) : 1;
+        break;
+      case '--baud': options.baudRate = Number(next()); break;
+      case '--host': options.host = next(); break;
+      case '--port': options.port = Number(next()); break;
+      case '--token': options.token = next(); break;
+      case '--origin': options.origins = [...options.origins, new URL(next()).origin]; break;
+      case '--list': options.list = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  if (!options.list && !options.help && !options.serial && !options.simulator) {
+    throw new Error('Give --serial <path> or --simulator');
+  }
+  if (!(options.baudRate > 0) || !(options.port > 0)) {
+    throw new Error('Baud rate and port must be positive numbers');
+  }
+  return options;
+}
+
+/**
+ * Log a line with a time stamp
+ * @param {string} message
+ */
+function log(message) {
+  console.log(`${new Date().toLocaleTimeString()} ${message}`);
+}
+
+// ==================== Device Side ====================
+
+// Simulated gimbals loaded from the app's own scripts, one per unit, kept
+// between sessions so their state survives a reconnect like hardware
+let simulatorContext = null;
+
+/**
+ * Load constants.js and gimbalSimulator.js into a sandbox that looks like the page
+ * @returns {Object} Sandbox global with createSimulatedPort/getSimulatedGimbal
+ */
+function loadSimulator() {
+  if (simulatorContext) return simulatorContext;
+  const context = vm.createContext({
+    console, setTimeout, clearTimeout, setInterval, clearInterval, performance,
+    ReadableStream, WritableStream, TextEncoder, TextDecoder,
+  });
+  context.window = context;
+  ['constants.js', 'gimbalSimulator.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  simulatorContext = context;
+  return context;
+}
+
+/**
+ * Open a session on the simulated gimbal
+ * @param {number} unit - Simulated unit number
+ * @param {number} baudRate - Wire speed modelled by the simulator
+ * @returns {Promise<Object>} Device channel (see openDevice)
+ */
+async function openSimulatedDevice(unit, baudRate) {
+  const sim = loadSimulator();
+  const port = sim.createSimulatedPort(sim.getSimulatedGimbal(unit));
+  await port.open({ baudRate });
+  const reader = port.readable.getReader();
+  const writer = port.writable.getWriter();
+  let onData = () => {};
+
+  (async () => {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onData(Buffer.from(value));
+    }
+  })().catch(() => { /* closed */ });
+
+  return {
+    description: `simulated gimbal ${unit}`,
+    write: (bytes) => writer.write(new Uint8Array(bytes)),
+    setDataHandler: (handler) => { onData = handler; },
+    setCloseHandler: () => { /* the simulator never goes away */ },
+    async close() {
+      reader.releaseLock();
+      writer.releaseLock();
+      await port.close();
+    },
+  };
+}
+
+/**
+ * Open a session on a hardware serial port
+ * @param {string} portPath
+ * @param {number} baudRate
+ * @returns {Promise<Object>} Device channel (see openDevice)
+ */
+async function openSerialDevice(portPath, baudRate) {
+  const { SerialPort } = require('serialport');
+  const port = new SerialPort({ path: portPath, baudRate, autoOpen: false });
+  await new Promise((resolve, reject) => port.open(error => (error ? reject(error) : resolve())));
+  let onClose = () => {};
+  let closing = false;
+  port.on('close', () => { if (!closing) onClose('Serial port closed'); });
+  port.on('error', error => { if (!closing) onClose(`Serial port error: ${error.message}`); });
+
+  return {
+    description: portPath,
+    write: (bytes) => new Promise((resolve, reject) => {
+      port.write(bytes, error => (error ? reject(error) : resolve()));
+    }),
+    setDataHandler: (handler) => { port.on('data', handler); },
+    setCloseHandler: (handler) => { onClose = handler; },
+    close() {
+      closing = true;
+      return new Promise(resolve => (port.isOpen ? port.close(() => resolve()) : resolve()));
+    },
+  };
+}
+
+/**
+ * Open the device the bridge was started for
+ * @param {Object} options
+ * @returns {Promise<{description: string, write: (bytes: Buffer) => Promise<void>,
+ *   setDataHandler: (handler: (bytes: Buffer) => void) => void,
+ *   setCloseHandler: (handler: (reason: string) => void) => void, close: () => Promise<void>}>}
+ */
+function openDevice(options) {
+  return options.simulator
+    ? openSimulatedDevice(options.simulator, options.baudRate)
+    : openSerialDevice(options.serial, options.baudRate);
+}
+
+// ==================== WebSocket Side ====================
+
+/**
+ * Whether a client may connect, by the Origin its browser sent. Any page open in
+ * a browser on a PC that reaches the bridge can open a WebSocket to it, so only
+ * the app's own pages are accepted. Clients that are not browsers send no Origin.
+ * @param {string|undefined} origin - Origin header of the upgrade request
+ * @param {Array<string>} allowed - Extra origins (--origin)
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin, allowed) {
+  return origin === undefined || LOCAL_ORIGIN.test(origin) || allowed.includes(origin);
+}
+
+/**
+ * Start the bridge: one client at a time owns the device; the port is opened
+ * when a client connects and closed when it leaves (like the app's open/close)
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} The WebSocket server
+ */
+function startBridge(options) {
+  const { WebSocketServer } = require('ws');
+  const server = new WebSocketServer({
+    host: options.host,
+    port: options.port,
+    verifyClient: ({ origin, req }, done) => {
+      if (isAllowedOrigin(origin, options.origins)) return done(true);
+      log(`Refused ${req.socket.remoteAddress}: page origin ${origin} not allowed`);
+      done(false, 403, 'Origin not allowed');
+    },
+  });
+  let session = null;
+
+  server.on('connection', async (socket, request) => {
+    const client = request.socket.remoteAddress;
+    const token = new URL(request.url, 'ws://bridge').searchParams.get('token');
+
+    if (options.token && token !== options.token) {
+      log(`Refused ${client}: wrong token`);
+      socket.close(CLOSE_POLICY, 'Wrong bridge token');
+      return;
+    }
+    // A client that reconnects right after closing waits for its old session to release the port
+    if (session && session.closing) await session.closing;
+    if (socket.readyState !== socket.OPEN) return;
+    if (session) {
+      log(`Refused ${client}: in use by ${session.client}`);
+      socket.close(CLOSE_BUSY, `Bridge is in use by ${session.client}`);
+      return;
+    }
+
+    const current = { client, device: null, closing: null };
+    session = current;
+    const endSession = (code, reason) => {
+      if (session !== current || current.closing) return current.closing;
+      current.closing = (async () => {
+        if (socket.readyState === socket.OPEN) socket.close(code, reason);
+        if (current.device) await current.device.close().catch(() => {});
+        session = null;
+        log(`Session of ${client} ended: ${reason}`);
+      })();
+      return current.closing;
+    };
+    socket.on('close', () => endSession(CLOSE_NORMAL, 'client disconnected'));
+
+    try {
+      current.device = await openDevice(options);
+    } catch (error) {
+      log(`Cannot open the device for ${client}: ${error.message}`);
+      if (session === current) session = null;
+      socket.close(CLOSE_DEVICE_ERROR, `Cannot open ${options.serial || 'the simulator'}: ${error.message}`);
+      return;
+    }
+    if (current.closing) {
+      await current.device.close().catch(() => {}); // the client left while the port was opening
+      return;
+    }
+
+    current.device.setDataHandler(bytes => {
+      if (socket.readyState === socket.OPEN) socket.send(bytes);
+    });
+    current.device.setCloseHandler(reason => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type: 'error', message: reason }));
+      endSession(CLOSE_DEVICE_ERROR, reason);
+    });
+    socket.on('message', (data, isBinary) => {
+      if (!isBinary) return; // the browser only sends serial bytes
+      current.device.write(data).catch(error => {
+        socket.send(JSON.stringify({ type: 'error', message: `Write failed: ${error.message}` }));
+        endSession(CLOSE_DEVICE_ERROR, `write failed: ${error.message}`);
+      });
+    });
+
+    socket.send(JSON.stringify({ type: 'hello', device: current.device.description, baudRate: options.baudRate }));
+    log(`${client} connected to ${current.device.description}`);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('listening', () => {
+      log(`Bridge listening on ws://${options.host}:${options.port}` +
+        ` for ${options.simulator ? `simulated gimbal ${options.simulator}` : options.serial}`);
+      resolve(server);
+    });
+    server.once('error', reject);
+  });
+}
+
+/**
+ * Print the serial ports of this PC
+ */
+async function listSerialPorts() {
+  const { SerialPort } = require('serialport');
+  const ports = await SerialPort.list();
+  if (ports.length === 0) {
+    console.log('No serial ports found');
+    return;
+  }
+  ports.forEach(port => {
+    console.log(`${port.path}\t${port.manufacturer || ''}\t${port.serialNumber || ''}`);
+  });
+}
+
+// ==================== Entry Point ====================
+
+if (require.main === module) {
+  (async () => {
+    let options;
+    try {
+      options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    if (options.list) {
+      await listSerialPorts();
+      return;
+    }
+    await startBridge(options);
+  })().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, startBridge, openDevice };
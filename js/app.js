@@ -34,6 +34,11 @@ document.addEventListener('DOMContentLoaded', function () {
   const savedTheme = localStorage.getItem('gimbal-theme') || 'dark';
   updateIcon(savedTheme);
   updateLynxImage(savedTheme);
+  populateTransportSelect();
+  updateTelemetryFormatIndicator();
+  initGamepadControl();
+  // Auto-connect only after hearing whether another tab already owns the connection
+  initTabCoordination().then(initSerialHotPlug);
 });
 
 window.toggleTheme = toggleTheme;
@@ -57,50 +62,115 @@ let firstValidRead = false;
 let angleChangeFailCount = 0;
 
 
+// Set while waiting for a lost (or last session's) device: { recording }
+let resumeAfterReconnect = null;
+
 let joystickTr = 0;
 let joystickEl = 0;
 let changeDir = false;
 
 // Replace angleData, currentData, timeData arrays with rows object
-let rows = {
-  time: [],
-  Tr_angle: [],
-  Tr_velocity: [],
-  Tr_current: [],
-  El_angle: [],
-  El_velocity: [],
-  El_current: [],
-  Tr_cmd_angle: [],
-  El_cmd_angle: [],
-  status: [],
-};
+let rows = createEmptyRows(); // one array per recorded register in REGISTER_MAP, plus time
 
 
 // ==================== UI-Specific Serial Functions ====================
 
 /**
- * Emergency stop - send stop commands when stop sign is clicked
+ * Emergency stop - send stop commands when stop sign is clicked.
+ * The commands jump the serial queue, cancel pending routine traffic
+ * and abort any running procedure (IBIT, friction test, commutation, ...).
  */
 async function stopSignClick() {
-  if (!serialPort) return;
+  if (!serialPort) {
+    if (isTabMirror()) requestRemoteEmergencyStop();
+    return;
+  }
+  if (intervalMove) {
+    clearInterval(intervalMove);
+    intervalMove = null;
+  }
   for (let i = 0; i < 5; i++) {
-    sendMsg('kl;r1[1]=0;\r');
+    sendMsg('kl;r1[1]=0;\r', { priority: SERIAL_PRIORITY.EMERGENCY });
+    emergencyStopOtherDevices();
     if (i < 4) {
       await new Promise(resolve => setTimeout(resolve, 50));
     }
   }
   turnOffMotor();
+  updateMovementStatus('Emergency stop', 'error');
 }
 
 /**
  * Update the connection stop sign overlay (shown when connected)
+ * and lock the link selector while a connection is open
  */
 function updateConnectionIndicator() {
   const stopSign = document.getElementById('emergency-stop');
   const toggle = document.getElementById('connection-toggle');
   if (stopSign && toggle) {
-    stopSign.classList.toggle('connected', toggle.checked);
+    // A mirror tab keeps the stop sign: it asks the owner tab to stop
+    stopSign.classList.toggle('connected', toggle.checked || isTabMirror());
   }
+  const transportSelect = document.getElementById('transport-select');
+  if (transportSelect && toggle) {
+    transportSelect.disabled = toggle.checked;
+  }
+  updateTabOwnership();
+}
+
+/**
+ * Fill the link selector from the transport registry and select the saved one
+ */
+function populateTransportSelect() {
+  const select = document.getElementById('transport-select');
+  if (!select) return;
+  select.innerHTML = '';
+  Object.entries(SERIAL_TRANSPORTS).forEach(([name, transport]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = transport.label;
+    select.appendChild(option);
+  });
+  select.value = getSerialTransport().name;
+}
+
+/**
+ * Show the telemetry format setting, and the detected format next to 'Auto'
+ * @param {string} [active] - Format in use (defaults to the current connection's)
+ */
+function updateTelemetryFormatIndicator(active = getTelemetryFormat().active) {
+  const select = document.getElementById('telemetry-format-select');
+  if (!select) return;
+  select.value = getTelemetryFormat().setting;
+  const autoOption = select.querySelector('option[value="auto"]');
+  if (autoOption) {
+    autoOption.textContent = active ? `Auto (${active})` : 'Auto';
+  }
+}
+
+/**
+ * Show the connected controller's identity in the sidebar
+ * @param {Object|null} identity - From identifyDevice(); null clears the display
+ */
+function updateDeviceIdentityDisplay(identity) {
+  const container = document.getElementById('device-identity');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!identity) return;
+
+  const lines = [
+    `SN: ${identity.serialNumber ?? 'unknown'}`,
+    `VR: ${identity.driveVersion ?? 'unknown'}`,
+  ];
+  lines.forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    container.appendChild(line);
+  });
+  const firmware = document.createElement('div');
+  firmware.textContent = `FW: ${identity.firmwareVersion ?? 'unknown'}${identity.supported ? '' : ' (unsupported)'}`;
+  if (!identity.supported) firmware.classList.add('unsupported');
+  container.appendChild(firmware);
 }
 
 /**
@@ -109,6 +179,13 @@ function updateConnectionIndicator() {
  */
 async function connectToggle(button) {
   if (button.checked) {
+    // Another tab owns the port: offer to take control instead
+    if (isTabMirror()) {
+      button.checked = false;
+      updateConnectionIndicator();
+      await requestTabControl();
+      return;
+    }
     const isConnected = await requestSerialPort();
     if (!isConnected) {
       //document.getElementById('connection-toggle').checked = false;
@@ -122,14 +199,124 @@ async function connectToggle(button) {
     //   document.getElementById('motor-toggle').checked = true;
     // }
 
+    resumeAfterReconnect = null;
+    localStorage.setItem('gimbal-auto-connect', 'true');
+    registerSerialDevice();
     showLiveData(true);
   } else {
+    resumeAfterReconnect = null;
+    localStorage.removeItem('gimbal-auto-connect');
     await showLiveData(false);
     // await sendMsg('eo=1;');
     await sendMsg('R1[3]=0\r');
-    closeSerialPort();
+    await closeSerialPort();
+    // Units added in the device manager are disconnected too
+    await closeAllGimbalDevices();
+    updateDeviceIdentityDisplay(null);
+  }
+  updateConnectionIndicator();
+}
+
+// ==================== Hot-Plug ====================
+
+/**
+ * Listen for USB serial devices coming and going, and reconnect on page load
+ * if the previous session ended connected
+ */
+function initSerialHotPlug() {
+  if ('serial' in navigator) {
+    navigator.serial.addEventListener('disconnect', (event) => {
+      if (event.target === serialPort) handleSerialLinkLost();
+    });
+    navigator.serial.addEventListener('connect', () => {
+      if (resumeAfterReconnect && !serialPort) handleSerialPortReturned();
+    });
+  }
+
+  if (localStorage.getItem('gimbal-auto-connect') && !isTabMirror()) {
+    resumeAfterReconnect = { recording: false };
+    handleSerialPortReturned();
+  }
+}
+
+/**
+ * The open port vanished: stop polling, recording and procedures, show the
+ * link as down and wait for the device to return
+ */
+async function handleSerialLinkLost() {
+  if (!serialPort) return;
+
+  const wasRecording = shouldRecordData;
+  resumeAfterReconnect = { recording: wasRecording };
+  abortProcedures('Connection lost');
+  if (intervalMove) {
+    clearInterval(intervalMove);
+    intervalMove = null;
   }
+  await dropLostSerialPort();
+  await showLiveData(false);
+
+  if (wasRecording) {
+    shouldRecordData = false;
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.style.color = '';
+  }
+
+  const connectionToggle = document.getElementById('connection-toggle');
+  if (connectionToggle) connectionToggle.checked = false;
+  const motorToggleElement = document.getElementById('motor-toggle');
+  if (motorToggleElement) motorToggleElement.checked = false;
+  updateConnectionIndicator();
+  updateDeviceIdentityDisplay(null);
+  updateMovementStatus('Connection lost - waiting for the device to return', 'error');
+}
+
+/**
+ * Reopen the remembered port without prompting and resume live data
+ * (and recording, if the link dropped while recording)
+ */
+async function handleSerialPortReturned() {
+  const resume = resumeAfterReconnect;
+  if (!resume || serialPort) return;
+  if (!await connectKnownSerialPort()) return;
+  resumeAfterReconnect = null;
+
+  const connectionToggle = document.getElementById('connection-toggle');
+  if (connectionToggle) connectionToggle.checked = true;
   updateConnectionIndicator();
+  registerSerialDevice();
+  await showLiveData(true);
+
+  if (resume.recording) {
+    shouldRecordData = true;
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.style.color = '#dc3545';
+  }
+  updateMovementStatus('Connected', 'ready');
+}
+
+/**
+ * Connect after another tab handed the port over (see requestTabControl)
+ * @returns {Promise<boolean>} True if connected
+ */
+async function connectAfterHandover() {
+  // The port was granted before, so it normally opens without prompting
+  if (!await connectKnownSerialPort() && !await requestSerialPort()) {
+    updateMovementStatus('Could not connect after taking control', 'error');
+    return false;
+  }
+  resumeAfterReconnect = null;
+  localStorage.setItem('gimbal-auto-connect', 'true');
+
+  const connectionToggle = document.getElementById('connection-toggle');
+  if (connectionToggle) connectionToggle.checked = true;
+  const motorToggleElement = document.getElementById('motor-toggle');
+  if (motorToggleElement) motorToggleElement.checked = false;
+  updateConnectionIndicator();
+  registerSerialDevice();
+  await showLiveData(true);
+  updateMovementStatus('Took control from another tab', 'ready');
+  return true;
 }
 
 /**
@@ -137,6 +324,11 @@ async function connectToggle(button) {
  * @param {HTMLElement} button - The motor toggle button element
  */
 function motorToggle(button) {
+  if (isTabMirror()) {
+    button.checked = !button.checked; // the owner tab's motor state stays shown
+    showTabMirrorNotice();
+    return;
+  }
   if (!serialPort) {
     button.checked = false;
     Swal.fire({
@@ -147,13 +339,13 @@ function motorToggle(button) {
     return;
   }
 
-  sendMsg("R1[3]=1\r");
-
   if (button.checked) {
+    sendMsg("R1[3]=1\r");
     sendMsg('R1[1]=1\r');
     console.log('Motor ON!');
   } else {
-    sendMsg('R1[1]=0\r');
+    // Motor off jumps the serial queue
+    sendMsg('R1[3]=1; R1[1]=0\r', { priority: SERIAL_PRIORITY.HIGH });
     console.log('Motor OFF!');
     // Stop any ongoing movement interval
     if (intervalMove) {
@@ -211,8 +403,6 @@ async function startTorqueTest() {
     document.getElementById('torque-test-button').classList.add('active');
   }
 
-  await ensureMotorOn();
-  
   // Get min/max angle values from inputs
   const minInput = document.getElementById('minAngleInput');
   const maxInput = document.getElementById('maxAngleInput');
@@ -221,14 +411,22 @@ async function startTorqueTest() {
   const maxAngle = parseFloat(maxInput.value);
   const velocity = parseFloat(velocityInput.value);
 
+  // The bare sp/pa/bg commands below move axis 1 (TR)
+  const limitReasons = [
+    limitAngle('tr', minAngle, 'reject').reason,
+    limitAngle('tr', maxAngle, 'reject').reason,
+    limitVelocity('tr', velocity, 'reject').reason,
+  ].filter(Boolean);
+  if (limitReasons.length > 0) {
+    reportMotionLimit('Torque test', limitReasons, true);
+    return;
+  }
+
+  await ensureMotorOn();
+
 
   // Reset data arrays
-  rows = {
-    time: [],
-    angle: [],
-    current: [],
-    torque: []
-  };
+  rows = createEmptyRows();
   shouldRecordData = false;
   startTime = Date.now();
 
@@ -239,9 +437,16 @@ async function startTorqueTest() {
 
   let cycleCount = -0.5;
   let movingToMax = false;
+  const signal = beginProcedure('Torque test');
   
   await sendMsg('sp=' + Math.floor(velocity * 728.178) + ';' + 'pa=' + Math.floor(minAngle * 728.178) + ';bg');
   intervalMove = setInterval(async () => {
+    if (signal.aborted) {
+      clearInterval(intervalMove);
+      intervalMove = null;
+      shouldRecordData = false;
+      return;
+    }
     if (movingToMax && Math.abs(angle - maxAngle) < 0.5) {
       // Reached max angle, move back to min
       sendMsg('pa=' + Math.floor(minAngle * 728.178) + ';bg');
@@ -264,6 +469,7 @@ async function startTorqueTest() {
 
       clearInterval(intervalMove);
       intervalMove = null;
+      endProcedure(signal);
       //shouldRecordData = false;
 
       applySignalProcessingToRows();
@@ -398,18 +604,7 @@ function recordData() {
     console.log('Recording started');
     
     // Reset the rows array
-    rows = {
-      time: [],
-      Tr_angle: [],
-      Tr_velocity: [],
-      Tr_current: [],
-      El_angle: [],
-      El_velocity: [],
-      El_current: [],
-      Tr_cmd_angle: [],
-      El_cmd_angle: [],
-      status: [],
-    };
+    rows = createEmptyRows();
     
     // Set start time to now
     startTime = Date.now();
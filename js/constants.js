@@ -27,6 +27,19 @@ const CURRENT_MAX = 10;
 const ANGLE_UPDATE_INTERVAL = 50; // milliseconds
 const MOVEMENT_INTERVAL = 200; // milliseconds
 const SERIAL_BAUD_RATE = 115200;
+const SERIAL_RESPONSE_TIMEOUT_MS = 100; // per-request wait for a complete reply
+const SERIAL_STALE_RESPONSE_MS = 1000;  // drop a timed-out reply that never completes
+const SERIAL_RESYNC_MS = 150;           // quiet period used to resynchronize framing
+
+// Serial command priorities (lower runs first). EMERGENCY and HIGH jump the queue
+// and cancel the wait of lower-priority work in flight; EMERGENCY also drops queued
+// NORMAL/POLL commands and aborts running procedures.
+const SERIAL_PRIORITY = {
+  EMERGENCY: 0,   // emergency stop
+  HIGH: 1,        // motor off, gamepad jog stop
+  NORMAL: 2,      // everything else
+  POLL: 3         // live data polling
+};
 
 // UI Configuration
 const SIDEBAR_WIDTH = 350;
@@ -34,6 +47,70 @@ const MOVEMENT_PANEL_WIDTH = 350;
 const PLOT_HEIGHT = 600;
 const PLOT_CONTAINER_HEIGHT = 350;
 
+// Live data polling
+const LIVE_DATA_INTERVAL_MS = 20; // updateLiveData tick (50 Hz nominal)
+
+// Telemetry diagnostics
+const TELEMETRY_DIAG_WINDOW = 500;    // samples kept for the statistics
+const TELEMETRY_HIST_BIN_MS = 5;
+const TELEMETRY_HIST_MAX_MS = 100;    // last histogram bin collects longer intervals
+const RECORDING_MIN_RATE_HZ = 30;     // recordings below these limits are flagged as poor timing
+const RECORDING_MAX_JITTER_MS = 10;   // std of the sample interval
+const RECORDING_MAX_GAP_MS = 100;
+
+// Telemetry format detection (packed R1[51..53] words vs classic registers)
+const TELEMETRY_DETECT_SAMPLES = 3;
+const TELEMETRY_DETECT_TOLERANCE_DEG = 0.5; // packed angle resolution is 0.1 deg
+
+// Device identification: firmware application versions (R1[120]) this app supports
+const FIRMWARE_MIN_VERSION = '1.0.0';
+const FIRMWARE_MAX_VERSION = '1.99.99';
+
+// Communication watchdog defaults (user settings in localStorage['gimbal-watchdog'])
+const WATCHDOG_DEFAULTS = {
+  enabled: true,
+  failureLimit: 5,   // consecutive failed live data reads before a recovery attempt
+  recoveryMs: 300,   // time without a valid frame before a recovery attempt
+  stopMs: 1000,      // time without a valid frame before the emergency stop
+};
+const WATCHDOG_INCIDENT_LOG_SIZE = 50;
+
+// Fault panel: entries kept in the fault log
+const FAULT_LOG_SIZE = 200;
+
+// Commutation finishes by tripping the speed tracking error (ER[2]=0): MF reads this value
+const COMMUTATION_DONE_MF = 0x80;
+
+// Serial traffic capture
+const SERIAL_CAPTURE_SIZE = 20000; // ring buffer entries (TX writes, RX chunks, warnings)
+const SERIAL_CAPTURE_VIEW_LINES = 200;
+
+// Terminal panel
+const TERMINAL_RESPONSE_TIMEOUT_MS = 1000; // raw commands may be slow (e.g. SV)
+const TERMINAL_HISTORY_SIZE = 100;
+const TERMINAL_MAX_LINES = 500;
+
+// Watch list panel
+const WATCH_RATE_OPTIONS_MS = [0, 100, 200, 500, 1000]; // 0 = every live data frame
+const WATCH_CHART_WINDOW_MS = 30000; // strip chart history
+const WATCH_CHART_REFRESH_MS = 250;
+
+// Device manager (several units connected at once)
+const MAX_GIMBAL_DEVICES = 4;
+const DEVICE_STALE_DATA_MS = 1000;      // a unit without a live data frame this long shows 'No live data'
+const DEVICE_MANAGER_REFRESH_MS = 500;  // unit table refresh while the panel is open
+
+// Remote bridge (WebSocket link to bridge/bridge.js on the PC that owns the serial port)
+const BRIDGE_DEFAULT_URL = 'ws://localhost:8765';
+const BRIDGE_CONNECT_TIMEOUT_MS = 5000;
+
+// Tab coordination (one tab owns the connection, other tabs mirror it)
+const TAB_CHANNEL_NAME = 'gimbal-control';
+const TAB_HEARTBEAT_MS = 1000;         // owner announces itself and its status this often
+const TAB_OWNER_TIMEOUT_MS = 3000;     // owner considered gone without an announcement this long
+const TAB_DISCOVERY_MS = 300;          // wait for an owner's answer before auto-connecting
+const TAB_HANDOVER_TIMEOUT_MS = 5000;  // owner must release the port within this time
+
 // File handling constants
 const CSV_HEADERS = "Time_ms,Angle_deg,Current_A,Torque_mNm\n";
 const CSV_MIME_TYPE = 'text/csv;charset=utf-8;';
@@ -44,11 +121,56 @@ const MIN_VELOCITY = 0;
 const MAX_VELOCITY = 80;
 const JOYSTICK_STEP = 1;
 
+// Motion safety limits per axis (motionSafety.js): commanded angles [deg] must stay
+// inside the sector limits the IBIT verifies; velocity [deg/s], acceleration [deg/s^2] (sine motion only)
+const MOTION_LIMITS = {
+  tr: { minAngle: -200, maxAngle: 200, maxVelocity: MAX_VELOCITY, maxAcceleration: 300 },
+  el: { minAngle: -15,  maxAngle: 60,  maxVelocity: MAX_VELOCITY, maxAcceleration: 300 },
+};
+const JOG_LIMIT_MARGIN_DEG = 2; // joystick jogging stops this close to a sector limit
+
+// Gamepad jogging (gamepadControl.js, standard mapping): the sticks command the joystick
+// rates R1[12]/R1[22] while the deadman trigger is held. User settings in localStorage['gimbal-gamepad']
+const GAMEPAD_DEFAULTS = {
+  enabled: true,
+  deadzone: 0.15,  // stick deflection ignored around the center (0..1)
+  expo: 0.5,       // response curve: 0 linear, 1 cubic (fine control near the center)
+  maxRate: 20,     // joystick rate at full deflection of the left stick
+};
+const GAMEPAD_POLL_MS = 50;
+const GAMEPAD_FINE_SCALE = 0.25;        // right stick: fine jogging, this fraction of maxRate
+const GAMEPAD_TRIGGER_THRESHOLD = 0.5;  // deadman trigger counts as held above this value
+const GAMEPAD_BUTTONS = { home: 0, stop: 1, record: 2, deadman: 7 }; // A, B, X, right trigger
+
+// Sine move (Movement Control > Complex Scenarios)
+const SINE_STREAM_RATE_HZ = 20;       // default setpoint rate when streaming R1[11]/R1[21]
+const SINE_STREAM_MAX_RATE_HZ = 50;
+const SINE_FIRMWARE_FREQ_STEP_HZ = 0.01; // R1[x7] resolution in firmware sine mode (R1[1]=13)
+const COMPLEX_MOVE_STOP_REASON = 'Stopped by user';
+
+// Repeat linear move
+const LINEAR_ARRIVAL_TOLERANCE_DEG = 0.2; // a leg has arrived within this distance of its target
+const LINEAR_ARRIVAL_SETTLE_MS = 200;     // ... held for this long
+const LINEAR_MOVE_DWELL_MS = 1000;        // pause at each end (overshoot and final error are measured over it)
+
+// Mission editor (waypoint missions)
+const MISSION_DEFAULT_VELOCITY = 40;        // deg/s, first waypoint (later ones copy the previous)
+const MISSION_DEFAULT_DWELL_S = 1;
+const MISSION_ARRIVAL_TOLERANCE_DEG = 0.3;
+const MISSION_PREVIEW_REFRESH_MS = 250;     // TR/EL chart refresh while the panel is open
+const MISSION_ABORT_REASON = 'Aborted by user';
+
+// Scenario scripts (user JavaScript run in a worker against the script API)
+const SCENARIO_DEFAULT_TIMEOUT_S = 120;     // whole script, editable in the panel
+const SCENARIO_WAIT_TIMEOUT_MS = 30000;     // waitForArrival default
+const SCENARIO_MAX_OUTPUT_LINES = 500;
+const SCENARIO_ABORT_REASON = 'Aborted by user';
+
 // Predefined positions
 const PREDEFINED_POSITIONS = {
   home: { tr: 0, el: 0 },
-  topRight: { tr: 200, el: 65 },
-  topLeft: { tr: -200, el: 65 },
+  topRight: { tr: 200, el: 60 },
+  topLeft: { tr: -200, el: 60 },
   bottomRight: { tr: 200, el: -15 },
   bottomLeft: { tr: -200, el: -15 }
 };
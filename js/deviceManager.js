@@ -0,0 +1,655 @@
+/**
+ * Device Manager Module
+ * Several gimbal units connected at once. The selected unit is the connection
+ * the sidebar and every panel talk to (serialPort / serialLink in
+ * gimbalSerial.js); the other units keep their own link, live data, recording
+ * buffer and status here and are polled in the background. An ATP procedure
+ * can run on all connected units concurrently.
+ */
+
+// Connected units in the order they were added: { id, name, port, link, identity,
+// telemetryFormat, motorOn, pollTimer, lastFrame, rows, recording, activity, ... }.
+// The connection fields of the selected unit are stale while it is selected;
+// use getDeviceConnection() to read them.
+let gimbalDevices = [];
+let selectedDeviceId = null;
+let deviceManagerRefreshTimer = null;
+
+// ==================== Units ====================
+
+/**
+ * Create the record of a connected unit
+ * @param {number} id - Unit number
+ * @param {{port: Object, link: Object, identity: Object|null, telemetryFormat: string|null}} connection
+ * @returns {Object}
+ */
+function createGimbalDevice(id, connection) {
+  return {
+    id,
+    name: `Unit ${id}`,
+    port: connection.port,
+    link: connection.link,
+    identity: connection.identity,
+    telemetryFormat: connection.telemetryFormat,
+    motorOn: false,
+    lost: false,
+    pollTimer: null,
+    pollInProgress: false,
+    lastFrame: null,
+    lastFrameTime: 0,
+    rows: null,
+    recording: false,
+    startTime: 0,
+    activity: null,     // e.g. 'IBIT 40%' while a procedure runs on the unit
+    lastResult: null,   // e.g. 'IBIT passed'
+  };
+}
+
+/**
+ * The selected unit
+ * @returns {Object|null} null while nothing is connected
+ */
+function getSelectedDevice() {
+  return gimbalDevices.find(device => device.id === selectedDeviceId) || null;
+}
+
+/**
+ * Connected units, selected one included
+ * @returns {Array<Object>}
+ */
+function getGimbalDevices() {
+  return gimbalDevices;
+}
+
+/**
+ * Connection of a unit: the live serial connection for the selected unit,
+ * the parked one for the others
+ * @param {Object} device
+ * @returns {{port: Object|null, link: Object, identity: Object|null, telemetryFormat: string|null}}
+ */
+function getDeviceConnection(device) {
+  return device.id === selectedDeviceId ? getSerialConnection() : device;
+}
+
+/**
+ * Whether a unit's port is open
+ * @param {Object} device
+ * @returns {boolean}
+ */
+function isDeviceConnected(device) {
+  return device.id === selectedDeviceId ? !!serialPort : !device.lost;
+}
+
+/**
+ * Register the connection opened with the Connection toggle as unit 1
+ * (or as the selected unit again after it came back)
+ */
+function registerSerialDevice() {
+  if (gimbalDevices.length === 0) {
+    gimbalDevices.push(createGimbalDevice(1, getSerialConnection()));
+    selectedDeviceId = 1;
+  }
+  renderDeviceSelect();
+  renderDeviceManager();
+}
+
+/**
+ * Connect another unit over the selected link (prompts for a port when the
+ * link is USB serial; the simulator creates a new simulated unit)
+ */
+async function addGimbalDevice() {
+  if (!serialPort) {
+    Swal.fire({ title: 'No Connection', text: 'Connect the first unit with the Connection Status toggle', icon: 'error' });
+    return;
+  }
+  if (gimbalDevices.length >= MAX_GIMBAL_DEVICES) {
+    Swal.fire({ title: 'Too Many Units', text: `Up to ${MAX_GIMBAL_DEVICES} units can be connected at once`, icon: 'warning' });
+    return;
+  }
+
+  let id = 1;
+  while (gimbalDevices.some(device => device.id === id)) id++;
+  const name = `Unit ${id}`;
+
+  let port;
+  try {
+    port = await getSerialTransport().requestPort(id);
+    await port.open({ baudRate: SERIAL_BAUD_RATE });
+  } catch (error) {
+    console.error(`Error connecting ${name}:`, error);
+    Swal.fire({ title: 'Unit Not Added', text: error.message, icon: 'error' });
+    return;
+  }
+
+  const link = createSerialLink(name);
+  let identity;
+  try {
+    await attachSerialStreams(port, link);
+    await sendMsg('eo=0;', { link });
+    identity = await identifyDevice(link);
+  } catch (error) {
+    console.error(`Error connecting ${name}:`, error);
+    await releaseSerialStreams(link);
+    try {
+      await port.close();
+    } catch (closeError) {
+      // already closed (unplugged)
+    }
+    Swal.fire({ title: 'Unit Not Added', text: error.message, icon: 'error' });
+    return;
+  }
+  const device = createGimbalDevice(id, { port, link, identity, telemetryFormat: null });
+
+  const duplicate = identity.serialNumber && gimbalDevices.find(other =>
+    getDeviceConnection(other).identity?.serialNumber === identity.serialNumber);
+  if (duplicate) {
+    await closeGimbalDevice(device);
+    Swal.fire({ title: 'Unit Not Added', text: `SN ${identity.serialNumber} is already connected as ${duplicate.name}`, icon: 'warning' });
+    return;
+  }
+
+  gimbalDevices.push(device);
+  startDevicePolling(device);
+  renderDeviceSelect();
+  renderDeviceManager();
+  updateMovementStatus(`${name} connected (${describeDeviceIdentity(identity)})`, 'ready');
+}
+
+/**
+ * Disconnect a unit that is not selected
+ * @param {number} id
+ */
+async function removeGimbalDevice(id) {
+  const device = gimbalDevices.find(entry => entry.id === id);
+  if (!device) return;
+  if (device.id === selectedDeviceId) {
+    Swal.fire({ title: 'Unit Selected', text: 'Select another unit first, or disconnect all units with the Connection Status toggle', icon: 'warning' });
+    return;
+  }
+  if (device.activity) {
+    Swal.fire({ title: 'Unit Busy', text: `${device.name} is running ${device.activity}`, icon: 'warning' });
+    return;
+  }
+  await closeGimbalDevice(device);
+  gimbalDevices = gimbalDevices.filter(entry => entry !== device);
+  renderDeviceSelect();
+  renderDeviceManager();
+}
+
+/**
+ * Stop polling a parked unit and close its port
+ * @param {Object} device
+ */
+async function closeGimbalDevice(device) {
+  stopDevicePolling(device);
+  if (!device.lost) await sendMsg('eo=1;', { link: device.link });
+  await releaseSerialStreams(device.link);
+  try {
+    await device.port.close();
+  } catch (error) {
+    // already closed (unplugged)
+  }
+}
+
+/**
+ * Disconnect every unit that is not selected and forget all units.
+ * Called after the Connection toggle closed the selected unit.
+ */
+async function closeAllGimbalDevices() {
+  for (const device of gimbalDevices) {
+    if (device.id !== selectedDeviceId) await closeGimbalDevice(device);
+  }
+  gimbalDevices = [];
+  selectedDeviceId = null;
+  // The next connection starts as unit 1 again
+  setSerialConnection({ port: null, link: createSerialLink('Unit 1'), identity: null, telemetryFormat: null });
+  renderDeviceSelect();
+  renderDeviceManager();
+}
+
+/**
+ * The port of a parked unit disappeared: stop its polling and recording
+ * @param {Object} link - Link whose read loop died
+ */
+async function handleDeviceLinkLost(link) {
+  const device = gimbalDevices.find(entry => entry.link === link);
+  if (!device || device.lost) return;
+  device.lost = true;
+  device.recording = false;
+  stopDevicePolling(device);
+  await releaseSerialStreams(link);
+  const message = `${device.name}: connection lost`;
+  console.warn(message);
+  recordFault(device.name, message);
+  updateMovementStatus(message, 'error');
+  renderDeviceSelect();
+  renderDeviceManager();
+}
+
+// ==================== Unit Selection ====================
+
+/**
+ * Make a unit the one the sidebar and the panels talk to. The previously
+ * selected unit keeps running in the background.
+ * @param {number} id
+ */
+async function selectGimbalDevice(id) {
+  const next = gimbalDevices.find(device => device.id === id);
+  const current = getSelectedDevice();
+  if (!next || next === current) return;
+
+  const procedures = getActiveProcedures();
+  let reason = null;
+  if (procedures.length > 0) {
+    reason = `${procedures.join(', ')} is running`;
+  } else if (shouldRecordData) {
+    reason = 'a recording is in progress';
+  } else if (next.lost) {
+    reason = `${next.name} is not connected`;
+  }
+  if (reason) {
+    Swal.fire({ title: 'Cannot Switch Unit', text: `Cannot switch to ${next.name}: ${reason}`, icon: 'warning' });
+    renderDeviceSelect();
+    return;
+  }
+
+  await setLiveDataHold('device-select', true);
+  stopDevicePolling(next);
+  const motorToggleEl = document.getElementById('motor-toggle');
+  Object.assign(current, getSerialConnection(), { motorOn: !!motorToggleEl?.checked, lost: !serialPort });
+  setSerialConnection(next);
+  selectedDeviceId = next.id;
+  if (motorToggleEl) motorToggleEl.checked = next.motorOn;
+  if (!current.lost) startDevicePolling(current);
+
+  // Live data is stopped if the unit switched away from was lost
+  const connectionToggle = document.getElementById('connection-toggle');
+  if (connectionToggle) connectionToggle.checked = true;
+  updateConnectionIndicator();
+  if (!intervalShowLiveData) {
+    await showLiveData(true);
+  } else if (!next.telemetryFormat) {
+    await setTelemetryFormat(getTelemetryFormat().setting);
+  }
+  await setLiveDataHold('device-select', false);
+
+  renderDeviceSelect();
+  renderDeviceManager();
+  updateMovementStatus(`${next.name} selected`, 'ready');
+}
+
+// ==================== Background Live Data ====================
+
+/**
+ * Poll a parked unit at the live data rate
+ * @param {Object} device
+ */
+function startDevicePolling(device) {
+  stopDevicePolling(device);
+  device.pollTimer = setInterval(() => pollDevice(device), LIVE_DATA_INTERVAL_MS);
+}
+
+/**
+ * Stop polling a unit
+ * @param {Object} device
+ */
+function stopDevicePolling(device) {
+  if (device.pollTimer) {
+    clearInterval(device.pollTimer);
+    device.pollTimer = null;
+  }
+}
+
+/**
+ * Read one live data frame from a parked unit (classic registers)
+ * @param {Object} device
+ */
+async function pollDevice(device) {
+  if (device.pollInProgress) return;
+  device.pollInProgress = true;
+  let reply;
+  try {
+    reply = await readMsg(buildPollCommand(), { link: device.link, priority: SERIAL_PRIORITY.POLL });
+  } finally {
+    device.pollInProgress = false;
+  }
+  const parsed = reply ? parsePollReply(reply) : null;
+  if (parsed) deviceFrameReceived(device, parsed.frame);
+}
+
+/**
+ * A live data frame arrived from a unit (updateLiveData() reports the
+ * selected unit's frames): keep it and record it if the unit is recording
+ * @param {Object|null} device
+ * @param {Object} frame - Raw register values keyed by REGISTER_MAP name
+ */
+function deviceFrameReceived(device, frame) {
+  if (!device) return;
+  device.lastFrame = frame;
+  device.lastFrameTime = Date.now();
+  if (device.recording) {
+    getRecordedRegisters().forEach(entry => {
+      device.rows[entry.name].push(frame[entry.name] ?? null);
+    });
+    device.rows.time.push(Date.now() - device.startTime); // Time in milliseconds
+  }
+}
+
+/**
+ * Start a new recording in a unit's own buffer
+ * @param {Object} device
+ */
+function startDeviceRecording(device) {
+  device.rows = createEmptyRows();
+  device.startTime = Date.now();
+  device.recording = true;
+}
+
+/**
+ * Emergency stop for the parked units (the stop sign stops every unit)
+ */
+function emergencyStopOtherDevices() {
+  gimbalDevices.forEach(device => {
+    if (device.id === selectedDeviceId || device.lost) return;
+    sendMsg('kl;r1[1]=0;\r', { link: device.link, priority: SERIAL_PRIORITY.EMERGENCY });
+    device.motorOn = false;
+  });
+}
+
+// ==================== ATP on All Units ====================
+
+/**
+ * Turn a unit's motor on (the motor toggle for the selected unit)
+ * @param {Object} device
+ */
+async function turnOnDeviceMotor(device) {
+  if (device.id === selectedDeviceId) {
+    await ensureMotorOn();
+    return;
+  }
+  await sendMsg('R1[3]=1\r', { link: device.link });
+  await sendMsg('R1[1]=1\r', { link: device.link });
+  device.motorOn = true;
+}
+
+/**
+ * Turn a unit's motor off (the motor toggle for the selected unit)
+ * @param {Object} device
+ */
+async function turnOffDeviceMotor(device) {
+  if (device.id === selectedDeviceId) {
+    turnOffMotor();
+    return;
+  }
+  await sendMsg('R1[3]=1; R1[1]=0\r', { link: device.link, priority: SERIAL_PRIORITY.HIGH });
+  device.motorOn = false;
+}
+
+/**
+ * Run IBIT on one unit, recording into its own buffer, and save its CSV
+ * @param {Object} device
+ * @param {AbortSignal} signal - Shared procedure signal (the stop sign aborts all units)
+ * @returns {Promise<string>} 'IBIT passed', 'IBIT failed', 'IBIT timeout' or 'IBIT aborted'
+ */
+async function runDeviceIBIT(device, signal) {
+  const { link, identity } = getDeviceConnection(device);
+  device.activity = 'IBIT 0%';
+  const motorWasOn = device.id === selectedDeviceId
+    ? !!document.getElementById('motor-toggle')?.checked
+    : device.motorOn;
+
+  try {
+    await turnOnDeviceMotor(device);
+    const result = await performIBIT(signal, {
+      link,
+      onStarted: () => startDeviceRecording(device),
+      onProgress: pct => { device.activity = `IBIT ${pct}%`; },
+    });
+
+    if (result === 'success') {
+      device.lastResult = 'IBIT passed';
+    } else if (result === 'failure') {
+      device.lastResult = 'IBIT failed';
+    } else {
+      device.lastResult = signal.aborted ? 'IBIT aborted' : 'IBIT timeout';
+    }
+    if (device.rows) {
+      const suffix = signal.aborted ? '_aborted' : '';
+      saveDataToCSV(`IBIT_${device.name.replace(/\s+/g, '')}${suffix}`, applySignalProcessing(device.rows), identity);
+    }
+    return device.lastResult;
+  } finally {
+    device.recording = false;
+    device.activity = null;
+    // Leave the motor as it was (the stop sign has turned it off already)
+    if (!motorWasOn && !signal.aborted && isDeviceConnected(device)) await turnOffDeviceMotor(device);
+  }
+}
+
+/**
+ * Run IBIT on every connected unit at the same time and show a summary
+ */
+async function runIBITOnAllDevices() {
+  const devices = gimbalDevices.filter(isDeviceConnected);
+  if (devices.length === 0) {
+    Swal.fire({ title: 'No Connection', text: 'Please connect to the device first', icon: 'error' });
+    return;
+  }
+  const procedures = getActiveProcedures();
+  if (procedures.length > 0) {
+    Swal.fire({ title: 'Procedure Running', text: `${procedures.join(', ')} is running`, icon: 'warning' });
+    return;
+  }
+
+  const confirm = await Swal.fire({
+    title: 'Run IBIT on All Units',
+    text: `The motors of ${devices.length} unit(s) will be turned on and every axis driven to its sector limits.`,
+    icon: 'warning',
+    showCancelButton: true,
+    confirmButtonText: 'Run IBIT',
+  });
+  if (!confirm.isConfirmed) return;
+
+  const signal = beginProcedure('IBIT (all units)');
+  let results;
+  try {
+    // One unit's error must not hide the others' results
+    const outcomes = await Promise.allSettled(devices.map(device => runDeviceIBIT(device, signal)));
+    results = outcomes.map(outcome =>
+      outcome.status === 'fulfilled' ? outcome.value : `IBIT error: ${outcome.reason?.message || outcome.reason}`);
+  } finally {
+    endProcedure(signal);
+    renderDeviceManager();
+  }
+
+  const summary = devices.map((device, index) =>
+    `${device.name} (SN ${getDeviceConnection(device).identity?.serialNumber ?? 'unknown'}): ${results[index]}`);
+  const allPassed = results.every(result => result === 'IBIT passed');
+  Swal.fire({
+    title: signal.aborted ? 'IBIT Aborted' : allPassed ? 'IBIT Passed ✓' : 'IBIT Failed ✗',
+    text: summary.join('\n'),
+    icon: signal.aborted ? 'warning' : allPassed ? 'success' : 'error',
+  });
+}
+
+// ==================== Device Manager UI ====================
+
+/**
+ * Fill the sidebar unit selector
+ */
+function renderDeviceSelect() {
+  const select = document.getElementById('device-select');
+  if (!select) return;
+  select.innerHTML = '';
+  gimbalDevices.forEach(device => {
+    const serialNumber = getDeviceConnection(device).identity?.serialNumber;
+    const option = document.createElement('option');
+    option.value = device.id;
+    option.textContent = `${device.name}${serialNumber ? ` (${serialNumber})` : ''}${isDeviceConnected(device) ? '' : ' - lost'}`;
+    select.appendChild(option);
+  });
+  if (selectedDeviceId !== null) select.value = selectedDeviceId;
+  select.disabled = gimbalDevices.length < 2;
+}
+
+/**
+ * Status line of a unit for the table
+ * @param {Object} device
+ * @returns {string}
+ */
+function describeDeviceStatus(device) {
+  if (!isDeviceConnected(device)) return 'Connection lost';
+  if (device.activity) return device.activity;
+  if (Date.now() - device.lastFrameTime > DEVICE_STALE_DATA_MS) return 'No live data';
+  return device.lastResult || 'Live';
+}
+
+/**
+ * Initialize and display the device manager panel
+ */
+function DeviceManager() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const deviceButton = document.querySelector('a[onclick*="DeviceManager"]');
+  if (deviceButton) {
+    deviceButton.classList.add('active');
+  }
+
+  // Remove existing device manager panel if it exists
+  const existingPanel = document.getElementById('device-manager-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create device manager sidebar panel
+  const devicePanel = document.createElement('div');
+  devicePanel.id = 'device-manager-panel';
+  devicePanel.classList.add('movement-panel');
+
+  devicePanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Device Manager</h1>
+      <button class="panel-close-btn" onclick="closeDeviceManager()">×</button>
+    </div>
+
+    <h2>Units</h2>
+    <table class="watch-table">
+      <thead><tr><th>Unit</th><th>SN</th><th>FW</th><th>TR / EL [deg]</th><th>Status</th><th></th></tr></thead>
+      <tbody id="device-manager-units"></tbody>
+    </table>
+    <div class="terminal-input-row">
+      <button onclick="addGimbalDevice()" title="Connect another unit over the selected link">Add Unit</button>
+    </div>
+
+    <hr>
+    <h2>ATP on All Units</h2>
+    <div class="terminal-input-row">
+      <button onclick="runIBITOnAllDevices()" title="Run IBIT on every connected unit at the same time; each unit's recording is saved to its own CSV">Run IBIT</button>
+    </div>
+  `;
+
+  document.body.appendChild(devicePanel);
+  renderDeviceManager();
+  clearInterval(deviceManagerRefreshTimer);
+  deviceManagerRefreshTimer = setInterval(renderDeviceManager, DEVICE_MANAGER_REFRESH_MS);
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+}
+
+/**
+ * Close the device manager panel and restore layout
+ */
+function closeDeviceManager() {
+  clearInterval(deviceManagerRefreshTimer);
+  deviceManagerRefreshTimer = null;
+  const devicePanel = document.getElementById('device-manager-panel');
+  if (devicePanel) {
+    devicePanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Render the unit table (when the panel is open)
+ */
+function renderDeviceManager() {
+  const body = document.getElementById('device-manager-units');
+  if (!body) return;
+  body.innerHTML = '';
+  if (gimbalDevices.length === 0) {
+    body.innerHTML = '<tr><td colspan="6">Not connected</td></tr>';
+    return;
+  }
+
+  gimbalDevices.forEach(device => {
+    const identity = getDeviceConnection(device).identity;
+    const frame = device.lastFrame;
+    const position = frame
+      ? `${scaleRegisterValue('Tr_angle', frame.Tr_angle).toFixed(1)} / ${scaleRegisterValue('El_angle', frame.El_angle).toFixed(1)}`
+      : '-';
+    const selected = device.id === selectedDeviceId;
+
+    const row = document.createElement('tr');
+    if (selected) row.className = 'device-selected';
+    [
+      device.name,
+      identity?.serialNumber ?? '?',
+      identity?.firmwareVersion ?? '?',
+      position,
+      describeDeviceStatus(device),
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+
+    const actions = document.createElement('td');
+    if (!selected) {
+      const selectButton = document.createElement('button');
+      selectButton.textContent = 'Select';
+      selectButton.title = 'Show this unit in the sidebar and send panel commands to it';
+      selectButton.onclick = () => selectGimbalDevice(device.id);
+      actions.appendChild(selectButton);
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.title = 'Disconnect this unit';
+      removeButton.onclick = () => removeGimbalDevice(device.id);
+      actions.appendChild(removeButton);
+    }
+    row.appendChild(actions);
+    body.appendChild(row);
+  });
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.getSelectedDevice = getSelectedDevice;
+window.getGimbalDevices = getGimbalDevices;
+window.registerSerialDevice = registerSerialDevice;
+window.addGimbalDevice = addGimbalDevice;
+window.removeGimbalDevice = removeGimbalDevice;
+window.closeAllGimbalDevices = closeAllGimbalDevices;
+window.handleDeviceLinkLost = handleDeviceLinkLost;
+window.selectGimbalDevice = selectGimbalDevice;
+window.deviceFrameReceived = deviceFrameReceived;
+window.emergencyStopOtherDevices = emergencyStopOtherDevices;
+window.runIBITOnAllDevices = runIBITOnAllDevices;
+window.DeviceManager = DeviceManager;
+window.closeDeviceManager = closeDeviceManager;
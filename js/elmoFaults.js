@@ -0,0 +1,333 @@
+/**
+ * Elmo Faults Module
+ * Decodes Elmo motor fault bits (MF) and command error codes (EC) into
+ * readable descriptions, keeps a log of faults and command errors seen on the
+ * link, and shows them in the fault side panel.
+ */
+
+// MF single-bit faults (bits 12-15 are a drive fault field, see ELMO_DRIVE_FAULTS)
+const ELMO_MOTOR_FAULTS = [
+  { mask: 0x1,        text: 'Analog feedback (resolver / sin-cos) failure' },
+  { mask: 0x4,        text: 'Feedback loss: encoder and Hall sensors disagree' },
+  { mask: 0x8,        text: 'Peak current exceeded' },
+  { mask: 0x10,       text: 'Inhibit input active' },
+  { mask: 0x40,       text: 'Two Hall sensors changed at once' },
+  { mask: 0x80,       text: 'Speed tracking error (ER[2] exceeded)' },
+  { mask: 0x100,      text: 'Position tracking error (ER[3] exceeded)' },
+  { mask: 0x200,      text: 'Inconsistent database: cannot start the motor' },
+  { mask: 0x400,      text: 'Too large difference in ECAM table' },
+  { mask: 0x800,      text: 'Heartbeat failure' },
+  { mask: 0x10000,    text: 'Failed to find the electrical zero of the motor (commutation)' },
+  { mask: 0x20000,    text: 'Speed limit exceeded' },
+  { mask: 0x40000,    text: 'Stack overflow' },
+  { mask: 0x80000,    text: 'CPU exception' },
+  { mask: 0x200000,   text: 'Motor stuck: current applied without motion' },
+  { mask: 0x400000,   text: 'Position limit exceeded' },
+  { mask: 0x20000000, text: 'Cannot start the motor' },
+];
+
+// MF bits 12-15 (mask 0xF000): servo drive fault. Bit 12 flags it, bits 13-15 give the
+// type; the codes are those of the MF table in the Elmo command reference
+const ELMO_DRIVE_FAULT_MASK = 0xF000;
+const ELMO_DRIVE_FAULTS = {
+  0x3000: 'Drive fault: under voltage',
+  0x5000: 'Drive fault: over voltage',
+  0xB000: 'Drive fault: short circuit',
+  0xD000: 'Drive fault: over temperature',
+};
+
+// EC: error of the last command the drive rejected with '?'
+const ELMO_ERROR_CODES = {
+  2: 'Bad command',
+  3: 'Bad index',
+  5: 'Has no interpreter meaning',
+  6: 'Program is not running',
+  7: 'Mode cannot be started: bad initialization data',
+  8: 'Motion terminated, probably data underflow',
+  11: 'Cannot write to flash memory',
+  12: 'Command not available in this unit mode',
+  13: 'Cannot reset because the drive is enabled',
+  18: 'Empty assignment',
+  19: 'Command syntax error',
+  21: 'Operand out of range',
+  22: 'Division by zero',
+  23: 'Command cannot be assigned',
+  24: 'Bad operation',
+  25: 'Command not valid while moving',
+};
+
+// Fault log, newest last: { time, source, text }
+let faultLog = [];
+// Last MF read per axis, so a standing fault is logged once
+const lastMotorFaults = {};
+
+// ==================== Decoding ====================
+
+/**
+ * Describe the faults set in an MF value
+ * @param {number} mf - Motor fault word
+ * @returns {Array<string>} One description per fault; empty when MF is 0
+ */
+function decodeMotorFault(mf) {
+  const faults = ELMO_MOTOR_FAULTS
+    .filter(fault => (mf & fault.mask) !== 0)
+    .map(fault => fault.text);
+  const driveFault = mf & ELMO_DRIVE_FAULT_MASK;
+  if (driveFault) {
+    faults.push(ELMO_DRIVE_FAULTS[driveFault] || `Drive fault 0x${driveFault.toString(16).toUpperCase()}`);
+  }
+  return faults;
+}
+
+/**
+ * Describe an EC error code
+ * @param {number|null} code
+ * @returns {string}
+ */
+function decodeErrorCode(code) {
+  if (code === null || code === undefined || isNaN(code)) return 'Unknown error (EC not readable)';
+  return ELMO_ERROR_CODES[code] || `Error code ${code}`;
+}
+
+/**
+ * One-line description of an MF value for status messages
+ * @param {number} mf
+ * @returns {string} e.g. 'MF=0x10000: Failed to find the electrical zero ...'
+ */
+function describeMotorFault(mf) {
+  const faults = decodeMotorFault(mf);
+  return `MF=0x${mf.toString(16).toUpperCase()}: ${faults.length ? faults.join('; ') : 'no fault'}`;
+}
+
+/**
+ * Whether a drive reply contains a '?' (command rejected) field
+ * @param {string} reply
+ * @returns {boolean}
+ */
+function replyHasError(reply) {
+  return typeof reply === 'string' && reply.split(';').some(field => field.trim() === '?');
+}
+
+// ==================== Drive Queries ====================
+
+/**
+ * Read the drive's last command error (EC)
+ * @param {Object} [link] - Link of the unit that rejected the command (default: the serial link)
+ * @returns {Promise<{code: number|null, text: string}>}
+ */
+async function readErrorCode(link = serialLink) {
+  const code = await readElmoValue('EC', { allowError: true, link });
+  return { code, text: decodeErrorCode(code) };
+}
+
+/**
+ * Read the motor fault word of an axis
+ * @param {number} axis - 1 (traverse) or 2 (elevation)
+ * @returns {Promise<{mf: number|null, faults: Array<string>}>} mf is null if unreadable
+ */
+async function readMotorFault(axis) {
+  const mf = await readElmoValue(`ax${axis}.MF`);
+  return { mf, faults: mf === null ? [] : decodeMotorFault(mf) };
+}
+
+/**
+ * A command was answered with '?': read EC, log it and show it in the status line
+ * @param {string} command - Command text as sent
+ * @param {Object} [link] - Link the command was sent on (default: the serial link)
+ * @returns {Promise<string>} Description of the error
+ */
+async function reportCommandError(command, link = serialLink) {
+  const { code, text } = await readErrorCode(link);
+  const rejected = `"${command.replace(/[\r\n]+/g, ' ').trim()}" rejected: ${text}${code === null ? '' : ` (EC=${code})`}`;
+  // A parked unit's error is named after the unit (its link is named like the device)
+  const message = link === serialLink ? rejected : `${link.name}: ${rejected}`;
+  console.warn(message);
+  if (link === serialLink) captureSerialEvent('warn', message);
+  recordFault(link === serialLink ? 'Command' : link.name, message);
+  updateMovementStatus(message, 'error');
+  return text;
+}
+
+/**
+ * Read MF on both axes and log faults that are new since the last read
+ * @returns {Promise<Array<{axis: number, mf: number|null, faults: Array<string>}>>}
+ */
+async function readAllMotorFaults() {
+  const results = [];
+  for (const axis of ELMO_AXES) {
+    const { mf, faults } = await readMotorFault(axis);
+    results.push({ axis, mf, faults });
+    if (mf && mf !== lastMotorFaults[axis]) recordFault(`Axis ${axis}`, describeMotorFault(mf));
+    lastMotorFaults[axis] = mf;
+  }
+  return results;
+}
+
+// ==================== Fault Log ====================
+
+/**
+ * Add an entry to the fault log and refresh the panel if open
+ * @param {string} source - 'Command', 'Axis 1', 'Commutation', ...
+ * @param {string} text
+ */
+function recordFault(source, text) {
+  faultLog.push({ time: new Date(), source, text });
+  if (faultLog.length > FAULT_LOG_SIZE) {
+    faultLog = faultLog.slice(-FAULT_LOG_SIZE);
+  }
+  renderFaultLog();
+}
+
+/**
+ * Clear the fault log
+ */
+function clearFaultLog() {
+  faultLog = [];
+  renderFaultLog();
+}
+
+// ==================== Fault Panel UI ====================
+
+/**
+ * Initialize and display the fault panel
+ */
+function FaultPanel() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const faultButton = document.querySelector('a[onclick*="FaultPanel"]');
+  if (faultButton) {
+    faultButton.classList.add('active');
+  }
+
+  // Remove existing fault panel if it exists
+  const existingPanel = document.getElementById('fault-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create fault sidebar panel
+  const faultPanel = document.createElement('div');
+  faultPanel.id = 'fault-panel';
+  faultPanel.classList.add('movement-panel');
+
+  faultPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Faults</h1>
+      <button class="panel-close-btn" onclick="closeFaultPanel()">×</button>
+    </div>
+
+    <h2>Motor Faults (MF)</h2>
+    <table class="watch-table">
+      <thead><tr><th>Axis</th><th>MF</th><th>Faults</th></tr></thead>
+      <tbody id="fault-axes"></tbody>
+    </table>
+    <div class="terminal-input-row">
+      <button onclick="refreshFaultPanel()" title="Read MF on both axes">Read Faults</button>
+      <button onclick="clearFaultLog()" title="Clear the fault log">Clear Log</button>
+    </div>
+
+    <hr>
+    <h2>Fault Log</h2>
+    <div class="terminal-output" id="fault-log"></div>
+  `;
+
+  document.body.appendChild(faultPanel);
+  renderFaultLog();
+  refreshFaultPanel();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+}
+
+/**
+ * Close the fault panel and restore layout
+ */
+function closeFaultPanel() {
+  const faultPanel = document.getElementById('fault-panel');
+  if (faultPanel) {
+    faultPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Read MF on both axes and show the decoded faults
+ */
+async function refreshFaultPanel() {
+  const body = document.getElementById('fault-axes');
+  if (!body) return;
+  if (!serialPort) {
+    body.innerHTML = '<tr><td colspan="3">Not connected</td></tr>';
+    return;
+  }
+
+  const results = await readAllMotorFaults();
+  body.innerHTML = '';
+  results.forEach(({ axis, mf, faults }) => {
+    const row = document.createElement('tr');
+    if (mf) row.className = 'fault-active';
+    [
+      axis === 1 ? 'TR' : 'EL',
+      mf === null ? '?' : `0x${mf.toString(16).toUpperCase()}`,
+      mf === null ? 'MF not readable' : faults.length ? faults.join('; ') : 'No fault',
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Render the fault log into the panel (newest last)
+ */
+function renderFaultLog() {
+  const output = document.getElementById('fault-log');
+  if (!output) return;
+  output.innerHTML = '';
+  if (faultLog.length === 0) {
+    const line = document.createElement('div');
+    line.className = 'terminal-line terminal-info';
+    line.textContent = 'No faults recorded';
+    output.appendChild(line);
+    return;
+  }
+  faultLog.forEach(entry => {
+    const line = document.createElement('div');
+    line.className = 'terminal-line terminal-error';
+    line.textContent = `${entry.time.toLocaleTimeString()} [${entry.source}] ${entry.text}`;
+    output.appendChild(line);
+  });
+  output.scrollTop = output.scrollHeight;
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.decodeMotorFault = decodeMotorFault;
+window.decodeErrorCode = decodeErrorCode;
+window.describeMotorFault = describeMotorFault;
+window.replyHasError = replyHasError;
+window.readErrorCode = readErrorCode;
+window.readMotorFault = readMotorFault;
+window.reportCommandError = reportCommandError;
+window.recordFault = recordFault;
+window.clearFaultLog = clearFaultLog;
+window.FaultPanel = FaultPanel;
+window.closeFaultPanel = closeFaultPanel;
+window.refreshFaultPanel = refreshFaultPanel;
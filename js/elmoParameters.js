@@ -0,0 +1,626 @@
+/**
+ * Elmo Parameters Module
+ * Backup of the drive configuration of both axes (commutation, loop gains,
+ * current and error limits, encoder offsets) to a timestamped JSON file,
+ * restore from such a file with read-back verification before saving to flash,
+ * and a diff view (device vs file, or file vs file) with selective push.
+ */
+
+/*
+ * Parameters saved per axis. Keys are written as 'ax<n>.<key>', except the
+ * sensor array 'S[i]', which the drive addresses per axis as S1[i] / S2[i].
+ */
+const ELMO_BACKUP_PARAMETERS = [
+  // Commutation and feedback setup
+  ...Array.from({ length: 30 }, (_, i) => `CA[${i + 1}]`),
+  // Current, velocity and position loop gains
+  'KP[1]', 'KP[2]', 'KP[3]', 'KI[1]', 'KI[2]', 'KI[3]',
+  // Peak and continuous current limits
+  'PL[1]', 'PL[2]', 'CL[1]', 'CL[2]',
+  // Velocity and position error limits
+  'ER[2]', 'ER[3]',
+  'SC[1]', 'SC[2]', 'SC[3]',
+  // Zero offset and direction; the encoder type goes last because writing it restarts the encoder
+  'S[17]', 'S[18]', 'S[1]',
+];
+
+const ELMO_AXES = [1, 2];
+
+// ==================== Drive Access ====================
+
+/**
+ * Command reference of a backup key for an axis
+ * @param {number} axis - 1 or 2
+ * @param {string} key - e.g. 'CA[7]' or 'S[17]'
+ * @returns {string} e.g. 'ax1.CA[7]' or 'S1[17]'
+ */
+function elmoParameterRef(axis, key) {
+  return key.startsWith('S[') ? `S${axis}${key.slice(1)}` : `ax${axis}.${key}`;
+}
+
+/**
+ * Read one numeric value from the drive (works with echo on or off)
+ * @param {string} ref - Variable reference, e.g. 'ax1.KP[1]'
+ * @param {Object} [options] - readMsg options
+ * @returns {Promise<number|null>} null if the drive did not answer with a number
+ */
+async function readElmoValue(ref, options = {}) {
+  const reply = await readMsg(ref, options);
+  const answer = reply.split(';').map(field => field.trim()).filter(Boolean).pop();
+  const value = Number(answer);
+  return answer === undefined || isNaN(value) ? null : value;
+}
+
+/**
+ * Compare a read-back value with the value written
+ * @param {number} expected
+ * @param {number|null} actual
+ * @returns {boolean}
+ */
+function elmoValuesMatch(expected, actual) {
+  if (actual === null) return false;
+  return Math.abs(expected - actual) <= Math.max(1e-4, Math.abs(expected) * 1e-6);
+}
+
+/**
+ * Read every backup parameter of both axes
+ * @param {AbortSignal} signal - Procedure signal; reading stops when aborted
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<Object>} { '1': { key: value|null }, '2': {...} }
+ */
+async function readElmoParameters(signal, onProgress) {
+  const axes = {};
+  const total = ELMO_AXES.length * ELMO_BACKUP_PARAMETERS.length;
+  let done = 0;
+  for (const axis of ELMO_AXES) {
+    axes[axis] = {};
+    for (const key of ELMO_BACKUP_PARAMETERS) {
+      if (signal.aborted) return axes;
+      axes[axis][key] = await readElmoValue(elmoParameterRef(axis, key));
+      if (onProgress) onProgress(++done, total);
+    }
+  }
+  return axes;
+}
+
+// ==================== Backup File ====================
+
+/**
+ * Build a backup document from parameter values
+ * @param {Object} axes - Result of readElmoParameters()
+ * @returns {Object}
+ */
+function createElmoBackup(axes) {
+  return {
+    format: 'gimbal-elmo-parameters',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    transport: getSerialTransport().name,
+    axes,
+  };
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File content
+ * @returns {Object} Backup document
+ */
+function parseElmoBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!backup || backup.format !== 'gimbal-elmo-parameters' || typeof backup.axes !== 'object') {
+    throw new Error('The file is not an Elmo parameter backup');
+  }
+  for (const axis of ELMO_AXES) {
+    const values = backup.axes[axis];
+    if (!values || typeof values !== 'object') {
+      throw new Error(`The backup has no parameters for axis ${axis}`);
+    }
+    for (const [key, value] of Object.entries(values)) {
+      // Only backup parameters: a hand-edited file must not write other drive arrays
+      if (!ELMO_BACKUP_PARAMETERS.includes(key) || (value !== null && typeof value !== 'number')) {
+        throw new Error(`Invalid parameter "${key}" for axis ${axis}`);
+      }
+    }
+  }
+  return backup;
+}
+
+/**
+ * Ask for a backup file
+ * @param {string} title - Dialog title
+ * @returns {Promise<Object|null>} Backup document, or null if cancelled or invalid
+ */
+async function selectElmoBackupFile(title) {
+  const result = await Swal.fire({
+    title,
+    text: 'Select a parameter backup (JSON)',
+    input: 'file',
+    inputAttributes: { accept: '.json,application/json' },
+    showCancelButton: true,
+    confirmButtonText: 'Open'
+  });
+  if (!result.isConfirmed || !result.value) return null;
+  try {
+    return parseElmoBackup(await result.value.text());
+  } catch (error) {
+    Swal.fire({ title: 'Invalid Backup', text: error.message, icon: 'error' });
+    return null;
+  }
+}
+
+// ==================== Backup and Restore ====================
+
+/**
+ * Show procedure progress on an Installation Setup button
+ * @param {string} id - Button id
+ * @param {number|null} pct - Percent done, or null to clear
+ */
+function setParameterButtonProgress(id, pct) {
+  const button = document.getElementById(id);
+  if (!button) return;
+  if (pct === null) {
+    button.classList.remove('in-progress');
+    button.style.removeProperty('--progress');
+  } else {
+    button.classList.add('in-progress');
+    button.style.setProperty('--progress', `${pct}%`);
+  }
+}
+
+/**
+ * Read the parameters of both axes and download them as a JSON backup
+ */
+async function backupElmoParameters() {
+  if (!serialPort) {
+    updateMovementStatus('Error: No connection to device', 'error');
+    return false;
+  }
+
+  const signal = beginProcedure('Parameter backup');
+  await setLiveDataHold('parameters', true);
+  updateMovementStatus('Reading drive parameters...', 'running');
+
+  try {
+    const axes = await readElmoParameters(signal, (done, total) => {
+      setParameterButtonProgress('btn-backup-parameters', Math.round(done / total * 100));
+    });
+    if (signal.aborted) {
+      updateMovementStatus(`Parameter backup aborted: ${signal.reason}`, 'error');
+      return false;
+    }
+
+    const unread = ELMO_AXES.flatMap(axis =>
+      Object.keys(axes[axis]).filter(key => axes[axis][key] === null).map(key => elmoParameterRef(axis, key)));
+    downloadFile(JSON.stringify(createElmoBackup(axes), null, 2), `ElmoParameters_${formatTimestamp()}.json`, 'application/json');
+
+    if (unread.length > 0) {
+      updateMovementStatus(`Backup saved, ${unread.length} parameter(s) not readable`, 'error');
+      Swal.fire({ title: 'Backup Incomplete', text: `Not readable: ${unread.join(', ')}`, icon: 'warning' });
+    } else {
+      updateMovementStatus('Parameter backup saved', 'ready');
+    }
+    return true;
+  } finally {
+    endProcedure(signal);
+    setParameterButtonProgress('btn-backup-parameters', null);
+    setLiveDataHold('parameters', false);
+  }
+}
+
+/**
+ * Write parameters to the drive and read each one back
+ * @param {Array<{axis: number, key: string, value: number}>} writes
+ * @param {AbortSignal} signal
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<Array<{ref: string, expected: number, actual: number|null}>>} Values that did not verify
+ */
+async function writeElmoParameters(writes, signal, onProgress) {
+  const mismatches = [];
+  for (let i = 0; i < writes.length && !signal.aborted; i++) {
+    const { axis, key, value } = writes[i];
+    const ref = elmoParameterRef(axis, key);
+    if (key === 'S[1]') {
+      await readMsg(`${ref}=0;`); // restart the encoder so new offsets take effect
+    }
+    await readMsg(`${ref}=${value};`);
+    const actual = await readElmoValue(ref);
+    if (!elmoValuesMatch(value, actual)) {
+      mismatches.push({ ref, expected: value, actual });
+    }
+    if (onProgress) onProgress(i + 1, writes.length);
+  }
+  return mismatches;
+}
+
+/**
+ * Restore parameters from a backup file: confirm, write with progress, verify
+ * every value by reading it back, and save to flash (sv) only if all verify
+ */
+async function restoreElmoParameters() {
+  if (!serialPort) {
+    updateMovementStatus('Error: No connection to device', 'error');
+    return false;
+  }
+  if (document.getElementById('motor-toggle')?.checked) {
+    Swal.fire({ title: 'Motor On', text: 'Turn the motor off before restoring parameters', icon: 'warning' });
+    return false;
+  }
+
+  const backup = await selectElmoBackupFile('Restore Parameters');
+  if (!backup) return false;
+
+  // In ELMO_BACKUP_PARAMETERS order whatever the file's order (the encoder type last)
+  const writes = ELMO_AXES.flatMap(axis => ELMO_BACKUP_PARAMETERS
+    .filter(key => typeof backup.axes[axis][key] === 'number')
+    .map(key => ({ axis, key, value: backup.axes[axis][key] })));
+
+  const result = await Swal.fire({
+    title: 'Restore Parameters',
+    text: `Write ${writes.length} parameters from the backup of ${backup.createdAt || 'unknown date'} to the drive? ` +
+      'They are saved to flash only if every value reads back correctly.',
+    icon: 'question',
+    showCancelButton: true,
+    confirmButtonText: 'Restore',
+    cancelButtonText: 'Cancel'
+  });
+  if (!result.isConfirmed) {
+    console.log('Canceled');
+    return false;
+  }
+
+  const signal = beginProcedure('Parameter restore');
+  await setLiveDataHold('parameters', true);
+  updateMovementStatus('Restoring drive parameters...', 'running');
+
+  let mismatches;
+  try {
+    mismatches = await writeElmoParameters(writes, signal, (done, total) => {
+      setParameterButtonProgress('btn-restore-parameters', Math.round(done / total * 100));
+    });
+  } finally {
+    endProcedure(signal);
+    setParameterButtonProgress('btn-restore-parameters', null);
+    setLiveDataHold('parameters', false);
+  }
+
+  if (signal.aborted) {
+    updateMovementStatus(`Parameter restore aborted: ${signal.reason}`, 'error');
+    Swal.fire({ title: 'Restore Aborted', text: `Not saved to flash: ${signal.reason}`, icon: 'warning' });
+    return false;
+  }
+  if (mismatches.length > 0) {
+    const list = mismatches.map(m => `${m.ref}: wrote ${m.expected}, read ${m.actual ?? 'nothing'}`).join('; ');
+    console.warn(`Parameter restore verification failed: ${list}`);
+    updateMovementStatus(`Restore failed: ${mismatches.length} parameter(s) did not verify`, 'error');
+    Swal.fire({ title: 'Verification Failed', text: `Not saved to flash. ${list}`, icon: 'error' });
+    return false;
+  }
+
+  updateMovementStatus(`${writes.length} parameters verified, saving...`, 'running');
+  return saveElmo(false);
+}
+
+// ==================== Parameter Diff ====================
+
+// Comparison shown in the diff panel: { labels: [a, b], deviceSide: boolean, rows }
+let parameterDiff = null;
+
+/**
+ * Compare two parameter sets key by key
+ * @param {Object} a - Reference values { '1': { key: value|null }, '2': {...} }
+ * @param {Object} b - Compared values, same shape
+ * @returns {Array<{axis: number, key: string, a: number|null, b: number|null, status: string}>}
+ *   status: 'same', 'changed', 'missing-a' or 'missing-b' (absent or unreadable on that side)
+ */
+function diffElmoParameters(a, b) {
+  const rows = [];
+  ELMO_AXES.forEach(axis => {
+    const valuesA = a[axis] || {};
+    const valuesB = b[axis] || {};
+    const keys = ELMO_BACKUP_PARAMETERS.filter(key => key in valuesA || key in valuesB);
+    keys.forEach(key => {
+      const valueA = valuesA[key] ?? null;
+      const valueB = valuesB[key] ?? null;
+      let status = 'same';
+      if (valueA === null && valueB === null) status = 'same';
+      else if (valueA === null) status = 'missing-a';
+      else if (valueB === null) status = 'missing-b';
+      else if (!elmoValuesMatch(valueA, valueB)) status = 'changed';
+      rows.push({ axis, key, a: valueA, b: valueB, status });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Compare a backup file (reference) with the connected drive
+ */
+async function diffDeviceWithFile() {
+  if (!serialPort) {
+    setParameterDiffStatus('No connection to device', 'error');
+    return;
+  }
+  const backup = await selectElmoBackupFile('Compare With Device');
+  if (!backup) return;
+
+  const signal = beginProcedure('Parameter diff');
+  await setLiveDataHold('parameters', true);
+  let device;
+  try {
+    device = await readElmoParameters(signal, (done, total) => {
+      setParameterDiffStatus(`Reading drive parameters... ${Math.round(done / total * 100)}%`, 'running');
+    });
+  } finally {
+    endProcedure(signal);
+    setLiveDataHold('parameters', false);
+  }
+  if (signal.aborted) {
+    setParameterDiffStatus(`Aborted: ${signal.reason}`, 'error');
+    return;
+  }
+
+  parameterDiff = {
+    labels: [`File (${backup.createdAt || 'undated'})`, 'Device'],
+    deviceSide: true,
+    rows: diffElmoParameters(backup.axes, device),
+  };
+  renderParameterDiff();
+}
+
+/**
+ * Compare two backup files
+ */
+async function diffTwoFiles() {
+  const first = await selectElmoBackupFile('Compare: First File');
+  if (!first) return;
+  const second = await selectElmoBackupFile('Compare: Second File');
+  if (!second) return;
+
+  parameterDiff = {
+    labels: [`A (${first.createdAt || 'undated'})`, `B (${second.createdAt || 'undated'})`],
+    deviceSide: false,
+    rows: diffElmoParameters(first.axes, second.axes),
+  };
+  renderParameterDiff();
+}
+
+/**
+ * Write the file values of the selected rows to the drive, read them back and
+ * update the comparison. Values are not saved to flash (use Save to Flash).
+ */
+async function pushSelectedParameters() {
+  if (!parameterDiff?.deviceSide) return;
+  if (!serialPort) {
+    setParameterDiffStatus('No connection to device', 'error');
+    return;
+  }
+  if (document.getElementById('motor-toggle')?.checked) {
+    Swal.fire({ title: 'Motor On', text: 'Turn the motor off before writing parameters', icon: 'warning' });
+    return;
+  }
+
+  const selected = parameterDiff.rows.filter(row => row.selected && row.a !== null);
+  if (selected.length === 0) {
+    setParameterDiffStatus('Select the parameters to push', 'error');
+    return;
+  }
+
+  const result = await Swal.fire({
+    title: 'Push Parameters',
+    text: `Write ${selected.length} file value(s) to the drive: ` +
+      selected.map(row => `${elmoParameterRef(row.axis, row.key)}=${row.a}`).join(', '),
+    icon: 'question',
+    showCancelButton: true,
+    confirmButtonText: 'Push',
+    cancelButtonText: 'Cancel'
+  });
+  if (!result.isConfirmed) return;
+
+  const signal = beginProcedure('Parameter push');
+  await setLiveDataHold('parameters', true);
+  let mismatches;
+  try {
+    mismatches = await writeElmoParameters(selected.map(row => ({ axis: row.axis, key: row.key, value: row.a })), signal,
+      (done, total) => setParameterDiffStatus(`Writing ${done}/${total}...`, 'running'));
+    for (const row of selected) {
+      row.b = await readElmoValue(elmoParameterRef(row.axis, row.key));
+      row.status = row.b === null ? 'missing-b' : elmoValuesMatch(row.a, row.b) ? 'same' : 'changed';
+      row.selected = false;
+    }
+  } finally {
+    endProcedure(signal);
+    setLiveDataHold('parameters', false);
+  }
+
+  renderParameterDiff();
+  if (signal.aborted) {
+    setParameterDiffStatus(`Aborted: ${signal.reason}`, 'error');
+  } else if (mismatches.length > 0) {
+    setParameterDiffStatus(`${mismatches.length} value(s) did not verify: ` +
+      mismatches.map(m => m.ref).join(', '), 'error');
+  } else {
+    setParameterDiffStatus(`${selected.length} value(s) written and verified (not yet saved to flash)`, 'ready');
+  }
+}
+
+// ==================== Diff Panel UI ====================
+
+/**
+ * Initialize and display the parameter diff panel
+ */
+function ParameterDiff() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const diffButton = document.querySelector('a[onclick*="ParameterDiff"]');
+  if (diffButton) {
+    diffButton.classList.add('active');
+  }
+
+  // Remove existing diff panel if it exists
+  const existingPanel = document.getElementById('parameter-diff-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create diff sidebar panel
+  const diffPanel = document.createElement('div');
+  diffPanel.id = 'parameter-diff-panel';
+  diffPanel.classList.add('movement-panel');
+
+  diffPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Parameter Diff</h1>
+      <button class="panel-close-btn" onclick="closeParameterDiff()">×</button>
+    </div>
+
+    <div class="terminal-input-row">
+      <button onclick="diffDeviceWithFile()" title="Compare the connected drive with a parameter backup">Device vs File</button>
+      <button onclick="diffTwoFiles()" title="Compare two parameter backups">File vs File</button>
+    </div>
+    <div class="toggle-container" title="Hide parameters that are equal on both sides">
+      <label class="toggle-label" for="diff-only-toggle">Differences only</label>
+      <label class="toggle-container">
+        <input type="checkbox" id="diff-only-toggle" class="toggle-input" checked onchange="renderParameterDiff()">
+        <span class="toggle-slider"></span>
+      </label>
+    </div>
+    <div id="diff-status" class="terminal-info" style="text-align: center; margin: 8px 0;"></div>
+    <table class="watch-table">
+      <thead id="diff-head"></thead>
+      <tbody id="diff-rows"></tbody>
+    </table>
+    <div class="terminal-input-row" id="diff-actions" style="display: none;">
+      <button onclick="pushSelectedParameters()" title="Write the file values of the checked parameters to the drive">Push Selected</button>
+      <button onclick="saveElmo()" title="Save the drive parameters to flash">Save to Flash</button>
+    </div>
+  `;
+
+  document.body.appendChild(diffPanel);
+  renderParameterDiff();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+}
+
+/**
+ * Close the parameter diff panel and restore layout
+ */
+function closeParameterDiff() {
+  const diffPanel = document.getElementById('parameter-diff-panel');
+  if (diffPanel) {
+    diffPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Show a status line in the diff panel
+ * @param {string} message
+ * @param {string} type - 'running', 'ready' or 'error'
+ */
+function setParameterDiffStatus(message, type) {
+  const status = document.getElementById('diff-status');
+  if (!status) return;
+  status.textContent = message;
+  status.className = type === 'error' ? 'terminal-error' : 'terminal-info';
+}
+
+/**
+ * Render the comparison table: changed and missing parameters highlighted,
+ * a checkbox per pushable row when one side is the device
+ */
+function renderParameterDiff() {
+  const head = document.getElementById('diff-head');
+  const body = document.getElementById('diff-rows');
+  if (!head || !body) return;
+  head.innerHTML = '';
+  body.innerHTML = '';
+
+  const actions = document.getElementById('diff-actions');
+  if (actions) actions.style.display = parameterDiff?.deviceSide ? 'flex' : 'none';
+
+  if (!parameterDiff) {
+    setParameterDiffStatus('Compare the drive with a backup, or two backups', 'ready');
+    return;
+  }
+
+  const headRow = document.createElement('tr');
+  ['Axis', 'Parameter', ...parameterDiff.labels, parameterDiff.deviceSide ? 'Push' : ''].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  head.appendChild(headRow);
+
+  const differencesOnly = document.getElementById('diff-only-toggle')?.checked ?? true;
+  const differences = parameterDiff.rows.filter(row => row.status !== 'same');
+  const shown = differencesOnly ? differences : parameterDiff.rows;
+
+  shown.forEach(row => {
+    const tr = document.createElement('tr');
+    tr.className = `diff-${row.status}`;
+
+    const cells = [
+      row.axis === 1 ? 'TR' : 'EL',
+      row.key,
+      row.a ?? 'missing',
+      row.b ?? 'missing',
+    ];
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    const push = document.createElement('td');
+    if (parameterDiff.deviceSide && row.status !== 'same' && row.a !== null) {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = !!row.selected;
+      box.onchange = () => { row.selected = box.checked; };
+      push.appendChild(box);
+    }
+    tr.appendChild(push);
+    body.appendChild(tr);
+  });
+
+  setParameterDiffStatus(`${differences.length} of ${parameterDiff.rows.length} parameters differ`,
+    differences.length ? 'error' : 'ready');
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.ELMO_BACKUP_PARAMETERS = ELMO_BACKUP_PARAMETERS;
+window.elmoParameterRef = elmoParameterRef;
+window.readElmoValue = readElmoValue;
+window.readElmoParameters = readElmoParameters;
+window.parseElmoBackup = parseElmoBackup;
+window.backupElmoParameters = backupElmoParameters;
+window.restoreElmoParameters = restoreElmoParameters;
+window.diffElmoParameters = diffElmoParameters;
+window.diffDeviceWithFile = diffDeviceWithFile;
+window.diffTwoFiles = diffTwoFiles;
+window.pushSelectedParameters = pushSelectedParameters;
+window.ParameterDiff = ParameterDiff;
+window.closeParameterDiff = closeParameterDiff;
+window.renderParameterDiff = renderParameterDiff;
@@ -14,7 +14,8 @@ function readFile(file) {
   const reader = new FileReader();
   reader.onload = function(event) {
     const text = event.target.result;
-    const lines = text.split(/\r?\n/);
+    // Leading '#' lines are file metadata (device identity), not data
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('#'));
     const header = lines[0].split(',');
     
     // Initialize rows object with empty arrays
@@ -189,28 +190,51 @@ function applySignalProcessingToRows() {
 }
 
 /**
- * Save recorded data to CSV file with timestamp
+ * Save recorded data to CSV file with timestamp. The first line is a '#'
+ * comment with the identity of the controller the data was recorded from.
  * @param {string} prefix - Filename prefix (default: 'lynx')
+ * @param {Object} [data] - Processed recording (default: the global rows)
+ * @param {Object} [identity] - Controller it came from (default: the selected unit)
  */
-function saveDataToCSV(prefix = 'lynx') {
-  let csvContent = "Time_s,Tr_Angle_deg,Tr_Velocity_deg/s,Tr_Current_A,El_Angle_deg,El_Velocity_deg/s,El_Current_A,Status\n";
-  
-  for (let i = 0; i < rows.time.length; i++) {
-    const safeFormat = (value) => {
-      return (value !== null && value !== undefined && !isNaN(value)) ? value.toFixed(3) : '';
-    };
-    const safeInt = (value) => {
-      return (value !== null && value !== undefined && !isNaN(value)) ? String(value) : '';
-    };
-    
-    csvContent += `${rows.time[i].toFixed(3)},${safeFormat(rows.Tr_angle[i])},${safeFormat(rows.Tr_velocity[i])},${safeFormat(rows.Tr_current[i])},${safeFormat(rows.El_angle[i])},${safeFormat(rows.El_velocity[i])},${safeFormat(rows.El_current[i])},${safeInt(rows.status[i])}\n`;
+function saveDataToCSV(prefix = 'lynx', data = rows, identity = getDeviceIdentity()) {
+  // Columns come from REGISTER_MAP (registers with a 'csv' header), then recorded watch list entries
+  const columns = [...getCsvRegisters(), ...getWatchCsvColumns(data)];
+  let csvContent = `# Device: ${describeDeviceIdentity(identity)}\n`;
+  csvContent += ['Time_s', ...columns.map(entry => entry.csv)].join(',') + '\n';
+
+  const safeFormat = (value) => {
+    return (value !== null && value !== undefined && !isNaN(value)) ? value.toFixed(3) : '';
+  };
+  const safeInt = (value) => {
+    return (value !== null && value !== undefined && !isNaN(value)) ? String(value) : '';
+  };
+
+  for (let i = 0; i < data.time.length; i++) {
+    const values = columns.map(entry => {
+      const value = data[entry.name] ? data[entry.name][i] : null;
+      return entry.type === 'bits' ? safeInt(value) : safeFormat(value);
+    });
+    csvContent += `${data.time[i].toFixed(3)},${values.join(',')}\n`;
   }
 
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  // Recordings below the timing thresholds are flagged in the file name
+  const timing = assessRecordingTiming(data.time);
+  const flag = timing.ok ? '' : '_poorTiming';
+  downloadFile(csvContent, `${prefix}_${formatTimestamp()}${flag}.csv`, CSV_MIME_TYPE);
+}
+
+/**
+ * Offer text content to the user as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
   const link = document.createElement("a");
   const url = URL.createObjectURL(blob);
   link.setAttribute("href", url);
-  link.setAttribute("download", `${prefix}_${formatTimestamp()}.csv`);
+  link.setAttribute("download", filename);
   link.style.visibility = 'hidden';
   document.body.appendChild(link);
   link.click();
@@ -226,4 +250,5 @@ window.export2csv = export2csv;
 window.exportToCsv = exportToCsv;
 window.formatTimestamp = formatTimestamp;
 window.saveDataToCSV = saveDataToCSV;
+window.downloadFile = downloadFile;
 window.applySignalProcessingToRows = applySignalProcessingToRows;
\ No newline at end of file
@@ -0,0 +1,302 @@
+/**
+ * Gamepad Control Module
+ * Jogging with a gamepad (Gamepad API, standard mapping). The left stick
+ * commands the joystick rates R1[12]/R1[22], the right stick the same at
+ * GAMEPAD_FINE_SCALE for fine pointing. Motion needs the deadman trigger held:
+ * releasing it, losing the gamepad or hiding the page stops the jog, and stops
+ * a home move started with A where the gimbal is. Buttons: A home, B emergency
+ * stop, X record. Jog limits are those of the on-screen joystick (checkJogStep,
+ * enforceJogLimits).
+ */
+
+let gamepadSettings = { ...GAMEPAD_DEFAULTS, ...JSON.parse(localStorage.getItem('gimbal-gamepad') || '{}') };
+let gamepadPollTimer = null;
+// Set while the deadman trigger is held: { allowed, limitReason, homing }; buttons holds last poll's pressed states
+const gamepadState = { index: null, jog: null, buttons: [], stick: { tr: 0, el: 0 } };
+
+// ==================== Setup ====================
+
+/**
+ * Listen for gamepads. Browsers report a gamepad only after a button press.
+ */
+function initGamepadControl() {
+  if (!navigator.getGamepads) return;
+  window.addEventListener('gamepadconnected', (event) => {
+    console.log(`Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'no'} mapping)`);
+    if (gamepadState.index === null) gamepadState.index = event.gamepad.index;
+    startGamepadPolling();
+  });
+  window.addEventListener('gamepaddisconnected', (event) => {
+    console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+    if (event.gamepad.index !== gamepadState.index) return;
+    stopGamepadJog();
+    const other = Array.from(navigator.getGamepads()).find(pad => pad && pad.index !== event.gamepad.index);
+    gamepadState.index = other ? other.index : null;
+    if (!other) stopGamepadPolling();
+    renderGamepadStatus(other || null);
+  });
+}
+
+/**
+ * Poll the gamepad every GAMEPAD_POLL_MS (the Gamepad API has no input events)
+ */
+function startGamepadPolling() {
+  if (!gamepadPollTimer) gamepadPollTimer = setInterval(pollGamepad, GAMEPAD_POLL_MS);
+}
+
+/**
+ * Stop polling
+ */
+function stopGamepadPolling() {
+  clearInterval(gamepadPollTimer);
+  gamepadPollTimer = null;
+}
+
+/**
+ * Change gamepad settings and persist them
+ * @param {Object} changes - Any of enabled, deadzone, expo, maxRate
+ */
+function setGamepadSettings(changes) {
+  gamepadSettings = { ...gamepadSettings, ...changes };
+  gamepadSettings.deadzone = Math.min(0.9, Math.max(0, Number(gamepadSettings.deadzone) || 0));
+  gamepadSettings.expo = Math.min(1, Math.max(0, Number(gamepadSettings.expo) || 0));
+  gamepadSettings.maxRate = Math.min(MAX_VELOCITY, Math.max(1, Math.round(Number(gamepadSettings.maxRate) || 1)));
+  localStorage.setItem('gimbal-gamepad', JSON.stringify(gamepadSettings));
+  if (!gamepadSettings.enabled) stopGamepadJog();
+  renderGamepadSettings();
+}
+
+// ==================== Stick Shaping ====================
+
+/**
+ * Apply the deadzone and expo curve to one stick axis
+ * @param {number} value - Raw axis value (-1..1)
+ * @param {number} deadzone - Ignored deflection around the center (0..1)
+ * @param {number} expo - 0 linear, 1 cubic
+ * @returns {number} Shaped value (-1..1), 0 inside the deadzone
+ */
+function shapeStickAxis(value, deadzone, expo) {
+  const magnitude = Math.abs(value);
+  if (!(magnitude > deadzone)) return 0;
+  const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  return Math.sign(value) * ((1 - expo) * scaled + expo * scaled ** 3);
+}
+
+/**
+ * Joystick rates commanded by the sticks
+ * @param {Gamepad} pad
+ * @returns {{tr: number, el: number}} Integer rates (R1[12]/R1[22] steps); stick up is EL up
+ */
+function readGamepadRates(pad) {
+  const { deadzone, expo, maxRate } = gamepadSettings;
+  const axis = (index) => shapeStickAxis(pad.axes[index] || 0, deadzone, expo);
+  return {
+    tr: Math.round(maxRate * (axis(0) + GAMEPAD_FINE_SCALE * axis(2))) || 0,
+    el: Math.round(-maxRate * (axis(1) + GAMEPAD_FINE_SCALE * axis(3))) || 0,
+  };
+}
+
+// ==================== Polling ====================
+
+/**
+ * Read the gamepad: handle button presses, the deadman trigger and the stick rates
+ */
+function pollGamepad() {
+  const pad = gamepadState.index === null ? null : navigator.getGamepads()[gamepadState.index];
+  if (!pad || !pad.connected) {
+    // The browser can stop reporting a pad without a gamepaddisconnected event
+    stopGamepadJog();
+    renderGamepadStatus(null);
+    return;
+  }
+
+  const previous = gamepadState.buttons;
+  const pressed = pad.buttons.map(button => button.pressed);
+  const pressedNow = (name) => pressed[GAMEPAD_BUTTONS[name]] && !previous[GAMEPAD_BUTTONS[name]];
+  gamepadState.buttons = pressed;
+  const deadman = gamepadSettings.enabled && !document.hidden
+    && (pad.buttons[GAMEPAD_BUTTONS.deadman]?.value || 0) >= GAMEPAD_TRIGGER_THRESHOLD;
+  const rates = readGamepadRates(pad);
+  gamepadState.stick = rates;
+
+  if (!deadman) {
+    stopGamepadJog();
+  } else if (!gamepadState.jog) {
+    // Checked once per trigger press so a refused jog shows one message
+    gamepadState.jog = { allowed: canGamepadJog(true), limitReason: null };
+  } else if (gamepadState.jog.allowed && !canGamepadJog(false)) {
+    // Motors off, connection lost or a procedure started: jog again after releasing the trigger
+    stopGamepadJog();
+    gamepadState.jog = { allowed: false, limitReason: null };
+  }
+
+  // The stop works whether or not the deadman is held, and blocks jogging until the trigger is released
+  if (pressedNow('stop')) {
+    stopGamepadJog(false);
+    if (deadman) gamepadState.jog = { allowed: false, limitReason: null };
+    stopSignClick();
+  }
+  if (gamepadSettings.enabled && pressedNow('record')) recordData();
+
+  if (gamepadState.jog?.allowed) {
+    if (pressedNow('home')) {
+      sendGamepadRates({ tr: 0, el: 0 });
+      gamepadState.jog.homing = moveToPosition('home', PREDEFINED_POSITIONS.home.tr, PREDEFINED_POSITIONS.home.el);
+    }
+    sendGamepadRates(limitGamepadRates(rates));
+  }
+  renderGamepadStatus(pad);
+}
+
+/**
+ * Whether the gamepad may jog: connected, motors on and no procedure running
+ * @param {boolean} report - Show why not in the movement status
+ * @returns {boolean}
+ */
+function canGamepadJog(report) {
+  if (!report) {
+    return !!serialPort && !!document.getElementById('motor-toggle')?.checked && getActiveProcedures().length === 0;
+  }
+  if (!validateMovementPrerequisites()) return false;
+  const procedures = getActiveProcedures();
+  if (procedures.length > 0) {
+    updateMovementStatus(`Gamepad: ${procedures.join(', ')} is running`, 'error');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Zero the rate of an axis driving into a sector limit (checkJogStep), once reported
+ * @param {{tr: number, el: number}} rates
+ * @returns {{tr: number, el: number}}
+ */
+function limitGamepadRates(rates) {
+  // The latest frame, as enforceJogLimits sees it (the position display is filtered and lags)
+  const frame = getSelectedDevice()?.lastFrame;
+  const angles = frame
+    ? { tr: frame.Tr_angle * getRegister('Tr_angle').scale, el: frame.El_angle * getRegister('El_angle').scale }
+    : {
+      tr: parseFloat(document.getElementById('PositionInputTR')?.value),
+      el: parseFloat(document.getElementById('PositionInputEL')?.value),
+    };
+  const reasons = [];
+  const limited = { ...rates };
+  MOTION_AXES.forEach(axis => {
+    const reason = checkJogStep(axis, rates[axis], angles[axis]);
+    if (reason) {
+      limited[axis] = 0;
+      reasons.push(reason);
+    }
+  });
+  const limitReason = reasons.join('; ') || null;
+  if (limitReason && limitReason !== gamepadState.jog.limitReason) reportMotionLimit('Gamepad', reasons, true);
+  gamepadState.jog.limitReason = limitReason;
+  return limited;
+}
+
+/**
+ * Command joystick rates (only when they change)
+ * @param {{tr: number, el: number}} rates
+ * @param {number} [priority=SERIAL_PRIORITY.NORMAL] - HIGH for the stop, ahead of queued traffic
+ */
+function sendGamepadRates({ tr, el }, priority = SERIAL_PRIORITY.NORMAL) {
+  if (tr === joystickTr && el === joystickEl) return;
+  joystickTr = tr;
+  joystickEl = el;
+  sendMsg(registerWrites({ Tr_joystick_rate: joystickTr, El_joystick_rate: joystickEl }), { priority });
+}
+
+/**
+ * End a gamepad jog: zero the rates it commanded, and stop a home move it
+ * started where the gimbal is (motion needs the deadman held)
+ * @param {boolean} [holdHome=true] - False when the emergency stop follows
+ */
+function stopGamepadJog(holdHome = true) {
+  if (!gamepadState.jog) return;
+  const { allowed, homing } = gamepadState.jog;
+  gamepadState.jog = null;
+  if (!allowed) return;
+  if (!serialPort) {
+    joystickTr = 0;
+    joystickEl = 0;
+    return;
+  }
+  sendGamepadRates({ tr: 0, el: 0 }, SERIAL_PRIORITY.HIGH);
+  // A procedure that took over commands its own motion
+  if (homing && holdHome && getActiveProcedures().length === 0) holdCurrentPosition();
+}
+
+// ==================== Feedback ====================
+
+/**
+ * Show the gamepad state in the Movement Control panel: the stick position as
+ * a dot on the joystick and a status line with the deadman state and rates
+ * @param {Gamepad|null} pad
+ */
+function renderGamepadStatus(pad) {
+  const status = document.getElementById('gamepad-status');
+  const dot = document.getElementById('gamepad-stick');
+  if (!status || !dot) return;
+
+  if (!pad) {
+    status.textContent = navigator.getGamepads
+      ? 'No gamepad: press a button on the controller to connect'
+      : 'Gamepads are not supported by this browser';
+    status.className = 'gamepad-status';
+    dot.setAttribute('visibility', 'hidden');
+    return;
+  }
+
+  const { maxRate } = gamepadSettings;
+  const { tr, el } = gamepadState.stick;
+  dot.setAttribute('visibility', 'visible');
+  dot.setAttribute('cx', 50 + 30 * Math.max(-1, Math.min(1, tr / maxRate)));
+  dot.setAttribute('cy', 50 - 30 * Math.max(-1, Math.min(1, el / maxRate)));
+
+  const name = pad.id.replace(/\s*\(.*\)\s*$/, '') || 'Gamepad';
+  const jog = gamepadState.jog;
+  if (!gamepadSettings.enabled) {
+    status.textContent = `${name}: disabled`;
+    status.className = 'gamepad-status';
+  } else if (jog?.allowed) {
+    status.textContent = `${name}: jogging TR ${joystickTr}, EL ${joystickEl}${jog.limitReason ? ` (${jog.limitReason})` : ''}`;
+    status.className = 'gamepad-status gamepad-jogging';
+  } else if (jog) {
+    status.textContent = `${name}: jogging not possible, release the trigger`;
+    status.className = 'gamepad-status gamepad-blocked';
+  } else {
+    status.textContent = `${name}: hold the right trigger to jog (stick TR ${tr}, EL ${el})`;
+    status.className = 'gamepad-status';
+  }
+  dot.setAttribute('class', jog?.allowed ? 'gamepad-jogging' : '');
+}
+
+/**
+ * Show the settings in the Movement Control panel inputs
+ */
+function renderGamepadSettings() {
+  const enabled = document.getElementById('gamepad-enabled');
+  if (!enabled) return;
+  enabled.checked = gamepadSettings.enabled;
+  document.getElementById('gamepad-deadzone').value = gamepadSettings.deadzone;
+  document.getElementById('gamepad-expo').value = gamepadSettings.expo;
+  document.getElementById('gamepad-max-rate').value = gamepadSettings.maxRate;
+}
+
+/**
+ * Show the current gamepad state (Movement Control panel opened)
+ */
+function refreshGamepadPanel() {
+  renderGamepadSettings();
+  const pad = gamepadState.index === null || !navigator.getGamepads ? null : navigator.getGamepads()[gamepadState.index];
+  renderGamepadStatus(pad || null);
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.initGamepadControl = initGamepadControl;
+window.setGamepadSettings = setGamepadSettings;
+window.shapeStickAxis = shapeStickAxis;
+window.refreshGamepadPanel = refreshGamepadPanel;
@@ -6,12 +6,19 @@
 
 // Global serial port variables
 let serialPort;
-let writer;
-let reader;
+// Streams, reply framing and command queue of the connection the UI talks to.
+// Units added in the device manager (deviceManager.js) have a link of their own;
+// selecting a unit makes its link the serial link.
+let serialLink = createSerialLink('Unit 1');
 
-// Set to true to use the 3-register packed decoding method (R1[51]/R1[52]/R1[53]),
-// or false to use the original 7-register method (R1[10]/R1[31]/R1[41]/...).
-const USE_PACKED_REGISTERS = false;
+// Live data telemetry format: 'packed' reads the three packed words (R1[51..53]),
+// 'classic' polls the registers listed in REGISTER_MAP (registerMap.js).
+// The setting may also be 'auto'; the format in use is resolved when live data starts.
+let telemetryFormatSetting = localStorage.getItem('gimbal-telemetry-format') || 'auto';
+let activeTelemetryFormat = null;
+
+// Identity of the connected controller, read when live data first starts on a connection
+let deviceIdentity = null;
 
 // Semaphore to pause live data polling during manual serial operations
 let serialLockDepth = 0;
@@ -19,19 +26,30 @@ let liveDataPauseRequested = false;
 let liveDataInProgress = false;
 let liveDataIdleResolvers = [];
 let lastUIUpdateTime = 0;
+// Panels that need a quiet link (e.g. the terminal) hold live data polling off while open
+const liveDataHolds = new Set();
+
+// Procedures (IBIT, friction test, commutation, ...) that an emergency stop aborts
+const activeProcedures = new Set();
+
+// Communication watchdog: live data failures since the last valid frame.
+// stage: 'ok', 'recovering' (link resync attempted) or 'tripped' (emergency stop done)
+let watchdogSettings = { ...WATCHDOG_DEFAULTS, ...JSON.parse(localStorage.getItem('gimbal-watchdog') || '{}') };
+let watchdogIncidents = JSON.parse(localStorage.getItem('gimbal-watchdog-incidents') || '[]');
+const watchdog = { stage: 'ok', failures: 0, lastFrame: performance.now(), incident: null, recovering: false };
+
+const serialEncoder = new TextEncoder();
 
 // ==================== Core Serial Functions ====================
 
 /**
- * Request and open a serial port connection
+ * Request and open a connection over the selected transport
+ * (USB serial port or simulator, see serialTransport.js)
  * @returns {Promise<boolean>} True if connection successful, false otherwise
  */
 async function requestSerialPort() {
   try {
-      serialPort = await navigator.serial.requestPort();
-      await serialPort.open({ baudRate: 115200 });
-      writer = await serialPort.writable.getWriter();
-      reader = await serialPort.readable.getReader();
+      await openSerialPort(await getSerialTransport().requestPort());
       console.log('Serial port opened successfully!');
       return true;
   } catch (error) {
@@ -40,6 +58,135 @@ async function requestSerialPort() {
   }
 }
 
+/**
+ * Open the last used port of the selected transport without prompting
+ * (a previously granted USB port, or the simulator)
+ * @returns {Promise<boolean>} True if connection successful, false otherwise
+ */
+async function connectKnownSerialPort() {
+  try {
+    const port = await getSerialTransport().getKnownPort();
+    if (!port) {
+      console.log('No known serial port to connect to');
+      return false;
+    }
+    await openSerialPort(port);
+    console.log('Serial port reopened without prompting');
+    return true;
+  } catch (error) {
+    console.error('Error connecting to known serial port:', error);
+    return false;
+  }
+}
+
+/**
+ * Open a port, attach the streams and remember it for the next session
+ * @param {Object} port - SerialPort or SerialPort-like object
+ */
+async function openSerialPort(port) {
+  await port.open({ baudRate: SERIAL_BAUD_RATE });
+  serialPort = port;
+  activeTelemetryFormat = null; // the firmware may differ from the last connection
+  deviceIdentity = null;
+  await attachSerialStreams(port);
+  const transport = getSerialTransport();
+  if (transport.rememberPort) transport.rememberPort(port);
+}
+
+/**
+ * Forget a port that disappeared (cable unplugged, adapter reset):
+ * fail pending traffic, release the streams and close what is left of it
+ */
+async function dropLostSerialPort() {
+  const lostPort = serialPort;
+  serialPort = null;
+  await releaseSerialStreams();
+  if (lostPort) {
+    try {
+      await lostPort.close();
+    } catch (error) {
+      // already closed by the browser
+    }
+  }
+  console.warn('Serial port lost');
+}
+
+/**
+ * Create the state of one serial link: port streams, reply framing and command queue
+ * @param {string} name - Unit name used in log messages
+ * @returns {Object} Link
+ */
+function createSerialLink(name) {
+  return {
+    name,
+    writer: null,
+    reader: null,
+    readLoopDone: null,
+    // Response framing: a background loop reads the port into rxBuffer and hands
+    // complete replies to pendingResponses in the order the requests were written.
+    rxBuffer: '',
+    pendingResponses: [],
+    deviceEcho: 1,          // mirrors the drive's EO setting (power-up default is on)
+    // Command scheduler: every write goes through commandQueue and runs one at a
+    // time, highest priority first (see SERIAL_PRIORITY in constants.js).
+    commandQueue: [],
+    commandInFlight: null,
+    commandQueueRunning: false,
+  };
+}
+
+/**
+ * Log a framing warning and record it, like the link traffic, in the serial
+ * capture. Only the serial link is captured; other units are logged with their name.
+ * @param {Object} link
+ * @param {string} dir - 'tx', 'rx' or 'warn'
+ * @param {string} data
+ */
+function captureLinkEvent(link, dir, data) {
+  if (dir === 'warn') console.warn(link === serialLink ? data : `[${link.name}] ${data}`);
+  if (link === serialLink) captureSerialEvent(dir, data);
+}
+
+/**
+ * Take the writer/reader of an open port, start the read loop and
+ * resynchronize the response framing with the drive
+ * @param {Object} port - Open SerialPort or SerialPort-like object
+ * @param {Object} [link] - Defaults to the serial link
+ */
+async function attachSerialStreams(port, link = serialLink) {
+  link.writer = await port.writable.getWriter();
+  link.reader = await port.readable.getReader();
+  link.rxBuffer = '';
+  link.readLoopDone = runReadLoop(link, link.reader, port);
+  await scheduleCommand(resyncSerialFraming, SERIAL_PRIORITY.HIGH, undefined, link);
+}
+
+/**
+ * Release the writer/reader, stop the read loop and fail any pending replies
+ * @param {Object} [link] - Defaults to the serial link
+ */
+async function releaseSerialStreams(link = serialLink) {
+  cancelQueuedCommands(link);
+  cancelPendingResponses(link);
+  const activeReader = link.reader;
+  link.reader = null;
+  if (link.writer) {
+    link.writer.releaseLock();
+    link.writer = null;
+  }
+  if (activeReader) {
+    try {
+      await activeReader.cancel();
+    } catch (error) {
+      // port already gone (e.g. cable unplugged)
+    }
+    await link.readLoopDone;
+    activeReader.releaseLock();
+  }
+  link.readLoopDone = null;
+  link.rxBuffer = '';
+}
+
 /**
  * Wait until the current live data cycle finishes (if any)
  * @returns {Promise<void>}
@@ -77,108 +224,517 @@ async function runWithSerialLock(fn) {
 }
 
 /**
- * Internal helper to send raw bytes to the serial writer
- * (callers must hold the serial lock before invoking)
+ * Hold live data polling off (or release the hold) for as long as a panel needs it.
+ * Unlike showLiveData(false), the polling interval keeps running, so code that
+ * restarts live data meanwhile does not override the hold.
+ * @param {string} owner - Name of the holder
+ * @param {boolean} held - True to hold, false to release
+ * @returns {Promise<void>} Resolves once no live data cycle is in progress
+ */
+function setLiveDataHold(owner, held) {
+  if (held) {
+    liveDataHolds.add(owner);
+  } else {
+    liveDataHolds.delete(owner);
+  }
+  return waitForLiveDataIdle();
+}
+
+// ==================== Response Framing ====================
+
+/**
+ * Split a message into individual drive commands.
+ * ';', CR and LF all terminate a command; empty commands are dropped.
+ * @param {string} message
+ * @returns {Array<string>}
+ */
+function splitCommands(message) {
+  return message.split(/[;\r\n]/).map(cmd => cmd.trim()).filter(Boolean);
+}
+
+/**
+ * Count the ';'-terminated replies the drive sends for a list of commands.
+ * Every command is answered with 'value;' (';' for assignments, '?;' for errors),
+ * preceded by its echo 'cmd;' while EO=1. An EO assignment changes the echo for
+ * the commands after it. Updates the tracked echo state.
+ * @param {Array<string>} commands - Commands as written, including the trailing empty one
+ * @param {Object} link
+ * @returns {number}
+ */
+function countExpectedReplies(commands, link) {
+  let count = 0;
+  for (const cmd of commands) {
+    count += link.deviceEcho ? 2 : 1;
+    const eo = cmd.match(/^eo\s*=\s*(\d+)$/i);
+    if (eo) link.deviceEcho = Number(eo[1]) ? 1 : 0;
+  }
+  return count;
+}
+
+/**
+ * Register a pending reply, before its request is written
+ * @param {number} expected - Number of ';'-terminated replies that complete it
+ * @param {number} timeoutMs - Time to wait before resolving with ''
+ * @param {Object} link
+ * @returns {Object} Pending entry; entry.promise resolves with the complete reply text, or '' on timeout
+ */
+function expectResponse(expected, timeoutMs, link) {
+  const entry = { link, expected, received: 0, text: '', resolve: null, timer: null, abandoned: false };
+  entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+  entry.timer = setTimeout(() => abandonResponse(entry), timeoutMs);
+  link.pendingResponses.push(entry);
+  return entry;
+}
+
+/**
+ * Stop waiting for a reply. The entry stays in the queue so its late bytes are
+ * consumed, not handed to the next request; it is dropped if it never completes.
+ * @param {Object} entry - Pending response entry
+ */
+function abandonResponse(entry) {
+  if (entry.abandoned) return;
+  clearTimeout(entry.timer);
+  entry.abandoned = true;
+  entry.resolve('');
+  entry.timer = setTimeout(() => dropStaleResponse(entry), SERIAL_STALE_RESPONSE_MS);
+}
+
+/**
+ * Give up on a timed-out reply whose remaining bytes never arrived
+ * @param {Object} entry - Pending response entry
+ */
+function dropStaleResponse(entry) {
+  const link = entry.link;
+  const index = link.pendingResponses.indexOf(entry);
+  if (index === -1) return;
+  link.pendingResponses.splice(index, 1);
+  const warning = `Serial framing: dropped incomplete reply (${entry.received}/${entry.expected}): "${entry.text}"`;
+  captureLinkEvent(link, 'warn', warning);
+  link.rxBuffer = '';
+}
+
+/**
+ * Resolve every pending reply with '' (used when the port closes)
+ * @param {Object} [link] - Defaults to the serial link
+ */
+function cancelPendingResponses(link = serialLink) {
+  link.pendingResponses.forEach(entry => {
+    clearTimeout(entry.timer);
+    if (!entry.abandoned) entry.resolve('');
+  });
+  link.pendingResponses = [];
+}
+
+/**
+ * Forget every outstanding reply, including abandoned ones still waiting for
+ * late bytes, and the partial data in rxBuffer. Used when the link stalled:
+ * late replies would otherwise be matched to the wrong requests.
+ * @param {Object} [link] - Defaults to the serial link
+ */
+function discardPendingResponses(link = serialLink) {
+  cancelPendingResponses(link);
+  link.rxBuffer = '';
+}
+
+/**
+ * Move complete replies from rxBuffer to the pending requests, oldest first.
+ * Partial replies stay in the buffer until their terminator arrives.
+ * @param {Object} link
+ */
+function processRxBuffer(link) {
+  while (link.rxBuffer) {
+    const head = link.pendingResponses[0];
+    if (!head) {
+      const warning = `Serial framing: discarding unsolicited data "${link.rxBuffer}"`;
+      captureLinkEvent(link, 'warn', warning);
+      link.rxBuffer = '';
+      return;
+    }
+    if (head.sink) {
+      link.rxBuffer = '';
+      return;
+    }
+
+    const end = link.rxBuffer.indexOf(';');
+    if (end === -1) return;
+
+    head.text += link.rxBuffer.slice(0, end + 1);
+    link.rxBuffer = link.rxBuffer.slice(end + 1);
+    head.received++;
+
+    if (head.received >= head.expected) {
+      link.pendingResponses.shift();
+      clearTimeout(head.timer);
+      if (!head.abandoned) head.resolve(head.text.trim());
+    }
+  }
+}
+
+/**
+ * Background loop: read the port until it closes and frame the incoming bytes
+ * @param {Object} link
+ * @param {ReadableStreamDefaultReader} activeReader
+ * @param {Object} port - Port the reader belongs to
+ */
+async function runReadLoop(link, activeReader, port) {
+  const decoder = new TextDecoder();
+  try {
+    while (true) {
+      const { value, done } = await activeReader.read();
+      if (done) break;
+      const text = decoder.decode(value, { stream: true });
+      captureLinkEvent(link, 'rx', text);
+      link.rxBuffer += text;
+      processRxBuffer(link);
+    }
+  } catch (error) {
+    if (link.reader === activeReader) {
+      console.error(`Serial read loop stopped (${link.name}):`, error);
+      // A fatal error leaves the port without a readable stream: the device is gone
+      if (port.readable) return;
+      if (link === serialLink) {
+        handleSerialLinkLost();
+      } else {
+        handleDeviceLinkLost(link);
+      }
+    }
+  }
+}
+
+/**
+ * Bring the framing back in step with the drive: swallow everything it sends
+ * for a short quiet period while forcing a known echo state (EO=1).
+ * Runs as a scheduler job so no other command is written while the sink is open.
+ * @param {Object} [link] - Defaults to the serial link
+ */
+async function resyncSerialFraming(link = serialLink) {
+  const sink = { sink: true, timer: null, abandoned: true };
+  link.pendingResponses.push(sink);
+  await writeSerialText('eo=1;', link);
+  await new Promise(resolve => setTimeout(resolve, SERIAL_RESYNC_MS));
+  link.pendingResponses.splice(link.pendingResponses.indexOf(sink), 1);
+  link.rxBuffer = '';
+  link.deviceEcho = 1;
+}
+
+// ==================== Message Functions ====================
+
+/**
+ * Internal helper to send a message to the serial writer
+ * (only the command scheduler calls this).
+ * The message is normalized to 'cmd1;cmd2;...;;' — the trailing empty command
+ * makes every write produce a reply, so unread replies never leak into the next one.
  * @param {string} message
+ * @param {number} timeoutMs - Time to wait for the complete reply
+ * @param {Object} link
+ * @returns {Promise<{response: Promise<string>, cancel: () => void}>} Resolves once written
  */
-async function writeSerialMessage(message) {
-  if (!writer) {
+async function writeSerialMessage(message, timeoutMs = SERIAL_RESPONSE_TIMEOUT_MS, link) {
+  if (!link.writer) {
     console.warn('Attempted to write without an active serial writer');
-    return;
+    return { response: Promise.resolve(''), cancel: () => {} };
+  }
+
+  const commands = [...splitCommands(message), ''];
+  const entry = expectResponse(countExpectedReplies(commands, link), timeoutMs, link);
+  await writeSerialText(commands.join(';') + ';', link);
+  return { response: entry.promise, cancel: () => abandonResponse(entry) };
+}
+
+/**
+ * Write raw text to the port (and to the traffic capture)
+ * @param {string} text
+ * @param {Object} link
+ */
+async function writeSerialText(text, link) {
+  captureLinkEvent(link, 'tx', text);
+  await link.writer.write(serialEncoder.encode(text));
+}
+
+// ==================== Command Scheduler ====================
+
+/**
+ * Queue a command and run it when its turn comes
+ * @param {string|Function} message - Command text, or an async action (called with the link) that needs the link to itself
+ * @param {number} priority - One of SERIAL_PRIORITY
+ * @param {number} timeoutMs - Reply timeout
+ * @param {Object} [link] - Defaults to the serial link
+ * @returns {Promise<string>} Reply text, '' on timeout or when cancelled
+ */
+function scheduleCommand(message, priority, timeoutMs, link = serialLink) {
+  return new Promise(resolve => {
+    const job = { message, priority, timeoutMs, resolve, cancel: null, cancelled: false };
+
+    if (priority <= SERIAL_PRIORITY.HIGH) {
+      preemptLowerPriority(priority, link);
+    }
+
+    // Insert after every job of the same or higher priority (FIFO within a level)
+    const index = link.commandQueue.findIndex(queued => queued.priority > priority);
+    link.commandQueue.splice(index === -1 ? link.commandQueue.length : index, 0, job);
+
+    runCommandQueue(link);
+  });
+}
+
+/**
+ * Make room for an urgent command: stop waiting for the reply of lower-priority
+ * work in flight and, for an emergency, drop queued routine commands and abort
+ * running procedures.
+ * @param {number} priority - Priority of the urgent command
+ * @param {Object} link
+ */
+function preemptLowerPriority(priority, link) {
+  if (link.commandInFlight && link.commandInFlight.priority > priority) {
+    cancelCommand(link.commandInFlight);
   }
 
-  const encoder = new TextEncoder();
-  await writer.write(encoder.encode(message + '\r'));
+  if (priority === SERIAL_PRIORITY.EMERGENCY) {
+    const dropped = link.commandQueue.filter(job => job.priority >= SERIAL_PRIORITY.NORMAL);
+    link.commandQueue = link.commandQueue.filter(job => job.priority < SERIAL_PRIORITY.NORMAL);
+    dropped.forEach(job => job.resolve(''));
+    if (dropped.length > 0) {
+      console.warn(`Emergency command: dropped ${dropped.length} queued command(s)`);
+    }
+    abortProcedures('Emergency stop');
+  }
 }
 
+/**
+ * Cancel the wait for a job's reply (the bytes already sent cannot be recalled)
+ * @param {Object} job
+ */
+function cancelCommand(job) {
+  job.cancelled = true;
+  if (job.cancel) job.cancel();
+}
+
+/**
+ * Run queued jobs one at a time until the queue is empty
+ * @param {Object} link
+ */
+async function runCommandQueue(link) {
+  if (link.commandQueueRunning) return;
+  link.commandQueueRunning = true;
+
+  try {
+    while (link.commandQueue.length > 0) {
+      const job = link.commandQueue.shift();
+      link.commandInFlight = job;
+      try {
+        if (typeof job.message === 'function') {
+          await job.message(link);
+          job.resolve('');
+          link.commandInFlight = null;
+          continue;
+        }
+        const { response, cancel } = await writeSerialMessage(job.message, job.timeoutMs, link);
+        job.cancel = cancel;
+        if (job.cancelled) cancel();
+        job.resolve(await response);
+      } catch (error) {
+        console.error('Error writing to serial port:', error);
+        job.resolve('');
+      }
+      link.commandInFlight = null;
+    }
+  } finally {
+    link.commandQueueRunning = false;
+  }
+}
+
+/**
+ * Resolve every queued job with '' (used when the port closes)
+ * @param {Object} [link] - Defaults to the serial link
+ */
+function cancelQueuedCommands(link = serialLink) {
+  const jobs = link.commandQueue;
+  link.commandQueue = [];
+  jobs.forEach(job => job.resolve(''));
+  if (link.commandInFlight) cancelCommand(link.commandInFlight);
+}
+
+// ==================== Procedures ====================
+
+/**
+ * Register a long-running procedure so an emergency stop can abort it.
+ * The procedure must check signal.aborted after every await and clean up.
+ * @param {string} name - Procedure name for logging
+ * @returns {AbortSignal}
+ */
+function beginProcedure(name) {
+  const controller = new AbortController();
+  controller.procedureName = name;
+  activeProcedures.add(controller);
+  return controller.signal;
+}
+
+/**
+ * Unregister a procedure started with beginProcedure()
+ * @param {AbortSignal} signal
+ */
+function endProcedure(signal) {
+  activeProcedures.forEach(controller => {
+    if (controller.signal === signal) activeProcedures.delete(controller);
+  });
+}
+
+/**
+ * Abort every running procedure
+ * @param {string} reason - Shown in logs and passed to signal.reason
+ */
+function abortProcedures(reason) {
+  activeProcedures.forEach(controller => {
+    console.warn(`Aborting ${controller.procedureName}: ${reason}`);
+    controller.abort(reason);
+  });
+  activeProcedures.clear();
+}
+
+/**
+ * Abort the running procedures with a given name (e.g. a Stop button)
+ * @param {string} name - Name passed to beginProcedure()
+ * @param {string} reason
+ * @returns {boolean} True if one was running
+ */
+function abortProcedure(name, reason) {
+  let found = false;
+  activeProcedures.forEach(controller => {
+    if (controller.procedureName !== name) return;
+    console.warn(`Aborting ${name}: ${reason}`);
+    controller.abort(reason);
+    activeProcedures.delete(controller);
+    found = true;
+  });
+  return found;
+}
+
+/**
+ * Names of the procedures running now
+ * @returns {Array<string>}
+ */
+function getActiveProcedures() {
+  return [...activeProcedures].map(controller => controller.procedureName);
+}
+
+/**
+ * Wait for a given time, returning early if the procedure is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<boolean>} True if the procedure was aborted
+ */
+function procedureDelay(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve(true);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(false);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// ==================== Message Functions ====================
+
 /**
  * Send a message to the gimbal
  * @param {string} message - Message to send
- * @param {{skipLock?: boolean}} options - Optional behavior overrides
+ * @param {Object} options - Optional behavior overrides
+ * @param {boolean} options.skipLock - If true, do not pause live data polling
+ * @param {number} options.priority - One of SERIAL_PRIORITY (default NORMAL)
+ * @param {Object} options.link - Link of another unit (default: the serial link)
+ * @returns {Promise<void>} Resolves once the drive has answered (or the wait was cancelled)
  */
 function sendMsg(message, options = {}) {
-  if (!writer) {
+  const link = options.link || serialLink;
+  if (!link.writer) {
     console.warn('sendMsg called without an open serial writer');
     return;
   }
 
-  const exec = () => writeSerialMessage(message);
-  return options.skipLock ? exec() : runWithSerialLock(exec);
+  const priority = options.priority ?? SERIAL_PRIORITY.NORMAL;
+  const exec = async () => {
+    const reply = await scheduleCommand(message, priority, SERIAL_RESPONSE_TIMEOUT_MS, link);
+    checkCommandReply(message, reply, priority, options);
+  };
+  return needsSerialLock(link, priority, options) ? runWithSerialLock(exec) : exec();
 }
 
 /**
- * Read a message from the gimbal
+ * Send a message and wait for its complete reply
  * @param {string} message - Message to send before reading
  * @param {Object} options - Options object
- * @param {boolean} options.skipLock - If true, skip the serial lock
- * @returns {Promise<string>} Response from gimbal
+ * @param {boolean} options.skipLock - If true, do not pause live data polling
+ * @param {number} options.priority - One of SERIAL_PRIORITY (default NORMAL)
+ * @param {number} options.timeoutMs - Reply timeout (default SERIAL_RESPONSE_TIMEOUT_MS)
+ * @param {boolean} options.allowError - If true, a '?' reply is left to the caller instead of being reported
+ * @param {Object} options.link - Link of another unit (default: the serial link)
+ * @returns {Promise<string>} Response from gimbal, '' on timeout or cancellation
  */
 async function readMsg(message, options = {}) {
-  if (!reader) {
+  const link = options.link || serialLink;
+  if (!link.reader) {
     console.error('No serial reader available');
     return '';
   }
-  if (!writer) {
+  if (!link.writer) {
     console.error('No serial writer available for readMsg');
     return '';
   }
 
+  const priority = options.priority ?? SERIAL_PRIORITY.NORMAL;
   const exec = async () => {
-    try {
-      const sendTime = Date.now();
-      await writeSerialMessage(message);
-      
-      // Read response with timeout
-      const timeoutMs = 40;
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout')), timeoutMs)
-      );
-      
-      const readPromise = (async () => {
-        let response = '';
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
-          
-          const chunk = new TextDecoder().decode(value);
-          response += chunk;
-          // console.log(`readMsg raw chunk (${Date.now() - sendTime}ms): "${chunk.replace(/\r/g, '\\r').replace(/\n/g, '\\n')}"`);
-          
-          // Check if we have a complete response (ends with semicolon or newline)
-          if (chunk.includes(';;')) {   // chunk.includes('\r')
-            break;
-          }
-        }
-        return response.trim();
-      })();
-      
-      return await Promise.race([readPromise, timeoutPromise]);
-    } catch (error) {
-      if (error.message !== 'Timeout') {
-        console.error('Error reading from serial port:', error);
-      }
-      return '';
-    }
+    const reply = await scheduleCommand(message, priority, options.timeoutMs ?? SERIAL_RESPONSE_TIMEOUT_MS, link);
+    checkCommandReply(message, reply, priority, options);
+    return reply;
   };
+  return needsSerialLock(link, priority, options) ? runWithSerialLock(exec) : exec();
+}
+
+/**
+ * Whether a command has to pause live data polling while it waits: routine
+ * commands on the serial link do; urgent commands, live data polls and traffic
+ * to other units (polled by the device manager) do not.
+ * @param {Object} link
+ * @param {number} priority
+ * @param {Object} options - sendMsg/readMsg options
+ * @returns {boolean}
+ */
+function needsSerialLock(link, priority, options) {
+  return link === serialLink && !options.skipLock && priority > SERIAL_PRIORITY.HIGH;
+}
 
-  return options.skipLock ? exec() : runWithSerialLock(exec);
+/**
+ * Report a command the drive rejected with '?' (reads EC on the same link and
+ * logs the decoded error, see elmoFaults.js). Live data polls and callers that pass allowError
+ * (probes, the terminal) handle '?' themselves.
+ * @param {string} message - Command as sent
+ * @param {string} reply
+ * @param {number} priority
+ * @param {Object} options - sendMsg/readMsg options
+ */
+function checkCommandReply(message, reply, priority, options) {
+  if (options.allowError || priority === SERIAL_PRIORITY.POLL || !replyHasError(reply)) return;
+  reportCommandError(message, options.link || serialLink);
 }
 
 /**
  * Close the serial port connection
  */
-function closeSerialPort() {
-  if (writer) {
-    writer.releaseLock();
-    writer = null;
-  }
-  if (reader) {
-    reader.releaseLock();
-    reader = null;
-  }
+async function closeSerialPort() {
+  await releaseSerialStreams();
   if (serialPort) {
-    serialPort.close();
+    const portToClose = serialPort;
     serialPort = null;
+    try {
+      await portToClose.close();
+    } catch (error) {
+      console.warn('Error closing serial port:', error);
+    }
   }
   console.log('Serial port closed');
 }
@@ -194,15 +750,7 @@ async function reconnectSerialPort() {
   }
 
   try {
-    // Release locks
-    if (writer) {
-      writer.releaseLock();
-      writer = null;
-    }
-    if (reader) {
-      reader.releaseLock();
-      reader = null;
-    }
+    await releaseSerialStreams();
 
     // Store port reference
     const portToReconnect = serialPort;
@@ -211,12 +759,11 @@ async function reconnectSerialPort() {
     await portToReconnect.close();
 
     // Reopen the same port
-    await portToReconnect.open({ baudRate: 115200 });
+    await portToReconnect.open({ baudRate: SERIAL_BAUD_RATE });
     serialPort = portToReconnect;
 
     // Get new reader and writer
-    writer = await serialPort.writable.getWriter();
-    reader = await serialPort.readable.getReader();
+    await attachSerialStreams(portToReconnect);
 
     console.log('Serial port reconnected successfully!');
     return true;
@@ -228,16 +775,21 @@ async function reconnectSerialPort() {
 }
 
 /**
- * Flush stale data from the serial buffer by waiting briefly and then
- * sending a dummy query ('px;;') and discarding its response.
- * Any buffered echoes from previous commands are consumed and thrown away,
- * leaving the buffer clean for the next real read.
+ * Flush stale data from the receive side: wait for every outstanding reply
+ * to complete (or time out), then discard anything else the drive sends
+ * during a short quiet period.
  */
 async function flushSerialReader() {
-  if (!reader) return;
-  await new Promise(resolve => setTimeout(resolve, 100));
-  await readMsg('px;;\r', { skipLock: true });
-  console.log('flushSerialReader: buffer synced');
+  const link = serialLink;
+  if (!link.reader) return;
+  const outstanding = link.pendingResponses.length + link.commandQueue.length;
+  const start = Date.now();
+  const busy = () => link.pendingResponses.length > 0 || link.commandQueue.length > 0 || link.commandInFlight;
+  while (busy() && Date.now() - start < SERIAL_STALE_RESPONSE_MS) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await scheduleCommand(resyncSerialFraming, SERIAL_PRIORITY.HIGH);
+  console.log(`flushSerialReader: buffer synced (${outstanding} reply(s) outstanding)`);
 }
 
 // ==================== Utility Functions ====================
@@ -294,44 +846,11 @@ const getValue = (pairs, key) =>
   pairs.find(([k]) => String(k) === String(key))?.[1] ?? null;
 
 /**
- * Sign-extend a value from a given bit width to a full 32-bit signed integer.
- * @param {number} value - The raw unsigned value
- * @param {number} bits  - The number of bits it was extracted from
- * @returns {number} Signed integer
- */
-function signExtend(value, bits) {
-  const shift = 32 - bits;
-  return (value << shift) >> shift;
-}
-
-/**
- * Decode three packed 32-bit registers (R1[51], R1[52], R1[53]) into individual gimbal fields.
- * @param {number} R1 - First packed register
- * @param {number} R2 - Second packed register
- * @param {number} R3 - Third packed register
- * @returns {{ posTr, posEl, posCmdTr, posCmdEl, rateTr, rateEl, status, curTr, curEl }}
+ * Save the drive settings to flash (sv) and reconnect
+ * @param {boolean} [askConfirmation] - False when the caller already confirmed (parameter restore)
+ * @returns {Promise<boolean|undefined>} True once saved and reconnected
  */
-function decodeRegisters(R1, R2, R3) {
-  R1 = R1 | 0;
-  R2 = R2 | 0;
-  R3 = R3 | 0;
-
-  const posTr    = signExtend((R1 >>> 20) & 0xFFF, 12);
-  const posEl    = signExtend((R1 >>>  8) & 0xFFF, 12);
-  const status   =            (R1 >>>  0) & 0xFF;
-
-  const posCmdTr = signExtend((R2 >>> 20) & 0xFFF, 12);
-  const posCmdEl = signExtend((R2 >>>  8) & 0xFFF, 12);
-  const curTr    =            (R2 >>>  0) & 0xFF;
-
-  const rateTr   = signExtend((R3 >>> 22) & 0x3FF, 10);
-  const rateEl   = signExtend((R3 >>> 12) & 0x3FF, 10);
-  const curEl    =            (R3 >>>  4) & 0xFF;
-
-  return { posTr, posEl, posCmdTr, posCmdEl, rateTr, rateEl, status, curTr, curEl };
-}
-
-async function saveElmo() {
+async function saveElmo(askConfirmation = true) {
   
   // Check serial connection
   if (!serialPort) {
@@ -339,17 +858,19 @@ async function saveElmo() {
     return false;
   }
 
-  const result = await Swal.fire({
-    title: 'Save Elmo Settings',
-    text: `Are you sure you want to save Elmo settings?`,
-    icon: 'question',
-    showCancelButton: true,
-    confirmButtonText: 'Yes',
-    cancelButtonText: 'No'
-  });
-  if (!result.isConfirmed) {
-    console.log('Canceled');
-    return;
+  if (askConfirmation) {
+    const result = await Swal.fire({
+      title: 'Save Elmo Settings',
+      text: `Are you sure you want to save Elmo settings?`,
+      icon: 'question',
+      showCancelButton: true,
+      confirmButtonText: 'Yes',
+      cancelButtonText: 'No'
+    });
+    if (!result.isConfirmed) {
+      console.log('Canceled');
+      return;
+    }
   }
   
   await showLiveData(false);
@@ -365,6 +886,7 @@ async function saveElmo() {
 
   updateMovementStatus('Elmo settings saved', 'ready');
   showLiveData(true);
+  return true;
 }
 
 // ==================== Live Data Functions ====================
@@ -378,14 +900,21 @@ async function showLiveData(state) {
       clearInterval(intervalShowLiveData);
       intervalShowLiveData = null;
       prevAngle = null;
-      await sendMsg('eo=1;'); // Turn on echo
+      if (serialLink.writer) await sendMsg('eo=1;'); // Turn on echo
       console.log("Stopped show live data interval");
   } else if (state)  {
       console.log("Start show live data interval");
       await sendMsg('eo=0;'); // Turn off echo
+      if (!deviceIdentity) {
+        deviceIdentity = await identifyDevice();
+      }
+      if (!activeTelemetryFormat) {
+        activeTelemetryFormat = await resolveTelemetryFormat();
+      }
+      resetWatchdog();
       intervalShowLiveData = setInterval(() => {
         updateLiveData();
-      }, 20); // ms
+      }, LIVE_DATA_INTERVAL_MS);
   }
 }
 
@@ -393,20 +922,30 @@ async function showLiveData(state) {
  * Update live data from gimbal and refresh UI
  */
 async function updateLiveData() {
-  if (liveDataPauseRequested || liveDataInProgress) {
+  if (liveDataInProgress) {
+    recordTelemetryEvent('overruns');
+    checkWatchdog(); // a stalled link leaves the previous cycle hanging
     return;
   }
+  if (liveDataPauseRequested || liveDataHolds.size > 0) {
+    recordTelemetryEvent('paused');
+    holdWatchdog();
+    return;
+  }
+  checkWatchdog();
 
   liveDataInProgress = true;
-  // let readTime = Date.now();
+  const packed = activeTelemetryFormat === 'packed';
+  // Watch list entries due in this frame are read by the same command
+  const watchDue = getDueWatchItems(Date.now());
+  const watchReads = watchDue.map(item => item.expr);
+  const requestTime = performance.now();
   let tRead;
   try {
-    const readCommand = USE_PACKED_REGISTERS
-      ? 'R1[51];R1[52];R1[53];;\r'
-      : 'R1[125];R1[10];R1[31];R1[41];R1[33];R1[43];R1[34];R1[44];R1[9];;\r';
-    tRead = await readMsg(readCommand, { skipLock: true });
-    // let endTime = Date.now();
-    // console.log(`Time taken: ${endTime - readTime}ms`);
+    const readCommand = packed
+      ? buildPackedPollCommand(watchReads)
+      : buildPollCommand(watchReads);
+    tRead = await readMsg(readCommand, { skipLock: true, priority: SERIAL_PRIORITY.POLL });
   } finally {
     liveDataInProgress = false;
     if (liveDataIdleResolvers.length > 0) {
@@ -415,122 +954,526 @@ async function updateLiveData() {
     }
   }
 
+  const replyTime = performance.now();
   if (!tRead) {
+    recordTelemetryEvent('timeouts');
+    watchdog.failures++;
     return;
   }
-  // console.log(tRead);
-  // let pairs = parsePairs(tRead);
-  // let sysMode = getValue(pairs, 10);
-  // let posTr = getValue(pairs, 31);
-  // let posEl = getValue(pairs, 41);
-  // let velTr = getValue(pairs, 33);
-  // let velEl = getValue(pairs, 43);
-  // let curTr = getValue(pairs, 34);
-  // let curEl = getValue(pairs, 44);
-  
-  let sysMode = null;
-  let errBits = null;
-  let posTr, posEl, velTr, velEl, curTr, curEl;
-  let posCmdTr = null, posCmdEl = null, status = null;
 
-  if (USE_PACKED_REGISTERS) {
-    const parts = tRead.split(';').map(Number);
+  // Raw register values keyed by REGISTER_MAP name
+  let frame;
+  let watchValues;
+
+  if (packed) {
+    const fields = tRead.split(';');
+    const parts = fields.map(Number);
     if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) {
+      recordTelemetryEvent('discarded');
+      watchdog.failures++;
       return; // bad read — skip UI update and CSV recording
     }
-    const decoded = decodeRegisters(parts[0], parts[1], parts[2]);
-    posTr    = decoded.posTr;
-    posEl    = decoded.posEl;
-    velTr    = decoded.rateTr;
-    velEl    = decoded.rateEl;
-    curTr    = decoded.curTr;
-    curEl    = decoded.curEl;
-    posCmdTr = decoded.posCmdTr;
-    posCmdEl = decoded.posCmdEl;
-    status   = decoded.status;
+    watchValues = fields.slice(3, 3 + watchDue.length).map(field => field.trim());
+    frame = decodePackedFrame(parts);
   } else {
-    // Parse semicolon-delimited values.
-    // R1[125] always returns 255 and is used as an alignment sentinel.
-    // Search for 255 to handle stale leading bytes from a previous response.
-    const values = tRead.split(';').map(val => {
-      const trimmed = val.trim();
-      if (trimmed === '') return null;
-      const num = Number(trimmed);
-      return isNaN(num) ? trimmed : num;
-    });
-    const i = values.indexOf(255);
-    if (i === -1) {
+    // Replies are framed per request, so the R1[125] sentinel should always lead;
+    // parsePollReply still searches for it to guard against an unexpected echo or layout.
+    const parsed = parsePollReply(tRead, watchDue.length);
+    if (!parsed) {
       console.warn('updateLiveData: alignment sentinel (255) not found — discarding frame');
+      captureSerialEvent('warn', `updateLiveData: alignment sentinel (255) not found, discarded "${tRead}"`);
+      recordTelemetryEvent('discarded');
+      watchdog.failures++;
       return;
     }
-    if (i > 0) {
-      console.warn(`updateLiveData: realigned by ${i} position(s)`);
+    if (parsed.shift > 0) {
+      recordTelemetryEvent('realigned');
+      console.warn(`updateLiveData: realigned by ${parsed.shift} position(s)`);
+      captureSerialEvent('warn', `updateLiveData: realigned by ${parsed.shift} position(s) in "${tRead}"`);
     }
-    sysMode = values[i + 1] ?? null;
-    posTr   = values[i + 2] ?? null;
-    posEl   = values[i + 3] ?? null;
-    velTr   = values[i + 4] ?? null;
-    velEl   = values[i + 5] ?? null;
-    curTr   = values[i + 6] ?? null;
-    curEl   = values[i + 7] ?? null;
-    errBits = values[i + 8] ?? null;
-  }
-
-  // Only update UI if core values are valid numbers and 100ms have passed since last update
-  const coreValues = [posTr, posEl, velTr, velEl, curTr, curEl];
+    frame = parsed.frame;
+    watchValues = parsed.extra;
+  }
+  recordTelemetryFrame(requestTime, replyTime);
+  watchdogFrameReceived();
+  deviceFrameReceived(getSelectedDevice(), frame);
+  enforceJogLimits(frame);
+  updateWatchValues(watchDue, watchValues, Date.now());
+
+  // Only update UI if the displayed values are valid numbers and 100ms have passed since last update
   const isValid = val => val !== null && val !== undefined && typeof val === 'number' && !isNaN(val);
-  const allValuesValid = USE_PACKED_REGISTERS
-    ? coreValues.every(isValid)
-    : [...coreValues, sysMode].every(isValid);
-  
+  const shownRegisters = getDisplayedRegisters().filter(entry => entry.display.id && entry.name in frame);
+  const allValuesValid = shownRegisters.every(entry => isValid(frame[entry.name]));
+
   const now = Date.now();
   const timeSinceLastUIUpdate = Date.now() - lastUIUpdateTime;
-  
+
   if (allValuesValid && timeSinceLastUIUpdate >= 100) {
-    if (!USE_PACKED_REGISTERS) {
-      updateInputValue('systemModeInput', sysMode, 1);
-    }
-    updateInputValue('PositionInputTR', posTr);
-    updateInputValue('PositionInputEL', posEl);
-    updateInputValue('VelocityInputTR', velTr,10,0);
-    updateInputValue('VelocityInputEL', velEl,10,0);
-    updateInputValue('CurrentInputTR', curTr,1000,1);
-    updateInputValue('CurrentInputEL', curEl,1000,1);
-    updateErrorBits(errBits);
+    showTelemetryFrame(frame, packed);
+    broadcastTelemetry(frame, packed);
     lastUIUpdateTime = now;
   } else if (!allValuesValid) {
-    console.log('Skipping UI update - not all values are valid numbers:', { sysMode, posTr, posEl, velTr, velEl, curTr, curEl });
+    console.log('Skipping UI update - not all values are valid numbers:', frame);
   }
 
-  // Save data if test is running and we've reached minAngle at least once
+  // Save data if recording
   if (shouldRecordData) {
-    rows.Tr_angle.push(posTr);
-    rows.Tr_velocity.push(velTr);
-    rows.Tr_current.push(curTr); 
-    rows.El_angle.push(posEl);
-    rows.El_velocity.push(velEl);
-    rows.El_current.push(curEl);
-    rows.Tr_cmd_angle.push(posCmdTr);
-    rows.El_cmd_angle.push(posCmdEl);
-    rows.status.push(USE_PACKED_REGISTERS ? status : errBits);
+    getRecordedRegisters().forEach(entry => {
+      rows[entry.name].push(frame[entry.name] ?? null);
+    });
+    recordWatchValues();
     rows.time.push(Date.now() - startTime); // Time in milliseconds
   }
 }
 
+/**
+ * Show a live data frame in the sidebar inputs and error bits
+ * (also used by mirror tabs for frames received from the owner tab)
+ * @param {Object} frame - Raw register values keyed by REGISTER_MAP name
+ * @param {boolean} packed - Frame came from the packed telemetry words
+ */
+function showTelemetryFrame(frame, packed) {
+  getDisplayedRegisters()
+    .filter(entry => entry.display.id && entry.name in frame)
+    .forEach(entry => {
+      updateInputValue(entry.display.id, frame[entry.name] * entry.scale, 1, entry.display.decimals);
+    });
+  // The packed status byte is not the R1[9] error word
+  const errorBitsRegister = getDisplayedRegisters().find(entry => entry.display.errorBits);
+  updateErrorBits(packed ? null : frame[errorBitsRegister.name]);
+}
+
+// ==================== Communication Watchdog ====================
+
+/**
+ * Start watching from now (live data starting)
+ */
+function resetWatchdog() {
+  watchdog.stage = 'ok';
+  watchdog.failures = 0;
+  watchdog.lastFrame = performance.now();
+  watchdog.incident = null;
+  watchdog.recovering = false;
+}
+
+/**
+ * Polling is paused or held on purpose, which is not a link failure: keep the
+ * clock from running out, unless a recovery attempt is already under way
+ */
+function holdWatchdog() {
+  if (watchdog.stage === 'ok') {
+    watchdog.failures = 0;
+    watchdog.lastFrame = performance.now();
+  } else {
+    checkWatchdog();
+  }
+}
+
+/**
+ * A valid live data frame arrived: close any open incident
+ */
+function watchdogFrameReceived() {
+  const now = performance.now();
+  if (watchdog.incident) {
+    const outcome = watchdog.stage === 'recovering' ? 'recovered' : 'restored';
+    closeWatchdogIncident(outcome, now);
+  }
+  watchdog.stage = 'ok';
+  watchdog.failures = 0;
+  watchdog.lastFrame = now;
+}
+
+/**
+ * Compare the failure count and the time since the last valid frame with the
+ * thresholds: first try to recover the link, then stop the gimbal
+ */
+function checkWatchdog() {
+  if (!watchdogSettings.enabled) return;
+  if (watchdog.stage === 'tripped') {
+    // Keep trying to bring the link back so live data resumes once the cable is fixed
+    if (!watchdog.recovering && watchdog.failures >= watchdogSettings.failureLimit) {
+      watchdog.failures = 0;
+      attemptLinkRecovery();
+    }
+    return;
+  }
+  const silenceMs = performance.now() - watchdog.lastFrame;
+
+  if (watchdog.stage === 'ok' &&
+      (watchdog.failures >= watchdogSettings.failureLimit || silenceMs >= watchdogSettings.recoveryMs)) {
+    watchdog.stage = 'recovering';
+    watchdog.incident = {
+      time: new Date().toISOString(),
+      failures: watchdog.failures,
+      silenceMs: Math.round(silenceMs),
+      motorOn: !!document.getElementById('motor-toggle')?.checked,
+      procedures: getActiveProcedures(),
+      outcome: null,
+    };
+    attemptLinkRecovery();
+  } else if (watchdog.stage === 'recovering' && silenceMs >= watchdogSettings.stopMs) {
+    watchdog.stage = 'tripped';
+    tripWatchdog(silenceMs);
+  }
+}
+
+/**
+ * Response to a stalled link: drop the outstanding replies, resynchronize
+ * the reply framing and turn echo back off for live data. Repeated after a
+ * stop until live data comes back.
+ */
+async function attemptLinkRecovery() {
+  if (watchdog.stage === 'recovering') {
+    const message = `Watchdog: no valid live data for ${watchdog.incident.silenceMs} ms ` +
+      `(${watchdog.incident.failures} failed read(s)), resynchronizing the link`;
+    console.warn(message);
+    captureSerialEvent('warn', message);
+    updateMovementStatus('Communication problem - recovering the link...', 'error');
+  }
+
+  watchdog.recovering = true;
+  setLiveDataHold('watchdog', true);
+  try {
+    discardPendingResponses();
+    await scheduleCommand(resyncSerialFraming, SERIAL_PRIORITY.HIGH);
+    await sendMsg('eo=0;', { priority: SERIAL_PRIORITY.HIGH });
+  } finally {
+    setLiveDataHold('watchdog', false);
+    watchdog.recovering = false;
+  }
+}
+
+/**
+ * Recovery did not bring the link back in time: emergency stop, alarm and log
+ * @param {number} silenceMs - Time since the last valid frame
+ */
+function tripWatchdog(silenceMs) {
+  const incident = watchdog.incident;
+  incident.stoppedAfterMs = Math.round(silenceMs);
+  const message = `Watchdog: no valid live data for ${incident.stoppedAfterMs} ms, emergency stop` +
+    (incident.motorOn ? ' (motor was on)' : '');
+  console.error(message);
+  captureSerialEvent('warn', message);
+  recordFault('Watchdog', message);
+
+  stopSignClick();
+  saveWatchdogIncident({ ...incident, outcome: 'stopped' });
+
+  const stopSign = document.getElementById('emergency-stop');
+  if (stopSign) stopSign.classList.add('alarm');
+  Swal.fire({
+    title: 'Communication Lost',
+    text: `No valid data from the controller for ${(silenceMs / 1000).toFixed(1)} s. ` +
+      'The emergency stop was sent and the motor turned off. Check the cable and the controller before continuing.',
+    icon: 'error',
+  }).then(() => {
+    if (stopSign) stopSign.classList.remove('alarm');
+  });
+}
+
+/**
+ * Log the end of an incident once live data is back
+ * @param {string} outcome - 'recovered' or 'restored' (after an emergency stop)
+ * @param {number} now - performance.now() of the first valid frame
+ */
+function closeWatchdogIncident(outcome, now) {
+  const incident = watchdog.incident;
+  watchdog.incident = null;
+  const downMs = Math.round(now - watchdog.lastFrame);
+  const message = `Watchdog: live data ${outcome} after ${downMs} ms`;
+  console.warn(message);
+  captureSerialEvent('warn', message);
+  if (outcome === 'recovered') {
+    saveWatchdogIncident({ ...incident, outcome, downMs });
+    updateMovementStatus('Communication recovered', 'ready');
+  } else {
+    // The stop was logged when it happened; note when the link came back
+    const logged = watchdogIncidents.find(entry => entry.time === incident.time);
+    if (logged) logged.restoredAfterMs = downMs;
+    saveWatchdogIncident(null);
+  }
+}
+
+/**
+ * Append an incident to the persisted log (null just persists changes)
+ * @param {Object|null} incident
+ */
+function saveWatchdogIncident(incident) {
+  if (incident) {
+    watchdogIncidents.push(incident);
+    if (watchdogIncidents.length > WATCHDOG_INCIDENT_LOG_SIZE) {
+      watchdogIncidents = watchdogIncidents.slice(-WATCHDOG_INCIDENT_LOG_SIZE);
+    }
+  }
+  localStorage.setItem('gimbal-watchdog-incidents', JSON.stringify(watchdogIncidents));
+  renderWatchdogIncidents();
+}
+
+/**
+ * Change watchdog thresholds and persist them
+ * @param {Object} changes - Any of enabled, failureLimit, recoveryMs, stopMs
+ */
+function setWatchdogSettings(changes) {
+  watchdogSettings = { ...watchdogSettings, ...changes };
+  if (watchdogSettings.stopMs < watchdogSettings.recoveryMs) {
+    watchdogSettings.stopMs = watchdogSettings.recoveryMs;
+  }
+  localStorage.setItem('gimbal-watchdog', JSON.stringify(watchdogSettings));
+}
+
+/**
+ * Watchdog settings, state and incident log
+ * @returns {{settings: Object, stage: string, failures: number, silenceMs: number, incidents: Array<Object>}}
+ */
+function getWatchdogStatus() {
+  return {
+    settings: { ...watchdogSettings },
+    stage: watchdog.stage,
+    failures: watchdog.failures,
+    silenceMs: performance.now() - watchdog.lastFrame,
+    incidents: watchdogIncidents,
+  };
+}
+
+/**
+ * Clear the incident log
+ */
+function clearWatchdogIncidents() {
+  watchdogIncidents = [];
+  saveWatchdogIncident(null);
+}
+
+// ==================== Unit Selection ====================
+
+/**
+ * The connection the UI talks to, so the device manager can park it while
+ * another unit is selected
+ * @returns {{port: Object|null, link: Object, identity: Object|null, telemetryFormat: string|null}}
+ */
+function getSerialConnection() {
+  return { port: serialPort, link: serialLink, identity: deviceIdentity, telemetryFormat: activeTelemetryFormat };
+}
+
+/**
+ * Make another unit's connection the one the UI talks to. Hold live data off
+ * while switching so no poll is in flight on the old link.
+ * @param {{port: Object|null, link: Object, identity: Object|null, telemetryFormat: string|null}} connection
+ */
+function setSerialConnection(connection) {
+  serialPort = connection.port;
+  serialLink = connection.link;
+  deviceIdentity = connection.identity;
+  activeTelemetryFormat = connection.telemetryFormat;
+  resetWatchdog();
+  updateDeviceIdentityDisplay(deviceIdentity);
+  updateTelemetryFormatIndicator();
+}
+
+// ==================== Telemetry Format ====================
+
+/**
+ * Choose the live data telemetry format and persist it. While connected the
+ * format in use is resolved again (detected for 'auto', validated for 'packed').
+ * @param {string} setting - 'auto', 'classic' or 'packed'
+ */
+async function setTelemetryFormat(setting) {
+  if (!['auto', 'classic', 'packed'].includes(setting)) {
+    console.error(`Unknown telemetry format: ${setting}`);
+    return;
+  }
+  telemetryFormatSetting = setting;
+  localStorage.setItem('gimbal-telemetry-format', setting);
+  activeTelemetryFormat = null;
+  if (serialPort && intervalShowLiveData) {
+    activeTelemetryFormat = await resolveTelemetryFormat();
+  }
+  updateTelemetryFormatIndicator();
+}
+
+/**
+ * Get the telemetry format setting and the format in use on this connection
+ * @returns {{setting: string, active: string|null}} active is null until live data starts
+ */
+function getTelemetryFormat() {
+  return { setting: telemetryFormatSetting, active: activeTelemetryFormat };
+}
+
+/**
+ * Work out the format to use from the setting: 'auto' uses packed only if the
+ * firmware's packed words check out against the classic registers; a forced
+ * 'packed' is used regardless, with a warning if the check fails.
+ * Call with echo off (live data starting or running).
+ * @returns {Promise<string>} 'classic' or 'packed'
+ */
+async function resolveTelemetryFormat() {
+  let format = 'classic';
+  if (telemetryFormatSetting !== 'classic') {
+    const packedValid = await detectPackedTelemetry();
+    if (telemetryFormatSetting === 'packed' && !packedValid) {
+      const warning = 'Packed telemetry does not match R1[31]/R1[41]; the firmware may not support it';
+      console.warn(warning);
+      captureSerialEvent('warn', warning);
+    }
+    format = telemetryFormatSetting === 'packed' || packedValid ? 'packed' : 'classic';
+  }
+  console.log(`Telemetry format: ${format} (setting: ${telemetryFormatSetting})`);
+  updateTelemetryFormatIndicator(format);
+  return format;
+}
+
+/**
+ * Check whether the firmware fills the packed telemetry words: read them together
+ * with the classic position registers a few times and compare the decoded angles.
+ * All-zero words (registers present but unused) count as unsupported.
+ * @returns {Promise<boolean>}
+ */
+async function detectPackedTelemetry() {
+  const command = ['R1[125]', ...PACKED_TELEMETRY_REGS, 'R1[31]', 'R1[41]'].join(';') + ';;\r';
+  // The packed angles cover the whole TR sector, so they must agree without wrapping
+  const angleDiff = (a, b) => Math.abs(a - b);
+  let nonZero = false;
+
+  for (let i = 0; i < TELEMETRY_DETECT_SAMPLES; i++) {
+    const reply = await readMsg(command);
+    const values = reply.split(';').map(Number);
+    const shift = values.indexOf(LIVE_DATA_SENTINEL);
+    const [w1, w2, w3, trRaw, elRaw] = values.slice(shift + 1, shift + 6);
+    if (shift === -1 || [w1, w2, w3, trRaw, elRaw].some(value => value === undefined || isNaN(value))) {
+      return false;
+    }
+
+    const packedFrame = decodePackedFrame([w1, w2, w3]);
+    const trPacked = scaleRegisterValue('Tr_angle', packedFrame.Tr_angle);
+    const elPacked = scaleRegisterValue('El_angle', packedFrame.El_angle);
+    if (angleDiff(trPacked, scaleRegisterValue('Tr_angle', trRaw)) > TELEMETRY_DETECT_TOLERANCE_DEG ||
+        angleDiff(elPacked, scaleRegisterValue('El_angle', elRaw)) > TELEMETRY_DETECT_TOLERANCE_DEG) {
+      return false;
+    }
+    nonZero = nonZero || w1 !== 0 || w2 !== 0 || w3 !== 0;
+  }
+  return nonZero;
+}
+
+// ==================== Device Identification ====================
+
+/**
+ * Read the controller identity: drive version (VR), serial number (SN) and the
+ * firmware application version register. Warns when the application version is
+ * missing or outside FIRMWARE_MIN_VERSION..FIRMWARE_MAX_VERSION.
+ * Call with echo off (live data starting).
+ * @param {Object} [link] - Unit to identify (default: the serial link, whose identity is shown in the sidebar)
+ * @returns {Promise<{driveVersion: string|null, serialNumber: string|null, firmwareVersion: string|null, supported: boolean}>}
+ */
+async function identifyDevice(link = serialLink) {
+  const lastField = (reply) => reply.split(';').map(field => field.trim()).filter(Boolean).pop() ?? null;
+  const answer = (reply) => {
+    const value = lastField(reply);
+    return value === null || value === '?' ? null : value;
+  };
+
+  const driveVersion = answer(await readMsg('VR', { allowError: true, link }));
+  const serialNumber = answer(await readMsg('SN', { allowError: true, link }));
+  const versionCode = Number(answer(await readMsg(getRegister('fw_version').reg, { allowError: true, link })));
+  const firmwareVersion = Number.isInteger(versionCode) && versionCode > 0
+    ? formatFirmwareVersion(versionCode)
+    : null;
+  const supported = firmwareVersion !== null &&
+    compareVersions(firmwareVersion, FIRMWARE_MIN_VERSION) >= 0 &&
+    compareVersions(firmwareVersion, FIRMWARE_MAX_VERSION) <= 0;
+
+  const identity = { driveVersion, serialNumber, firmwareVersion, supported };
+  console.log(`Device: ${describeDeviceIdentity(identity)}`);
+  if (link === serialLink) updateDeviceIdentityDisplay(identity);
+
+  if (!supported) {
+    const warning = firmwareVersion === null
+      ? `${link.name}: the firmware did not report its application version (R1[120])`
+      : `${link.name}: firmware ${firmwareVersion} is outside the supported range ${FIRMWARE_MIN_VERSION} - ${FIRMWARE_MAX_VERSION}`;
+    captureLinkEvent(link, 'warn', warning);
+    Swal.fire({ title: 'Unsupported Firmware', text: `${warning}. Some functions may not work as expected.`, icon: 'warning' });
+  }
+  return identity;
+}
+
+/**
+ * Format an application version code (major * 10000 + minor * 100 + patch)
+ * @param {number} code - e.g. 10200
+ * @returns {string} e.g. '1.2.0'
+ */
+function formatFirmwareVersion(code) {
+  return `${Math.floor(code / 10000)}.${Math.floor(code / 100) % 100}.${code % 100}`;
+}
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Identity of the connected controller
+ * @returns {Object|null} null until live data has started on this connection
+ */
+function getDeviceIdentity() {
+  return deviceIdentity;
+}
+
+/**
+ * One-line description of a device identity for logs, reports and file headers
+ * @param {Object|null} identity - Defaults to the connected controller
+ * @returns {string} e.g. 'SN SIM-0001, VR Lynx-Sim 1.0, FW 1.2.0'
+ */
+function describeDeviceIdentity(identity = deviceIdentity) {
+  if (!identity) return 'not identified';
+  return `SN ${identity.serialNumber ?? 'unknown'}, VR ${identity.driveVersion ?? 'unknown'}, ` +
+    `FW ${identity.firmwareVersion ?? 'unknown'}${identity.supported ? '' : ' (unsupported)'}`;
+}
+
 // ==================== Exported Functions ====================
 
 // Make functions available globally
 window.requestSerialPort = requestSerialPort;
+window.connectKnownSerialPort = connectKnownSerialPort;
+window.dropLostSerialPort = dropLostSerialPort;
 window.sendMsg = sendMsg;
 window.readMsg = readMsg;
 window.closeSerialPort = closeSerialPort;
 window.reconnectSerialPort = reconnectSerialPort;
 window.flushSerialReader = flushSerialReader;
+window.beginProcedure = beginProcedure;
+window.endProcedure = endProcedure;
+window.abortProcedures = abortProcedures;
+window.abortProcedure = abortProcedure;
+window.procedureDelay = procedureDelay;
 window.parsePairs = parsePairs;
 window.showLiveData = showLiveData;
+window.setLiveDataHold = setLiveDataHold;
 window.updateLiveData = updateLiveData;
+window.setTelemetryFormat = setTelemetryFormat;
+window.getTelemetryFormat = getTelemetryFormat;
+window.getDeviceIdentity = getDeviceIdentity;
+window.identifyDevice = identifyDevice;
+window.showTelemetryFrame = showTelemetryFrame;
+window.getActiveProcedures = getActiveProcedures;
+window.createSerialLink = createSerialLink;
+window.attachSerialStreams = attachSerialStreams;
+window.releaseSerialStreams = releaseSerialStreams;
+window.getSerialConnection = getSerialConnection;
+window.setSerialConnection = setSerialConnection;
+window.setWatchdogSettings = setWatchdogSettings;
+window.getWatchdogStatus = getWatchdogStatus;
+window.clearWatchdogIncidents = clearWatchdogIncidents;
+window.describeDeviceIdentity = describeDeviceIdentity;
 
 // Export serial port variables for other modules to use
-window.serialPort = serialPort;
-window.writer = writer;
-window.reader = reader;
\ No newline at end of file
+window.serialPort = serialPort;
\ No newline at end of file
@@ -0,0 +1,757 @@
+/**
+ * Gimbal Simulator Module
+ * Software model of the Lynx controller (dual-axis Elmo drive running the R1
+ * application) that answers the same ASCII command set as the real hardware,
+ * so every feature can be exercised without a gimbal on the bench.
+ *
+ * Axis 1 is traverse (TR), axis 2 is elevation (EL).
+ */
+
+// ==================== Simulator Configuration ====================
+
+const SIM_UPDATE_STEP_S = 0.002;        // integration sub-step [s]
+const SIM_MAX_ACCELERATION = 400;       // [deg/s^2]
+const SIM_POSITION_GAIN = 8;            // position loop gain [1/s]
+const SIM_RESPONSE_CHUNK_BYTES = 64;    // USB packet size used to split replies
+const SIM_COMMUTATION_TIME_MS = 3000;   // duration of the commutation search
+const SIM_IBIT_STEP_TIMEOUT_MS = 10000; // IBIT fails if a sector limit is not reached in time
+
+// Physical hard stops (slightly beyond the software sector limits)
+const SIM_HARD_STOPS = [
+  { min: -205, max: 205 },   // TR
+  { min: -18,  max: 68 },    // EL
+];
+
+// Motor/load model per axis: inertia [A per deg/s^2], viscous [A per deg/s],
+// coulomb friction [A], gravity imbalance [A]
+const SIM_AXIS_MODEL = [
+  { inertia: 0.0020, viscous: 0.004, coulomb: 0.25, gravity: 0.0 },
+  { inertia: 0.0015, viscous: 0.003, coulomb: 0.20, gravity: 0.6 },
+];
+
+// IBIT sequence: [axisIndex, target deg]; the result is latched in R1[51]
+const SIM_IBIT_SEQUENCE = [
+  [0, 200], [0, -200], [0, 0],
+  [1, 60], [1, -15], [1, 0],
+];
+
+const SIM_FIRMWARE_VERSION = 'Lynx-Sim 1.0';
+const SIM_SERIAL_PREFIX = 'SIM-';   // serial number: prefix + 4-digit unit number
+const SIM_APP_VERSION = 10200; // R1[120]: application version 1.2.0
+
+// ==================== Command Parsing Helpers ====================
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so simulated noise is
+ * repeatable between runs.
+ * @param {number} seed
+ * @returns {() => number} Function returning values in [0, 1)
+ */
+function createSimRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split an Elmo variable reference into axis, name and index.
+ * 'ax2.CA[7]' → { axis: 1, name: 'CA', index: 7 }, 'R1[31]' → { axis: null, name: 'R1', index: 31 }
+ * @param {string} ref - Variable reference (case-insensitive)
+ * @returns {{axis: number|null, name: string, index: number|null}|null}
+ */
+function parseSimReference(ref) {
+  const match = ref.trim().match(/^(?:ax([12])\.)?([a-z][a-z0-9]*)(?:\[(\d+)\])?$/i);
+  if (!match) return null;
+  return {
+    axis: match[1] ? Number(match[1]) - 1 : null,
+    name: match[2].toUpperCase(),
+    index: match[3] !== undefined ? Number(match[3]) : null,
+  };
+}
+
+/**
+ * Format a numeric reply the way the drive does (integers without decimals)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatSimValue(value) {
+  if (typeof value === 'string') return value;
+  if (Number.isInteger(value)) return String(value);
+  return String(Number(value.toFixed(4)));
+}
+
+// ==================== Simulated Device ====================
+
+/**
+ * Create a simulated Lynx controller.
+ * The device integrates its two-axis dynamic model lazily, each time a command
+ * arrives, so no timers are needed while nobody is talking to it.
+ * @param {number} [unit] - Unit number; sets the serial number and the noise seed
+ * @returns {{ handleInput: (text: string) => string, reset: () => void, state: Object }}
+ */
+function createSimulatedGimbal(unit = 1) {
+  const random = createSimRandom(0x1a2b3c + unit - 1);
+  const serialNumber = SIM_SERIAL_PREFIX + String(unit).padStart(4, '0');
+  let state;
+
+  function createAxis(index) {
+    return {
+      index,
+      pos: 0,               // physical angle [deg]
+      vel: 0,               // [deg/s]
+      acc: 0,               // [deg/s^2]
+      current: 0,           // [A]
+      mo: 0,                // motor enabled
+      um: 5,                // unit mode
+      tc: 0,                // torque command (stepper commutation)
+      sp: Math.round(20 * deg2ticks),
+      pa: 0,
+      nativeTarget: null,   // PA/BG target [deg], reported frame
+      joyOffset: 0,         // integrated joystick rate [deg]
+      commutationDone: 0,   // time the commutation search finishes
+      mf: 0,
+      arrays: {
+        CA: { 7: 1024 + index * 512, 10: 0 },
+        SC: { 1: 40, 2: 1, 3: 4 },
+        ER: { 2: 1e7, 3: 1e5 },
+        KP: { 1: 12, 2: 30, 3: 4 },
+        KI: { 1: 900, 2: 120, 3: 0 },
+        PL: { 1: 12, 2: 3 },
+        CL: { 1: 6, 2: 60 },
+        S:  { 1: 5, 17: 0, 18: 0 },
+        WF: { 40: 0 },
+      },
+    };
+  }
+
+  function reset() {
+    state = {
+      echo: 1,
+      time: null,
+      lastError: 0,
+      R1: { 13: MAX_VELOCITY, 23: MAX_VELOCITY, 125: 255 },
+      axes: [createAxis(0), createAxis(1)],
+      modeStart: 0,
+      ibitStep: 0,
+      ibitStepStart: 0,
+      ibitResult: 0,
+      pendingInput: '',
+    };
+  }
+
+  // ---------- Reported (offset) frame helpers ----------
+
+  function offsetDeg(axis) {
+    return (axis.arrays.S[17] || 0) / deg2ticks;
+  }
+
+  function reportedPos(axis) {
+    return axis.pos + offsetDeg(axis);
+  }
+
+  function toPhysical(axis, reported) {
+    return reported - offsetDeg(axis);
+  }
+
+  // ---------- Dynamics ----------
+
+  /**
+   * Compute the velocity demand for one axis at time t
+   * @returns {number|null} Desired velocity [deg/s], or null when the axis is free
+   */
+  function velocityDemand(axis, t) {
+    const R1 = state.R1;
+    const mode = R1[1] || 0;
+    const vmax = Math.min(Math.abs(R1[axis.index === 0 ? 13 : 23] || MAX_VELOCITY), 200);
+
+    const towards = (targetReported, limit) => {
+      const err = toPhysical(axis, targetReported) - axis.pos;
+      const speed = Math.min(limit, Math.sqrt(2 * SIM_MAX_ACCELERATION * Math.abs(err)) * 0.9,
+        SIM_POSITION_GAIN * Math.abs(err));
+      return Math.sign(err) * speed;
+    };
+
+    if (axis.tc) {
+      return null; // stepper commutation: motor locked on a field vector
+    }
+    if (axis.nativeTarget !== null) {
+      return towards(axis.nativeTarget, Math.abs(axis.sp) / deg2ticks);
+    }
+
+    const base = axis.index === 0 ? 10 : 20;
+    switch (mode) {
+      case 1:
+        return towards((R1[base + 1] || 0) + axis.joyOffset, vmax);
+      case 5: {
+        const step = SIM_IBIT_SEQUENCE[state.ibitStep];
+        if (!step || step[0] !== axis.index) return towards(reportedPos(axis), vmax);
+        return towards(step[1], vmax);
+      }
+      case 12: {
+        if (axis.index === 1) return towards(0, vmax);
+        const period = 4 * 200 / Math.max(vmax, 1);
+        const phase = ((t - state.modeStart) / 1000) % period;
+        return towards(phase < period / 2 ? 200 : -200, vmax);
+      }
+      case 13: {
+        // R1[x6] amplitude [deg], R1[x7] frequency [0.01 Hz], R1[x8] center [deg]
+        const amp = R1[base + 6] || 0;
+        const freq = (R1[base + 7] || 0) / 100;
+        const center = R1[base + 8] || 0;
+        const w = 2 * Math.PI * freq;
+        const tau = (t - state.modeStart) / 1000;
+        const target = center + amp * Math.sin(w * tau);
+        const feedForward = amp * w * Math.cos(w * tau);
+        return Math.max(-200, Math.min(200, towards(target, 200) + feedForward));
+      }
+      default:
+        return towards(reportedPos(axis), vmax);
+    }
+  }
+
+  function stepAxis(axis, dt, t) {
+    const model = SIM_AXIS_MODEL[axis.index];
+    const stop = SIM_HARD_STOPS[axis.index];
+    let acc;
+
+    // Joystick rate command (R1[12]/R1[22]) moves the position target in mode 1
+    if ((state.R1[1] || 0) === 1) {
+      const base = axis.index === 0 ? 10 : 20;
+      const cmd = state.R1[base + 1] || 0;
+      axis.joyOffset += (state.R1[base + 2] || 0) * dt;
+      axis.joyOffset = Math.max(stop.min - cmd, Math.min(stop.max - cmd, axis.joyOffset));
+    }
+
+    if (axis.mo) {
+      const vDes = velocityDemand(axis, t);
+      if (vDes === null) {
+        acc = -axis.vel / dt;
+      } else {
+        acc = Math.max(-SIM_MAX_ACCELERATION, Math.min(SIM_MAX_ACCELERATION, (vDes - axis.vel) / dt));
+      }
+    } else {
+      // Free axis coasts to a stop on friction
+      acc = Math.abs(axis.vel) < 1 ? -axis.vel / dt : -Math.sign(axis.vel) * 200;
+    }
+
+    axis.vel += acc * dt;
+    axis.pos += axis.vel * dt;
+    if (axis.pos < stop.min || axis.pos > stop.max) {
+      axis.pos = Math.max(stop.min, Math.min(stop.max, axis.pos));
+      axis.vel = 0;
+      acc = 0;
+    }
+    axis.acc = acc;
+
+    const noise = (random() - 0.5) * 0.02;
+    axis.current = axis.mo
+      ? model.inertia * acc + model.viscous * axis.vel + model.coulomb * Math.sign(axis.vel)
+        + model.gravity * Math.cos(axis.pos * d2r) + noise
+      : 0;
+  }
+
+  /**
+   * Advance the model to the current wall-clock time
+   */
+  function advance() {
+    const now = performance.now();
+    if (state.time === null) state.time = now;
+    let remaining = Math.min((now - state.time) / 1000, 1); // cap catch-up after long idle
+    state.time = now;
+
+    let t = now - remaining * 1000;
+    while (remaining > 1e-9) {
+      const dt = Math.min(SIM_UPDATE_STEP_S, remaining);
+      t += dt * 1000;
+      state.axes.forEach(axis => stepAxis(axis, dt, t));
+      remaining -= dt;
+    }
+
+    updateSequences(now);
+  }
+
+  function arrived(axis, targetReported) {
+    return Math.abs(reportedPos(axis) - targetReported) < 0.1 && Math.abs(axis.vel) < 0.5;
+  }
+
+  function updateSequences(now) {
+    state.axes.forEach(axis => {
+      if (axis.nativeTarget !== null && arrived(axis, axis.nativeTarget)) {
+        axis.nativeTarget = null;
+      }
+      if (axis.commutationDone && now >= axis.commutationDone) {
+        axis.commutationDone = 0;
+        axis.arrays.CA[7] = Math.floor(random() * 4096);
+        axis.arrays.CA[10] = 0;
+        axis.mf = 0x80;
+        axis.mo = 0;
+      }
+      if (axis.tc && axis.um === 3 && axis.mo) {
+        axis.arrays.WF[40] = 4000 + Math.round(random() * 20000);
+      }
+    });
+
+    if ((state.R1[1] || 0) === 5 && !state.ibitResult) {
+      const step = SIM_IBIT_SEQUENCE[state.ibitStep];
+      if (step && arrived(state.axes[step[0]], step[1])) {
+        state.ibitStep++;
+        state.ibitStepStart = now;
+      } else if (now - state.ibitStepStart > SIM_IBIT_STEP_TIMEOUT_MS) {
+        state.ibitResult = 9;
+        setMode(1);
+        return;
+      }
+      if (state.ibitStep >= SIM_IBIT_SEQUENCE.length) {
+        state.ibitResult = 4;
+        setMode(1);
+      }
+    }
+  }
+
+  // ---------- R1 application ----------
+
+  function setMode(mode) {
+    const R1 = state.R1;
+    R1[1] = mode;
+    state.modeStart = performance.now();
+    state.axes.forEach(axis => { axis.nativeTarget = null; });
+
+    if (mode === 0) {
+      state.axes.forEach(axis => { axis.mo = 0; });
+      return;
+    }
+    state.axes.forEach(axis => { axis.mo = 1; axis.mf = 0; });
+
+    if (mode === 1) {
+      // Entering position mode holds the current position unless already tracking
+      state.axes.forEach(axis => { axis.joyOffset = 0; });
+    } else if (mode === 5) {
+      state.ibitStep = 0;
+      state.ibitStepStart = state.modeStart;
+      state.ibitResult = 0;
+    } else if (mode === 8) {
+      // Tune: the drive plays a melody and returns to position mode
+      R1[1] = 1;
+    }
+  }
+
+  function readR1(index) {
+    const R1 = state.R1;
+    const [tr, el] = state.axes;
+    switch (index) {
+      case 9: {
+        let bits = 0;
+        const mode = R1[1] || 0;
+        if (mode !== 0 && !tr.mo) bits |= 1 << 3;
+        if (mode !== 0 && !el.mo) bits |= 1 << 4;
+        return bits;
+      }
+      case 10: return R1[1] || 0;
+      case 31: return Math.round(reportedPos(tr) * 10);
+      case 41: return Math.round(reportedPos(el) * 10);
+      case 33: return Math.round(tr.vel * 10);
+      case 43: return Math.round(el.vel * 10);
+      case 34: return Math.round(tr.current * 1000);
+      case 44: return Math.round(el.current * 1000);
+      case 51: return state.ibitResult || ((R1[1] === 5) ? 1 + Math.min(state.ibitStep, 2) : 0);
+      case 120: return SIM_APP_VERSION;
+      case 125: return 255;
+      default: return R1[index] || 0;
+    }
+  }
+
+  function writeR1(index, value) {
+    const R1 = state.R1;
+    if (index === 1) {
+      setMode(Math.trunc(value));
+      return;
+    }
+    if (index === 120 || index === 125) return; // read-only version and sentinel
+    R1[index] = value;
+    if (index === 11) state.axes[0].joyOffset = 0;
+    if (index === 21) state.axes[1].joyOffset = 0;
+  }
+
+  // ---------- Elmo variables ----------
+
+  function axisFor(ref) {
+    return state.axes[ref.axis === null ? 0 : ref.axis];
+  }
+
+  /**
+   * Read a variable
+   * @returns {number|string|undefined} undefined for unknown variables
+   */
+  function readVariable(ref) {
+    const axis = axisFor(ref);
+    switch (ref.name) {
+      case 'R1': return ref.index === null ? undefined : readR1(ref.index);
+      case 'PX': return Math.round(reportedPos(axis) * deg2ticks);
+      case 'VX': return Math.round(axis.vel * deg2ticks);
+      case 'IQ': return Number(axis.current.toFixed(3));
+      case 'MO': return axis.mo;
+      case 'MF': return axis.mf;
+      case 'UM': return axis.um;
+      case 'TC': return axis.tc;
+      case 'SP': return axis.sp;
+      case 'PA': return axis.pa;
+      case 'EO': return state.echo;
+      case 'EC': return state.lastError;
+      case 'VR': return SIM_FIRMWARE_VERSION;
+      case 'SN': return serialNumber;
+      case 'S1': return state.axes[0].arrays.S[ref.index] ?? 0;
+      case 'S2': return state.axes[1].arrays.S[ref.index] ?? 0;
+      default: {
+        const arr = axis.arrays[ref.name];
+        if (!arr || ref.index === null) return undefined;
+        return arr[ref.index] ?? 0;
+      }
+    }
+  }
+
+  /**
+   * Write a variable
+   * @returns {boolean} False for unknown or read-only variables
+   */
+  function writeVariable(ref, value) {
+    const axis = axisFor(ref);
+    switch (ref.name) {
+      case 'R1': if (ref.index === null) return false; writeR1(ref.index, value); return true;
+      case 'MO':
+        axis.mo = value ? 1 : 0;
+        if (axis.mo && axis.arrays.CA[10]) {
+          axis.commutationDone = performance.now() + SIM_COMMUTATION_TIME_MS;
+          axis.mf = 0;
+        }
+        if (!axis.mo) axis.tc = 0;
+        return true;
+      case 'UM': axis.um = Math.trunc(value); return true;
+      case 'TC': axis.tc = value; return true;
+      case 'SP': axis.sp = Math.trunc(value); return true;
+      case 'PA': axis.pa = Math.trunc(value); return true;
+      case 'EO': state.echo = value ? 1 : 0; return true;
+      case 'S1': state.axes[0].arrays.S[ref.index] = value; return true;
+      case 'S2': state.axes[1].arrays.S[ref.index] = value; return true;
+      case 'MF': case 'PX': case 'VX': case 'IQ': case 'VR': case 'SN': case 'EC':
+        return false;
+      default: {
+        const arr = axis.arrays[ref.name];
+        if (!arr || ref.index === null) return false;
+        arr[ref.index] = value;
+        return true;
+      }
+    }
+  }
+
+  /**
+   * Evaluate a right-hand side expression: numbers, variable references and + - * /
+   * @param {string} expr
+   * @returns {number|undefined}
+   */
+  function evaluate(expr) {
+    const tokens = expr.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|(?:ax[12]\.)?[a-z][a-z0-9]*(?:\[\d+\])?|[-+*/]/gi);
+    if (!tokens || tokens.join('') !== expr.replace(/\s+/g, '')) return undefined;
+
+    let pos = 0;
+    const operand = () => {
+      let sign = 1;
+      while (tokens[pos] === '-' || tokens[pos] === '+') {
+        if (tokens[pos] === '-') sign = -sign;
+        pos++;
+      }
+      const token = tokens[pos++];
+      if (token === undefined) return undefined;
+      if (/^[\d.]/.test(token)) return sign * Number(token);
+      const ref = parseSimReference(token);
+      const value = ref ? readVariable(ref) : undefined;
+      return typeof value === 'number' ? sign * value : undefined;
+    };
+    const term = () => {
+      let value = operand();
+      while (value !== undefined && (tokens[pos] === '*' || tokens[pos] === '/')) {
+        const op = tokens[pos++];
+        const rhs = operand();
+        if (rhs === undefined) return undefined;
+        value = op === '*' ? value * rhs : value / rhs;
+      }
+      return value;
+    };
+
+    let value = term();
+    while (value !== undefined && (tokens[pos] === '+' || tokens[pos] === '-')) {
+      const op = tokens[pos++];
+      const rhs = term();
+      if (rhs === undefined) return undefined;
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return pos === tokens.length ? value : undefined;
+  }
+
+  /**
+   * Execute one command
+   * @param {string} cmd - Trimmed command text without terminator
+   * @returns {string|null} Reply value ('' for assignments/actions), or null on error
+   */
+  function execute(cmd) {
+    if (cmd === '') return '';
+
+    const assign = cmd.match(/^([^=]+)=(.+)$/);
+    if (assign) {
+      const ref = parseSimReference(assign[1]);
+      const value = evaluate(assign[2]);
+      if (!ref || value === undefined || !writeVariable(ref, value)) return null;
+      return '';
+    }
+
+    const ref = parseSimReference(cmd);
+    if (!ref) return null;
+
+    switch (ref.name) {
+      case 'BG': {
+        const axes = ref.axis === null ? state.axes : [axisFor(ref)];
+        axes.forEach(axis => {
+          axis.mo = 1;
+          axis.nativeTarget = axis.pa / deg2ticks;
+        });
+        return '';
+      }
+      case 'ST':
+        state.axes.forEach(axis => { axis.nativeTarget = null; });
+        return '';
+      case 'KL':
+        state.axes.forEach(axis => { axis.nativeTarget = null; axis.mo = 0; axis.tc = 0; });
+        return '';
+      case 'SV':
+        return '';
+      default: {
+        const value = readVariable(ref);
+        return value === undefined ? null : formatSimValue(value);
+      }
+    }
+  }
+
+  /**
+   * Feed raw text received from the host and return the reply text.
+   * Commands are terminated by ';' or CR. Each command is answered with its
+   * echo (when EO=1) followed by the reply value and ';'. Errors reply '?;'.
+   * @param {string} text
+   * @returns {string}
+   */
+  function handleInput(text) {
+    advance();
+
+    state.pendingInput += text.replace(/\n/g, '');
+    const parts = state.pendingInput.split(/[;\r]/);
+    state.pendingInput = parts.pop();
+
+    let reply = '';
+    for (const raw of parts) {
+      const cmd = raw.trim();
+      const echo = state.echo;
+      const result = execute(cmd);
+      if (echo) reply += cmd + ';';
+      if (result === null) {
+        state.lastError = 2; // bad command
+        reply += '?;';
+      } else {
+        reply += result + ';';
+      }
+    }
+    return reply;
+  }
+
+  reset();
+
+  return {
+    handleInput,
+    reset,
+    get state() { return state; },
+  };
+}
+
+// ==================== Capture Replay ====================
+
+/**
+ * Create a device that plays back the drive side of a serial capture
+ * (see serialCapture.js). Every captured write is paired with the bytes received
+ * until the next write; when the app writes the same text again it gets the
+ * next recorded reply for that text, so each request stream (live data polls,
+ * IBIT result reads, ...) replays in its recorded order. Once a text runs out of
+ * recorded replies the last one is repeated. Text never seen in the capture is
+ * answered like a drive would: ';' for assignments and empty commands, '?;' for queries.
+ * @param {{ events: Array<{t: number, dir: string, data: string}> }} capture
+ * @returns {{ handleInput: (text: string) => string, reset: () => void, state: Object }}
+ */
+function createReplayDevice(capture) {
+  const replies = new Map();
+  let lastWrite = null;
+  capture.events.forEach(event => {
+    if (event.dir === 'tx') {
+      lastWrite = { reply: '' };
+      if (!replies.has(event.data)) replies.set(event.data, []);
+      replies.get(event.data).push(lastWrite);
+    } else if (event.dir === 'rx' && lastWrite) {
+      lastWrite.reply += event.data;
+    }
+  });
+
+  const state = { played: 0, unmatched: 0, echo: 1, cursors: new Map() };
+
+  function reset() {
+    state.played = 0;
+    state.unmatched = 0;
+    state.echo = 1;
+    state.cursors = new Map();
+  }
+
+  /**
+   * Follow EO assignments so unrecorded replies carry the right echo
+   * @param {string} cmd
+   */
+  function trackEcho(cmd) {
+    const eo = cmd.match(/^eo\s*=\s*(\d+)$/i);
+    if (eo) state.echo = Number(eo[1]) ? 1 : 0;
+  }
+
+  /**
+   * Answer unrecorded text command by command, keeping the reply framing intact
+   * @param {string} text
+   * @returns {string}
+   */
+  function answerUnrecorded(text) {
+    const parts = text.replace(/\n/g, '').split(/[;\r]/);
+    parts.pop();
+    let reply = '';
+    for (const raw of parts) {
+      const cmd = raw.trim();
+      if (state.echo) reply += cmd + ';';
+      reply += cmd === '' || cmd.includes('=') ? ';' : '?;';
+      trackEcho(cmd);
+    }
+    return reply;
+  }
+
+  /**
+   * Feed raw text written by the host and return the recorded reply
+   * @param {string} text
+   * @returns {string}
+   */
+  function handleInput(text) {
+    const recorded = replies.get(text);
+    let reply;
+    if (recorded) {
+      const index = state.cursors.get(text) || 0;
+      reply = recorded[Math.min(index, recorded.length - 1)].reply;
+      state.cursors.set(text, index + 1);
+      state.played++;
+      text.split(/[;\r]/).forEach(cmd => trackEcho(cmd.trim()));
+    } else {
+      reply = answerUnrecorded(text);
+      state.unmatched++;
+      console.warn(`Replay: "${text}" is not in the capture`);
+    }
+    return reply;
+  }
+
+  return {
+    handleInput,
+    reset,
+    get state() { return state; },
+  };
+}
+
+// ==================== Simulated Serial Port ====================
+
+/**
+ * Wrap a simulated device in an object with the same surface as a Web Serial
+ * SerialPort (open/close/readable/writable/getInfo), so gimbalSerial.js can use
+ * it without knowing it is not real hardware.
+ * @param {{ handleInput: (text: string) => string }} device
+ * @returns {Object} SerialPort-like object
+ */
+function createSimulatedPort(device) {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let rxController = null;
+  let lastDelivery = 0;
+
+  const port = {
+    simulated: true,
+    readable: null,
+    writable: null,
+
+    getInfo() {
+      return { simulated: true };
+    },
+
+    async open(options = {}) {
+      if (port.readable) throw new Error('Simulated port is already open');
+      const baudRate = options.baudRate || SERIAL_BAUD_RATE;
+
+      port.readable = new ReadableStream({
+        start(controller) { rxController = controller; },
+        cancel() { rxController = null; },
+      });
+
+      port.writable = new WritableStream({
+        write(chunk) {
+          const reply = device.handleInput(decoder.decode(chunk, { stream: true }));
+          if (!reply) return;
+
+          // Deliver after the time the bytes would take on the wire, in USB-sized chunks
+          const bytes = encoder.encode(reply);
+          const wireMs = ((chunk.length + bytes.length) * 10 * 1000) / baudRate;
+          const now = performance.now();
+          lastDelivery = Math.max(now, lastDelivery) + wireMs + 1;
+          const delay = lastDelivery - now;
+          for (let i = 0; i < bytes.length; i += SIM_RESPONSE_CHUNK_BYTES) {
+            const piece = bytes.slice(i, i + SIM_RESPONSE_CHUNK_BYTES);
+            setTimeout(() => {
+              if (rxController) rxController.enqueue(piece);
+            }, delay);
+          }
+        },
+      });
+    },
+
+    async close() {
+      if (rxController) {
+        try { rxController.close(); } catch (e) { /* already closed */ }
+        rxController = null;
+      }
+      port.readable = null;
+      port.writable = null;
+    },
+  };
+
+  return port;
+}
+
+// One simulated device per unit number, shared by all connections, so its state
+// (zero offsets, commutation, saved settings) survives a reconnect just like hardware.
+const simulatedGimbals = {};
+
+/**
+ * Get the simulated gimbal of a unit, creating it on first use
+ * @param {number} [unit] - Unit number (the device manager adds units 2, 3, ...)
+ * @returns {Object} Simulated device
+ */
+function getSimulatedGimbal(unit = 1) {
+  if (!simulatedGimbals[unit]) {
+    simulatedGimbals[unit] = createSimulatedGimbal(unit);
+  }
+  return simulatedGimbals[unit];
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.createSimulatedGimbal = createSimulatedGimbal;
+window.createSimulatedPort = createSimulatedPort;
+window.createReplayDevice = createReplayDevice;
+window.getSimulatedGimbal = getSimulatedGimbal;
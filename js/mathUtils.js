@@ -303,10 +303,8 @@ function medianFilter3(arr) {
  * Apply signal processing to a COPY of a rows object.
  * Scales and median-filters all data channels; the original is not modified.
  *   time        : ms  → s   (× 0.001)
- *   angle       :        × 0.1
- *   velocity    :        × 0.1
- *   current     :        × 0.001
- * Then applies a window-3 median filter to every data channel.
+ *   registers   : × scale from REGISTER_MAP (angle/velocity × 0.1, current × 0.001)
+ * Then applies a window-3 median filter to every channel marked 'filter'.
  * 'status' is left untouched.
  * @param {Object} rowsData - The recorded rows object
  * @returns {Object} New processed rows object
@@ -319,17 +317,11 @@ function applySignalProcessing(rowsData) {
 
   if (p.time)        p.time        = p.time.map(t => t * 0.001);
 
-  const angleKeys = ['Tr_angle', 'El_angle', 'Tr_cmd_angle', 'El_cmd_angle'];
-  const velKeys   = ['Tr_velocity', 'El_velocity'];
-  const currKeys  = ['Tr_current', 'El_current'];
-
-  for (const k of angleKeys) if (p[k]) p[k] = p[k].map(v => v * 0.1);
-  for (const k of velKeys)   if (p[k]) p[k] = p[k].map(v => v * 0.1);
-  for (const k of currKeys)  if (p[k]) p[k] = p[k].map(v => v * 0.001);
-
-  const filterKeys = [...angleKeys, ...velKeys, ...currKeys];
-  for (const k of filterKeys) {
-    if (p[k] && p[k].length >= 3) p[k] = medianFilter3(p[k]);
+  // Raw register units → engineering units, then median filter (see REGISTER_MAP)
+  for (const { name, scale, filter } of REGISTER_MAP) {
+    if (!p[name]) continue;
+    if (scale !== 1) p[name] = p[name].map(v => v * scale);
+    if (filter && p[name].length >= 3) p[name] = medianFilter3(p[name]);
   }
 
   return p;
@@ -0,0 +1,651 @@
+/**
+ * Mission Editor Module
+ * Ordered TR/EL waypoints with a velocity and dwell time per leg, run as a
+ * procedure ('Mission') that can loop, pause, resume and abort. The mission is
+ * kept in localStorage, saved and loaded as JSON, previewed on a TR/EL chart,
+ * and every run is recorded.
+ */
+
+let mission = loadStoredMission();
+// Running mission: { plan, signal, paused, loop, index, dwelling }
+let missionRun = null;
+let missionPreviewTimer = null;
+
+// ==================== Mission Document ====================
+
+/**
+ * Create a waypoint from saved or typed values
+ * @param {Object} config - { tr, el, velocity, dwell }
+ * @returns {{tr: number, el: number, velocity: number, dwell: number}} [deg], [deg/s], [s]
+ */
+function createWaypoint(config) {
+  return {
+    tr: Number(config.tr),
+    el: Number(config.el),
+    velocity: Number(config.velocity ?? MISSION_DEFAULT_VELOCITY),
+    dwell: Number(config.dwell ?? MISSION_DEFAULT_DWELL_S),
+  };
+}
+
+/**
+ * Create a mission from saved or loaded values
+ * @param {Object} config - { name, loops, waypoints }
+ * @returns {{name: string, loops: number, waypoints: Array<Object>}}
+ */
+function createMission(config) {
+  return {
+    name: String(config.name || 'Mission'),
+    loops: Number(config.loops ?? 1),
+    waypoints: (config.waypoints || []).map(createWaypoint),
+  };
+}
+
+/**
+ * Mission kept from the last session
+ * @returns {Object}
+ */
+function loadStoredMission() {
+  try {
+    return createMission(JSON.parse(localStorage.getItem('gimbal-mission') || '{}'));
+  } catch (error) {
+    return createMission({});
+  }
+}
+
+/**
+ * Persist the mission being edited
+ */
+function storeMission() {
+  localStorage.setItem('gimbal-mission', JSON.stringify(mission));
+}
+
+/**
+ * Parse a mission file
+ * @param {string} text - JSON document
+ * @returns {Object} Mission
+ * @throws {Error} If it is not a mission
+ */
+function parseMission(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.waypoints)) {
+    throw new Error('The file has no waypoints list');
+  }
+  config.waypoints.forEach((waypoint, index) => {
+    if (!waypoint || typeof waypoint.tr !== 'number' || typeof waypoint.el !== 'number') {
+      throw new Error(`Waypoint ${index + 1} needs numeric tr and el angles`);
+    }
+  });
+  return createMission(config);
+}
+
+/**
+ * Check a mission against the motion limits before it runs
+ * @param {Object} target - Mission
+ * @returns {Array<string>} Problems, empty if it can run
+ */
+function validateMission(target) {
+  const problems = [];
+  if (target.waypoints.length === 0) problems.push('The mission has no waypoints');
+  if (!Number.isInteger(target.loops) || target.loops < 1) problems.push('Loops must be a whole number of at least 1');
+  target.waypoints.forEach((waypoint, index) => {
+    const command = checkMotionCommand(waypoint, 'reject');
+    command.reasons.forEach(reason => problems.push(`Waypoint ${index + 1}: ${reason}`));
+    if (!(waypoint.dwell >= 0)) problems.push(`Waypoint ${index + 1}: dwell must be 0 s or more`);
+  });
+  return problems;
+}
+
+// ==================== Editing ====================
+
+/**
+ * Add a waypoint at the current position, with the last waypoint's velocity and dwell
+ */
+function addMissionWaypoint() {
+  const last = mission.waypoints[mission.waypoints.length - 1] || {};
+  mission.waypoints.push(createWaypoint({
+    tr: parseFloat(document.getElementById('PositionInputTR')?.value) || 0,
+    el: parseFloat(document.getElementById('PositionInputEL')?.value) || 0,
+    velocity: last.velocity,
+    dwell: last.dwell,
+  }));
+  missionChanged();
+}
+
+/**
+ * Change one value of a waypoint
+ * @param {number} index
+ * @param {string} key - 'tr', 'el', 'velocity' or 'dwell'
+ * @param {string|number} value
+ */
+function setMissionWaypoint(index, key, value) {
+  mission.waypoints[index][key] = parseFloat(value);
+  missionChanged();
+}
+
+/**
+ * Move a waypoint up or down the list
+ * @param {number} index
+ * @param {number} delta - -1 up, +1 down
+ */
+function moveMissionWaypoint(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= mission.waypoints.length) return;
+  const [waypoint] = mission.waypoints.splice(index, 1);
+  mission.waypoints.splice(target, 0, waypoint);
+  missionChanged();
+}
+
+/**
+ * Remove a waypoint
+ * @param {number} index
+ */
+function removeMissionWaypoint(index) {
+  mission.waypoints.splice(index, 1);
+  missionChanged();
+}
+
+/**
+ * Change the mission name or loop count
+ * @param {string} key - 'name' or 'loops'
+ * @param {string} value
+ */
+function setMissionOption(key, value) {
+  mission[key] = key === 'loops' ? Number(value) : value.trim() || 'Mission';
+  missionChanged();
+}
+
+/**
+ * Start a new empty mission
+ */
+async function clearMission() {
+  if (mission.waypoints.length > 0) {
+    const result = await Swal.fire({
+      title: 'Clear Mission?',
+      text: 'All waypoints are removed. Save the mission first to keep it.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Clear'
+    });
+    if (!result.isConfirmed) return;
+  }
+  mission = createMission({});
+  missionChanged();
+}
+
+/**
+ * Store the edited mission and redraw the panel
+ */
+function missionChanged() {
+  storeMission();
+  renderMission();
+  renderMissionPreview();
+}
+
+// ==================== Save and Load ====================
+
+/**
+ * Download the mission as JSON
+ */
+function exportMission() {
+  const fileName = mission.name.replace(/[^\w-]+/g, '_');
+  downloadFile(JSON.stringify(mission, null, 2), `${fileName}_${formatTimestamp()}.json`, 'application/json');
+}
+
+/**
+ * Load a mission file, replacing the one being edited
+ */
+async function importMission() {
+  if (missionRun) return;
+  const result = await Swal.fire({
+    title: 'Load Mission',
+    text: 'Select a mission file (JSON)',
+    input: 'file',
+    inputAttributes: { accept: '.json,application/json' },
+    showCancelButton: true,
+    confirmButtonText: 'Open'
+  });
+  if (!result.isConfirmed || !result.value) return;
+  try {
+    mission = parseMission(await result.value.text());
+  } catch (error) {
+    Swal.fire({ title: 'Invalid Mission', text: error.message, icon: 'error' });
+    return;
+  }
+  missionChanged();
+}
+
+// ==================== Execution ====================
+
+/**
+ * Run the mission: visit the waypoints in order, each at its own velocity,
+ * dwell at each, and repeat for the loop count. Records the whole run.
+ * @returns {Promise<boolean>} True if it ran to the end
+ */
+async function runMission() {
+  if (!validateMovementPrerequisites()) return false;
+  if (getActiveProcedures().length > 0) {
+    updateMovementStatus(`Error: ${getActiveProcedures().join(', ')} is running`, 'error');
+    return false;
+  }
+  const problems = validateMission(mission);
+  if (problems.length > 0) {
+    reportMotionLimit('Mission', problems, true);
+    return false;
+  }
+
+  // Run a copy of the mission as it is now
+  const plan = createMission(mission);
+  const signal = beginProcedure('Mission');
+  missionRun = { plan, signal, paused: false, loop: 1, index: 0, dwelling: false };
+  console.log(`Mission ${plan.name}: ${plan.waypoints.length} waypoints, ${plan.loops} loops`);
+
+  const recordButton = document.getElementById('recordButton');
+  rows = createEmptyRows();
+  startTime = Date.now();
+  shouldRecordData = true;
+  if (recordButton) recordButton.style.color = '#dc3545';
+  renderMission();
+
+  const failure = await runMissionLoops(plan, signal);
+  let outcome = 'complete';
+  let message = `Mission ${plan.name} complete`;
+  if (signal.aborted) {
+    outcome = 'aborted';
+    message = `Mission aborted: ${signal.reason}`;
+    if (signal.reason === MISSION_ABORT_REASON) await holdCurrentPosition();
+  } else if (failure) {
+    outcome = 'aborted';
+    message = `Mission aborted: ${failure}`;
+    // Stop chasing the waypoint that was not reached
+    await holdCurrentPosition();
+  }
+  endProcedure(signal);
+  missionRun = null;
+
+  shouldRecordData = false;
+  if (recordButton) recordButton.style.color = '';
+  applySignalProcessingToRows();
+  saveDataToCSV(`Mission_${plan.name.replace(/[^\w-]+/g, '_')}${outcome === 'complete' ? '' : '_aborted'}`);
+
+  updateMovementStatus(message, outcome === 'complete' ? 'ready' : 'error');
+  renderMission();
+  renderMissionPreview();
+  return outcome === 'complete';
+}
+
+/**
+ * Visit the waypoints of every loop: go to each, then dwell
+ * @param {Object} plan - Mission being run
+ * @param {AbortSignal} signal
+ * @returns {Promise<string|null>} Why it stopped early (a waypoint not reached), or null
+ */
+async function runMissionLoops(plan, signal) {
+  for (let loop = 1; loop <= plan.loops; loop++) {
+    for (const [index, waypoint] of plan.waypoints.entries()) {
+      Object.assign(missionRun, { loop, index, dwelling: false });
+      showMissionProgress();
+      const result = await goToWaypoint(waypoint, signal);
+      if (result === 'aborted') return null;
+      if (result === 'timeout') return `waypoint ${index + 1} (TR ${waypoint.tr}°, EL ${waypoint.el}°) was not reached`;
+
+      missionRun.dwelling = true;
+      showMissionProgress();
+      if (await missionDelay(waypoint.dwell * 1000, signal)) return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Command a waypoint and wait for arrival. While paused the wait stops; on
+ * resume the waypoint is commanded again.
+ * @param {Object} waypoint - { tr, el, velocity }
+ * @param {AbortSignal} signal
+ * @returns {Promise<string>} 'arrived', 'timeout' or 'aborted'
+ */
+async function goToWaypoint(waypoint, signal) {
+  const command = () => sendMsg(
+    `${registerWrites({ Tr_velocity_limit: waypoint.velocity, El_velocity_limit: waypoint.velocity })} ` +
+    `R1[1]=1; ${registerWrites({ Tr_position_cmd: waypoint.tr, El_position_cmd: waypoint.el })}`
+  );
+  const current = readMissionPosition();
+  const travel = Math.max(Math.abs(waypoint.tr - current.tr), Math.abs(waypoint.el - current.el)) || 0;
+  // Twice the nominal travel time plus time to accelerate and settle; paused time does not count
+  const timeoutMs = 2000 * travel / waypoint.velocity + 5000;
+  const pollInterval = 100;
+
+  await command();
+  for (let waited = 0; waited < timeoutMs;) {
+    if (missionRun.paused) {
+      if (await waitWhileMissionPaused(signal)) return 'aborted';
+      await command();
+      continue;
+    }
+    if (await procedureDelay(pollInterval, signal)) return 'aborted';
+    if (missionRun.paused) continue;
+    waited += pollInterval;
+    const position = readMissionPosition();
+    if (Math.abs(position.tr - waypoint.tr) <= MISSION_ARRIVAL_TOLERANCE_DEG &&
+        Math.abs(position.el - waypoint.el) <= MISSION_ARRIVAL_TOLERANCE_DEG) {
+      return 'arrived';
+    }
+  }
+  console.warn(`Timeout waiting for TR=${waypoint.tr}°, EL=${waypoint.el}°`);
+  return 'timeout';
+}
+
+/**
+ * Dwell for a time that stops running while the mission is paused
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<boolean>} True if aborted
+ */
+async function missionDelay(ms, signal) {
+  let remaining = ms;
+  while (remaining > 0) {
+    if (await waitWhileMissionPaused(signal)) return true;
+    const step = Math.min(100, remaining);
+    if (await procedureDelay(step, signal)) return true;
+    if (!missionRun.paused) remaining -= step;
+  }
+  return false;
+}
+
+/**
+ * Wait until the mission is resumed
+ * @param {AbortSignal} signal
+ * @returns {Promise<boolean>} True if aborted
+ */
+async function waitWhileMissionPaused(signal) {
+  while (missionRun.paused) {
+    if (await procedureDelay(100, signal)) return true;
+  }
+  return signal.aborted;
+}
+
+/**
+ * Current angles from the live data display
+ * @returns {{tr: number, el: number}} [deg]
+ */
+function readMissionPosition() {
+  return {
+    tr: parseFloat(document.getElementById('PositionInputTR')?.value),
+    el: parseFloat(document.getElementById('PositionInputEL')?.value),
+  };
+}
+
+/**
+ * Pause a running mission (it stops where it is) or resume it
+ */
+async function toggleMissionPause() {
+  if (!missionRun) return;
+  missionRun.paused = !missionRun.paused;
+  if (missionRun.paused) {
+    await holdCurrentPosition();
+    updateMovementStatus('Mission paused', 'ready');
+  }
+  renderMission();
+  if (!missionRun.paused) showMissionProgress();
+}
+
+/**
+ * Abort a running mission; it stops where it is and saves what was recorded
+ */
+function abortMission() {
+  if (!abortProcedure('Mission', MISSION_ABORT_REASON)) {
+    updateMovementStatus('No mission is running', 'ready');
+  }
+}
+
+/**
+ * Show the running mission's position in the status line and the waypoint table
+ */
+function showMissionProgress() {
+  if (!missionRun) return;
+  const { plan, loop, index, dwelling } = missionRun;
+  const waypoint = plan.waypoints[index];
+  updateMovementStatus(
+    `Mission: loop ${loop}/${plan.loops}, waypoint ${index + 1}/${plan.waypoints.length} ` +
+    (dwelling ? `(dwell ${waypoint.dwell} s)` : `→ TR ${waypoint.tr}°, EL ${waypoint.el}° at ${waypoint.velocity}°/s`),
+    'running'
+  );
+  renderMission();
+}
+
+// ==================== Mission Panel UI ====================
+
+/**
+ * Initialize and display the mission editor panel
+ */
+function MissionEditor() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const missionButton = document.querySelector('a[onclick*="MissionEditor"]');
+  if (missionButton) {
+    missionButton.classList.add('active');
+  }
+
+  // Remove existing mission panel if it exists
+  const existingPanel = document.getElementById('mission-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create mission sidebar panel
+  const missionPanel = document.createElement('div');
+  missionPanel.id = 'mission-panel';
+  missionPanel.classList.add('movement-panel');
+
+  missionPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Mission Editor</h1>
+      <button class="panel-close-btn" onclick="closeMissionEditor()">×</button>
+    </div>
+
+    <div class="terminal-input-row">
+      <input type="text" id="mission-name" placeholder="Mission name" autocomplete="off" spellcheck="false"
+        onchange="setMissionOption('name', this.value)" />
+      <input type="number" id="mission-loops" min="1" step="1" title="Loops: times the waypoint list is run"
+        onchange="setMissionOption('loops', this.value)" />
+    </div>
+    <div class="terminal-input-row">
+      <button class="mission-edit" onclick="addMissionWaypoint()" title="Add the current position as the last waypoint">Add Waypoint</button>
+      <button class="mission-edit" onclick="importMission()" title="Load a mission file">Load</button>
+      <button onclick="exportMission()" title="Save the mission as JSON">Save</button>
+      <button class="mission-edit" onclick="clearMission()">Clear</button>
+    </div>
+
+    <table class="watch-table mission-table">
+      <thead>
+        <tr><th>#</th><th>TR [deg]</th><th>EL [deg]</th><th>Vel [deg/s]</th><th>Dwell [s]</th><th></th></tr>
+      </thead>
+      <tbody id="mission-waypoints"></tbody>
+    </table>
+    <div id="mission-problems" class="terminal-error"></div>
+
+    <div class="terminal-input-row">
+      <button id="mission-run" onclick="runMission()">Run</button>
+      <button id="mission-pause" onclick="toggleMissionPause()">Pause</button>
+      <button id="mission-abort" onclick="abortMission()">Abort</button>
+    </div>
+    <div id="mission-chart" class="watch-chart"></div>
+  `;
+
+  document.body.appendChild(missionPanel);
+  renderMission();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+
+  renderMissionPreview();
+  clearInterval(missionPreviewTimer);
+  missionPreviewTimer = setInterval(renderMissionPreview, MISSION_PREVIEW_REFRESH_MS);
+}
+
+/**
+ * Close the mission editor panel and restore layout (a running mission keeps running)
+ */
+function closeMissionEditor() {
+  clearInterval(missionPreviewTimer);
+  missionPreviewTimer = null;
+
+  const missionPanel = document.getElementById('mission-panel');
+  if (missionPanel) {
+    missionPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Render the mission options, waypoint table, problems and run buttons
+ */
+function renderMission() {
+  const body = document.getElementById('mission-waypoints');
+  if (!body) return;
+  const running = !!missionRun;
+
+  // The mission cannot be edited while it runs
+  document.getElementById('mission-name').value = mission.name;
+  document.getElementById('mission-loops').value = mission.loops;
+  document.querySelectorAll('#mission-panel .mission-edit, #mission-name, #mission-loops')
+    .forEach(control => { control.disabled = running; });
+  body.innerHTML = '';
+
+  if (mission.waypoints.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'terminal-info';
+    cell.textContent = 'No waypoints: move the gimbal and press Add Waypoint';
+    row.appendChild(cell);
+    body.appendChild(row);
+  }
+
+  mission.waypoints.forEach((waypoint, index) => {
+    const row = document.createElement('tr');
+    if (running && missionRun.index === index) row.className = 'mission-current';
+
+    const number = document.createElement('td');
+    number.textContent = index + 1;
+    row.appendChild(number);
+
+    ['tr', 'el', 'velocity', 'dwell'].forEach(key => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = key === 'dwell' ? '0.1' : '1';
+      input.value = waypoint[key];
+      input.disabled = running;
+      input.onchange = () => setMissionWaypoint(index, key, input.value);
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement('td');
+    [['↑', 'Move up', () => moveMissionWaypoint(index, -1)],
+     ['↓', 'Move down', () => moveMissionWaypoint(index, 1)],
+     ['×', 'Remove', () => removeMissionWaypoint(index)]].forEach(([text, title, onclick]) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.disabled = running;
+      button.onclick = onclick;
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    body.appendChild(row);
+  });
+
+  document.getElementById('mission-problems').textContent = validateMission(mission).join('\n');
+  document.getElementById('mission-run').disabled = running;
+  document.getElementById('mission-pause').disabled = !running;
+  document.getElementById('mission-pause').textContent = running && missionRun.paused ? 'Resume' : 'Pause';
+  document.getElementById('mission-abort').disabled = !running;
+}
+
+/**
+ * Draw the mission path on a TR/EL chart with the sector limits and the current position
+ */
+function renderMissionPreview() {
+  const chartDiv = document.getElementById('mission-chart');
+  if (!chartDiv) return;
+
+  const { waypoints } = mission;
+  // With loops, the path returns from the last waypoint to the first
+  const path = mission.loops > 1 && waypoints.length > 1 ? [...waypoints, waypoints[0]] : waypoints;
+  const position = readMissionPosition();
+  const traces = [
+    {
+      x: path.map(waypoint => waypoint.tr),
+      y: path.map(waypoint => waypoint.el),
+      text: waypoints.map((waypoint, index) => String(index + 1)),
+      name: 'Mission',
+      type: 'scatter',
+      mode: 'lines+markers+text',
+      textposition: 'top center',
+    },
+    {
+      x: [position.tr],
+      y: [position.el],
+      name: 'Position',
+      type: 'scatter',
+      mode: 'markers',
+      marker: { color: '#dc3545', size: 10 },
+    },
+  ];
+
+  const { tr, el } = MOTION_LIMITS;
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text-primary').trim();
+  const layout = {
+    height: 280,
+    margin: { l: 45, r: 10, t: 30, b: 35 },
+    paper_bgcolor: 'rgba(0,0,0,0)',
+    plot_bgcolor: 'rgba(0,0,0,0)',
+    font: { color: textColor, size: 10 },
+    xaxis: { title: 'TR [deg]', range: [tr.minAngle - 10, tr.maxAngle + 10] },
+    yaxis: { title: 'EL [deg]', range: [el.minAngle - 10, el.maxAngle + 10] },
+    shapes: [{
+      type: 'rect', x0: tr.minAngle, x1: tr.maxAngle, y0: el.minAngle, y1: el.maxAngle,
+      line: { color: 'green', dash: 'dash', width: 1 },
+    }],
+    legend: { orientation: 'h', x: 0, y: 1.02, yanchor: 'bottom' },
+    showlegend: true,
+  };
+
+  Plotly.react(chartDiv, traces, layout, { displayModeBar: false, responsive: true });
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.MissionEditor = MissionEditor;
+window.closeMissionEditor = closeMissionEditor;
+window.addMissionWaypoint = addMissionWaypoint;
+window.setMissionOption = setMissionOption;
+window.clearMission = clearMission;
+window.exportMission = exportMission;
+window.importMission = importMission;
+window.parseMission = parseMission;
+window.validateMission = validateMission;
+window.runMission = runMission;
+window.toggleMissionPause = toggleMissionPause;
+window.abortMission = abortMission;
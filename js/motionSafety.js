@@ -0,0 +1,185 @@
+/**
+ * Motion Safety Module
+ * Software limits every motion command goes through before it reaches the
+ * drive: per-axis sector limits, velocity and acceleration (MOTION_LIMITS).
+ * The acceleration limit applies to sine motion only (checkSineMotion): position
+ * moves and jogging accelerate along the drive's own profile (AC/DC), which the
+ * app does not command.
+ * Interactive commands are clamped to the limits, planned moves (scenarios,
+ * complex moves, ATP) are rejected; either way the reason is shown in the
+ * movement status.
+ */
+
+const MOTION_AXES = ['tr', 'el'];
+
+// ==================== Limit Checks ====================
+
+/**
+ * Check that a commanded angle lies inside the sector limits
+ * @param {string} axis - 'tr' or 'el'
+ * @param {number} angle - [deg]
+ * @returns {string|null} Reason it is outside, or null if inside
+ */
+function checkSectorLimit(axis, angle) {
+  const { minAngle, maxAngle } = MOTION_LIMITS[axis];
+  if (isNaN(angle)) return `${axis.toUpperCase()} angle is not a number`;
+  if (angle < minAngle || angle > maxAngle) {
+    return `${axis.toUpperCase()} ${angle.toFixed(1)}° is outside the sector limits (${minAngle}° to ${maxAngle}°)`;
+  }
+  return null;
+}
+
+/**
+ * Limit a commanded angle to the sector limits
+ * @param {string} axis - 'tr' or 'el'
+ * @param {number} angle - [deg]
+ * @param {string} [mode='clamp'] - 'clamp' to the nearest limit or 'reject'
+ * @returns {{value: number|null, reason: string|null}} value is null when rejected
+ */
+function limitAngle(axis, angle, mode = 'clamp') {
+  const reason = checkSectorLimit(axis, angle);
+  if (!reason) return { value: angle, reason: null };
+  if (mode === 'reject' || isNaN(angle)) return { value: null, reason };
+  const { minAngle, maxAngle } = MOTION_LIMITS[axis];
+  const value = Math.min(maxAngle, Math.max(minAngle, angle));
+  return { value, reason: `${reason}: clamped to ${value}°` };
+}
+
+/**
+ * Limit a commanded velocity to the axis maximum
+ * @param {string} axis - 'tr', 'el' or 'both' (a velocity shared by both axes)
+ * @param {number} velocity - [deg/s]
+ * @param {string} [mode='clamp'] - 'clamp' to the maximum or 'reject'
+ * @returns {{value: number|null, reason: string|null}} value is null when rejected
+ */
+function limitVelocity(axis, velocity, mode = 'clamp') {
+  const maxVelocity = axis === 'both'
+    ? Math.min(...MOTION_AXES.map(name => MOTION_LIMITS[name].maxVelocity))
+    : MOTION_LIMITS[axis].maxVelocity;
+  const label = axis === 'both' ? 'Velocity' : `${axis.toUpperCase()} velocity`;
+  if (!(velocity > MIN_VELOCITY)) {
+    return { value: null, reason: `${label} must be above ${MIN_VELOCITY}°/s` };
+  }
+  if (velocity <= maxVelocity) return { value: velocity, reason: null };
+  const reason = `${label} ${velocity}°/s exceeds ${maxVelocity}°/s`;
+  if (mode === 'reject') return { value: null, reason };
+  return { value: maxVelocity, reason: `${reason}: clamped to ${maxVelocity}°/s` };
+}
+
+/**
+ * Check a sinusoidal motion of one axis: both ends inside the sector limits,
+ * peak velocity (2πfA) and peak acceleration ((2πf)²A) inside the axis limits
+ * @param {string} axis - 'tr' or 'el'
+ * @param {number} center - [deg]
+ * @param {number} amplitude - [deg]
+ * @param {number} frequency - [Hz]
+ * @returns {string|null} Reason it is unsafe, or null
+ */
+function checkSineMotion(axis, center, amplitude, frequency) {
+  const sectorError = checkSectorLimit(axis, center + amplitude) || checkSectorLimit(axis, center - amplitude);
+  if (sectorError) return sectorError;
+  const { maxVelocity, maxAcceleration } = MOTION_LIMITS[axis];
+  const omega = 2 * Math.PI * frequency;
+  const peakVelocity = omega * Math.abs(amplitude);
+  if (peakVelocity > maxVelocity) {
+    return `${axis.toUpperCase()} peak velocity ${peakVelocity.toFixed(0)}°/s exceeds ${maxVelocity}°/s: lower the amplitude or frequency`;
+  }
+  const peakAcceleration = omega * omega * Math.abs(amplitude);
+  if (peakAcceleration > maxAcceleration) {
+    return `${axis.toUpperCase()} peak acceleration ${peakAcceleration.toFixed(0)}°/s² exceeds ${maxAcceleration}°/s²: lower the amplitude or frequency`;
+  }
+  return null;
+}
+
+/**
+ * Check a position command on both axes (and optionally its velocity)
+ * @param {{tr: number, el: number, velocity?: number}} command - [deg], [deg/s]
+ * @param {string} [mode='clamp'] - 'clamp' out-of-range values or 'reject' the command
+ * @returns {{tr: number, el: number, velocity?: number, reasons: Array<string>, rejected: boolean}}
+ *   The values to send; rejected when any value could not be used
+ */
+function checkMotionCommand(command, mode = 'clamp') {
+  const result = { reasons: [], rejected: false };
+  MOTION_AXES.forEach(axis => {
+    const { value, reason } = limitAngle(axis, command[axis], mode);
+    result[axis] = value;
+    if (reason) result.reasons.push(reason);
+    if (value === null) result.rejected = true;
+  });
+  if (command.velocity !== undefined) {
+    const { value, reason } = limitVelocity('both', command.velocity, mode);
+    result.velocity = value;
+    if (reason) result.reasons.push(reason);
+    if (value === null) result.rejected = true;
+  }
+  return result;
+}
+
+/**
+ * Show why a command was clamped or rejected
+ * @param {string} source - What issued the command (e.g. 'Move', 'Joystick')
+ * @param {Array<string>} reasons
+ * @param {boolean} rejected - The command was not sent
+ */
+function reportMotionLimit(source, reasons, rejected) {
+  const message = `${source} ${rejected ? 'rejected' : 'limited'}: ${reasons.join('; ')}`;
+  console.warn(message);
+  updateMovementStatus(message, 'error');
+}
+
+// ==================== Joystick Jogging ====================
+
+/**
+ * Check a joystick rate step: jogging may not drive further toward a sector
+ * limit once the axis is within JOG_LIMIT_MARGIN_DEG of it
+ * @param {string} axis - 'tr' or 'el'
+ * @param {number} rate - New joystick rate (sign gives the direction)
+ * @param {number} angle - Current angle [deg]
+ * @returns {string|null} Reason the step is refused, or null
+ */
+function checkJogStep(axis, rate, angle) {
+  if (isNaN(angle) || rate === 0) return null;
+  const { minAngle, maxAngle } = MOTION_LIMITS[axis];
+  if (rate > 0 && angle >= maxAngle - JOG_LIMIT_MARGIN_DEG) {
+    return `${axis.toUpperCase()} is at the upper sector limit (${maxAngle}°)`;
+  }
+  if (rate < 0 && angle <= minAngle + JOG_LIMIT_MARGIN_DEG) {
+    return `${axis.toUpperCase()} is at the lower sector limit (${minAngle}°)`;
+  }
+  return null;
+}
+
+/**
+ * Stop joystick jogging on an axis that reaches a sector limit (called for every
+ * live data frame while a joystick rate is set)
+ * @param {Object} frame - Raw register values keyed by REGISTER_MAP name
+ */
+function enforceJogLimits(frame) {
+  if (!joystickTr && !joystickEl) return;
+  const reasons = [];
+  const trReason = checkJogStep('tr', joystickTr, frame.Tr_angle * getRegister('Tr_angle').scale);
+  if (trReason) {
+    joystickTr = 0;
+    reasons.push(trReason);
+  }
+  const elReason = checkJogStep('el', joystickEl, frame.El_angle * getRegister('El_angle').scale);
+  if (elReason) {
+    joystickEl = 0;
+    reasons.push(elReason);
+  }
+  if (reasons.length === 0) return;
+  sendMsg(registerWrites({ Tr_joystick_rate: joystickTr, El_joystick_rate: joystickEl }));
+  reportMotionLimit('Joystick', reasons, false);
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.checkSectorLimit = checkSectorLimit;
+window.limitAngle = limitAngle;
+window.limitVelocity = limitVelocity;
+window.checkSineMotion = checkSineMotion;
+window.checkMotionCommand = checkMotionCommand;
+window.reportMotionLimit = reportMotionLimit;
+window.checkJogStep = checkJogStep;
+window.enforceJogLimits = enforceJogLimits;
@@ -50,17 +50,32 @@ function sendToAngles() {
     return;
   }
 
-  const trAngle = parseFloat(document.getElementById('trAngle').value) || 0;
-  const elAngle = parseFloat(document.getElementById('elAngle').value) || 0;
-  const velocity = parseFloat(document.getElementById('movementVelocity').value) || 20;
+  const trInput = document.getElementById('trAngle');
+  const elInput = document.getElementById('elAngle');
+  const velocityInput = document.getElementById('movementVelocity');
+  const command = checkMotionCommand({
+    tr: parseFloat(trInput.value) || 0,
+    el: parseFloat(elInput.value) || 0,
+    velocity: parseFloat(velocityInput.value) || 20,
+  });
+  if (command.rejected) {
+    reportMotionLimit('Move', command.reasons, true);
+    return;
+  }
+  // Show the clamped values in the inputs
+  trInput.value = command.tr;
+  elInput.value = command.el;
+  velocityInput.value = command.velocity;
+  const { tr: trAngle, el: elAngle, velocity } = command;
   
   console.log(`Angles: TR=${trAngle}, EL=${elAngle}, Velocity=${velocity}`);
 
   updateMovementStatus(`Moving to TR: ${trAngle}°, EL: ${elAngle}°, Velocity: ${velocity}°/s`, 'moving');
+  if (command.reasons.length > 0) reportMotionLimit('Move', command.reasons, false);
   
   // Send commands to move both axes
   const velCmd = Math.floor(velocity * deg2ticks);
-  sendMsg(`R1[1]=1; SP=${velCmd}; R1[11]=${trAngle}; R1[21]=${elAngle};`);
+  sendMsg(`R1[1]=1; SP=${velCmd}; ${registerWrites({ Tr_position_cmd: trAngle, El_position_cmd: elAngle })}`);
 }
 
 /**
@@ -68,18 +83,29 @@ function sendToAngles() {
  * @param {string} position - Position name
  * @param {number} tr - Traverse angle
  * @param {number} el - Elevation angle
+ * @param {string} [mode='clamp'] - Out-of-range angles: 'clamp' (buttons) or 'reject' (procedures)
+ * @returns {boolean} True if the move was sent
  */
-function moveToPosition(position, tr, el) {
+function moveToPosition(position, tr, el, mode = 'clamp') {
+  const command = checkMotionCommand({
+    tr, el, velocity: parseFloat(document.getElementById('movementVelocity')?.value) || currentVelocity,
+  }, mode);
+  if (command.rejected) {
+    reportMotionLimit(`Move to ${position}`, command.reasons, true);
+    return false;
+  }
+
   // Update UI inputs if they exist (movement panel may not be open)
   const trInput = document.getElementById('trAngle');
   const elInput = document.getElementById('elAngle');
-  if (trInput) trInput.value = tr;
-  if (elInput) elInput.value = el;
+  if (trInput) trInput.value = command.tr;
+  if (elInput) elInput.value = command.el;
 
-  const velocity = parseFloat(document.getElementById('movementVelocity')?.value) || currentVelocity;
-  const velCmd = Math.floor(velocity * deg2ticks);
-  sendMsg(`R1[1]=1; SP=${velCmd}; R1[11]=${tr}; R1[21]=${el};`);
+  const velCmd = Math.floor(command.velocity * deg2ticks);
+  sendMsg(`R1[1]=1; SP=${velCmd}; ${registerWrites({ Tr_position_cmd: command.tr, El_position_cmd: command.el })}`);
   updateMovementStatus(`Moving to ${position} position`, 'moving');
+  if (command.reasons.length > 0) reportMotionLimit(`Move to ${position}`, command.reasons, false);
+  return true;
 }
 
 // ==================== Scenario Functions ====================
@@ -96,17 +122,15 @@ function runScenario(scenario) {
   switch(scenario) {
     case 'scan':
       updateMovementStatus('Running scan scenario...', 'running');
-      sendMsg('R1[12]=0; R1[22]=0; R1[11]=0; R1[21]=0; R1[1]=12;');
+      sendMsg(`${registerWrites({ Tr_joystick_rate: 0, El_joystick_rate: 0, Tr_position_cmd: 0, El_position_cmd: 0 })} R1[1]=12;`);
       console.log('Running scan scenario');
       break;
     case 'demo1':
-      updateMovementStatus('Running demo 1 scenario...', 'running');
-      sendMsg('R1[16]=2; R1[17]=100; R1[18]=90; R1[26]=5; R1[27]=30; R1[28]=10; R1[1]=13;');
+      if (!runFirmwareSine('Demo 1', { amplitude: 2, frequency: 1, center: 90 }, { amplitude: 5, frequency: 0.3, center: 10 })) break;
       console.log('Running demo 1 scenario');
       break;
     case 'demo2':
-      updateMovementStatus('Running demo 1 scenario...', 'running');
-      sendMsg('R1[16]=20; R1[17]=30; R1[18]=-30; R1[26]=10; R1[27]=30; R1[28]=30; R1[1]=13;');
+      if (!runFirmwareSine('Demo 2', { amplitude: 20, frequency: 0.3, center: -30 }, { amplitude: 10, frequency: 0.3, center: 30 })) break;
       console.log('Running demo 2 scenario');
       break;
       // if (intervalMove) {
@@ -132,35 +156,395 @@ function runScenario(scenario) {
   }
 }
 
+/**
+ * Start the drive's sine mode (R1[1]=13) after checking both axes' motion
+ * @param {string} name - Scenario name for the status line
+ * @param {{amplitude: number, frequency: number, center: number}} tr - [deg], [Hz], [deg]
+ * @param {{amplitude: number, frequency: number, center: number}} el
+ * @returns {boolean} True if it was started
+ */
+function runFirmwareSine(name, tr, el) {
+  const reasons = [
+    checkSineMotion('tr', tr.center, tr.amplitude, tr.frequency),
+    checkSineMotion('el', el.center, el.amplitude, el.frequency),
+  ].filter(Boolean);
+  if (reasons.length > 0) {
+    reportMotionLimit(name, reasons, true);
+    return false;
+  }
+  updateMovementStatus(`Running ${name.toLowerCase()} scenario...`, 'running');
+  sendMsg(`${registerWrites({
+    Tr_sine_amplitude: tr.amplitude, Tr_sine_frequency: tr.frequency, Tr_sine_center: tr.center,
+    El_sine_amplitude: el.amplitude, El_sine_frequency: el.frequency, El_sine_center: el.center,
+  })} R1[1]=13;`);
+  return true;
+}
+
 // ==================== Complex Movement Functions ====================
 
 /**
- * Start sine wave movement
+ * Read the sine move form
+ * @returns {Object} Settings as entered
  */
-function startSineMove() {
-  const amplitude = parseFloat(document.getElementById('sineAmplitude').value);
-  const frequency = parseFloat(document.getElementById('sineFrequency').value);
-  const duration = parseFloat(document.getElementById('sineDuration').value);
-  
-  updateMovementStatus(`Starting sine move: ${amplitude}° amplitude, ${frequency}Hz, ${duration}s`, 'running');
+function readSineMoveSettings() {
+  const value = id => parseFloat(document.getElementById(id).value);
+  return {
+    axis: document.getElementById('sineAxis').value,
+    amplitude: value('sineAmplitude'),
+    frequency: value('sineFrequency'),
+    duration: value('sineDuration'),
+    centerTr: value('sineCenterTr'),
+    centerEl: value('sineCenterEl'),
+    phase: value('sinePhase') || 0,
+    mode: document.getElementById('sineMode').value,
+    rate: value('sineRate'),
+    record: document.getElementById('sineRecord').checked,
+  };
+}
+
+/**
+ * Validate sine move settings and work out the trajectory of each axis.
+ * An axis that does not move holds its current angle.
+ * @param {Object} settings - From readSineMoveSettings()
+ * @param {{tr: number, el: number}} current - Current angles [deg]
+ * @returns {{error: string}|{tr: Object, el: Object, frequency: number, duration: number, mode: string, rate: number, record: boolean}}
+ *   Per axis: { moving, amplitude, center, phase [rad] }
+ */
+function planSineMove(settings, current) {
+  const { axis, amplitude, duration, mode } = settings;
+  let frequency = settings.frequency;
+  if (!(amplitude > 0) || !(frequency > 0) || !(duration > 0)) {
+    return { error: 'Amplitude, frequency and duration must be positive' };
+  }
+  if (mode === 'firmware') {
+    // The drive takes the frequency in 0.01 Hz steps
+    frequency = Math.round(frequency / SINE_FIRMWARE_FREQ_STEP_HZ) * SINE_FIRMWARE_FREQ_STEP_HZ;
+    if (frequency <= 0) return { error: `Firmware sine mode needs at least ${SINE_FIRMWARE_FREQ_STEP_HZ} Hz` };
+    if (axis === 'both' && settings.phase % 360 !== 0) {
+      return { error: 'Firmware sine mode cannot offset the phase: use streaming' };
+    }
+  }
+  const rate = mode === 'stream' ? settings.rate : 0;
+  if (mode === 'stream' && !(rate >= 1 && rate <= SINE_STREAM_MAX_RATE_HZ)) {
+    return { error: `Stream rate must be 1 to ${SINE_STREAM_MAX_RATE_HZ} Hz` };
+  }
+
+  const plan = { frequency, duration, mode, rate, record: settings.record };
+  for (const name of ['tr', 'el']) {
+    const moving = axis === name || axis === 'both';
+    const center = moving ? (name === 'tr' ? settings.centerTr : settings.centerEl) : current[name];
+    if (isNaN(center)) return { error: `Enter the ${name.toUpperCase()} center` };
+    const phase = name === 'el' && axis === 'both' ? settings.phase * d2r : 0;
+    plan[name] = { moving, amplitude: moving ? amplitude : 0, center, phase };
+    if (moving) {
+      const error = checkSineMotion(name, center, amplitude, frequency);
+      if (error) return { error };
+    }
+  }
+  return plan;
+}
+
+/**
+ * Setpoint of both axes at a time into the sine move
+ * @param {Object} plan - From planSineMove()
+ * @param {number} t - [s]
+ * @returns {{tr: number, el: number}} [deg], rounded to 0.01°
+ */
+function sineSetpoint(plan, t) {
+  const angle = ({ amplitude, center, phase }) =>
+    Math.round((center + amplitude * Math.sin(2 * Math.PI * plan.frequency * t + phase)) * 100) / 100;
+  return { tr: angle(plan.tr), el: angle(plan.el) };
+}
+
+/**
+ * Start sine wave movement from the Sine Move form
+ */
+async function startSineMove() {
+  if (!validateMovementPrerequisites()) return;
+  if (getActiveProcedures().length > 0) {
+    updateMovementStatus(`Error: ${getActiveProcedures().join(', ')} is running`, 'error');
+    return;
+  }
+
+  const current = {
+    tr: parseFloat(document.getElementById('PositionInputTR')?.value) || 0,
+    el: parseFloat(document.getElementById('PositionInputEL')?.value) || 0,
+  };
+  const plan = planSineMove(readSineMoveSettings(), current);
+  if (plan.error) {
+    updateMovementStatus(`Sine move rejected: ${plan.error}`, 'error');
+    return;
+  }
   closeComplexScenario();
-  // Implement sine move logic here
-  console.log(`Starting sine move: ${amplitude}°, ${frequency}Hz, ${duration}s`);
+  await runSineMove(plan);
 }
 
 /**
- * Start linear movement repetition
+ * Run a planned sine move: go to the start point, run the sine (streamed or in
+ * the drive), then return to the center. Records while the sine runs if asked.
+ * The emergency stop aborts it where it is; Stop ends it like the duration end.
+ * @param {Object} plan - From planSineMove()
+ * @returns {Promise<boolean>} True if it ran to the end (or was stopped by the user)
  */
-function startLinearMove() {
-  const start = parseFloat(document.getElementById('linearStart').value);
-  const end = parseFloat(document.getElementById('linearEnd').value);
-  const reps = parseInt(document.getElementById('linearReps').value);
-  const velocity = parseFloat(document.getElementById('linearVelocity').value);
-  
-  updateMovementStatus(`Starting linear move: ${start}° to ${end}°, ${reps} reps, ${velocity}°/s`, 'running');
+async function runSineMove(plan) {
+  const signal = beginProcedure('Sine move');
+  const recordButton = document.getElementById('recordButton');
+  const stopRecording = (suffix) => {
+    if (!plan.record || !shouldRecordData) return;
+    shouldRecordData = false;
+    if (recordButton) recordButton.style.color = '';
+    applySignalProcessingToRows();
+    saveDataToCSV(`SineMove${suffix}`);
+  };
+  const finishAborted = () => {
+    stopRecording('_aborted');
+    updateMovementStatus(`Sine move aborted: ${signal.reason}`, 'error');
+    return false;
+  };
+
+  const description = `${plan.tr.moving && plan.el.moving ? 'TR+EL' : plan.tr.moving ? 'TR' : 'EL'} ` +
+    `±${plan.tr.amplitude || plan.el.amplitude}° at ${plan.frequency} Hz for ${plan.duration} s`;
+  console.log(`Sine move (${plan.mode}): ${description}`);
+
+  // Go to the start point at full speed
+  const start = plan.mode === 'firmware' ? { tr: plan.tr.center, el: plan.el.center } : sineSetpoint(plan, 0);
+  updateMovementStatus(`Sine move: going to the start point (TR ${start.tr}°, EL ${start.el}°)`, 'moving');
+  await sendMsg(`${registerWrites({ Tr_velocity_limit: MAX_VELOCITY, El_velocity_limit: MAX_VELOCITY })} ` +
+    `R1[1]=1; ${registerWrites({ Tr_position_cmd: start.tr, El_position_cmd: start.el })}`);
+  const arrived = await waitForPosition(start.tr, start.el, 0.5, 30000, signal);
+  if (signal.aborted) return finishAborted();
+  if (!arrived) {
+    endProcedure(signal);
+    updateMovementStatus('Sine move aborted: the start point was not reached', 'error');
+    return false;
+  }
+
+  if (plan.record) {
+    rows = createEmptyRows();
+    startTime = Date.now();
+    shouldRecordData = true;
+    if (recordButton) recordButton.style.color = '#dc3545';
+  }
+
+  updateMovementStatus(`Sine move running: ${description}`, 'running');
+  const durationMs = plan.duration * 1000;
+  const t0 = performance.now();
+  if (plan.mode === 'firmware') {
+    await sendMsg(`${registerWrites({
+      Tr_sine_amplitude: plan.tr.amplitude, Tr_sine_frequency: plan.frequency, Tr_sine_center: plan.tr.center,
+      El_sine_amplitude: plan.el.amplitude, El_sine_frequency: plan.frequency, El_sine_center: plan.el.center,
+    })} R1[1]=13;`);
+    if (await procedureDelay(durationMs, signal)) return signal.reason === COMPLEX_MOVE_STOP_REASON ? finishSineMove() : finishAborted();
+  } else {
+    // Fixed-rate setpoints, scheduled from the start time so they do not drift
+    const periodMs = 1000 / plan.rate;
+    for (let tick = 0; tick * periodMs < durationMs; tick++) {
+      const wait = t0 + tick * periodMs - performance.now();
+      if (wait > 0 && await procedureDelay(wait, signal)) break;
+      if (signal.aborted) break;
+      const setpoint = sineSetpoint(plan, (performance.now() - t0) / 1000);
+      // Without the serial lock: waiting for live data polling to pause would shift the setpoint times
+      await sendMsg(registerWrites({ Tr_position_cmd: setpoint.tr, El_position_cmd: setpoint.el }), { skipLock: true });
+    }
+    if (signal.aborted && signal.reason !== COMPLEX_MOVE_STOP_REASON) return finishAborted();
+  }
+  return finishSineMove();
+
+  /**
+   * Duration over (or Stop): back to the center in position mode, save the recording
+   */
+  async function finishSineMove() {
+    const stopped = signal.aborted;
+    endProcedure(signal);
+    await sendMsg(`R1[1]=1; ${registerWrites({ Tr_position_cmd: plan.tr.center, El_position_cmd: plan.el.center })}`);
+    stopRecording(stopped ? '_stopped' : '');
+    const elapsed = ((performance.now() - t0) / 1000).toFixed(1);
+    updateMovementStatus(`Sine move ${stopped ? 'stopped' : 'complete'} after ${elapsed} s, returning to the center`, 'ready');
+    return true;
+  }
+}
+
+/**
+ * Stop where the gimbal is: position mode, commanded to the current angles
+ * (a user stop; the emergency stop turns the motion off instead)
+ */
+async function holdCurrentPosition() {
+  const tr = parseFloat(document.getElementById('PositionInputTR')?.value);
+  const el = parseFloat(document.getElementById('PositionInputEL')?.value);
+  if (isNaN(tr) || isNaN(el)) return;
+  await sendMsg(`R1[1]=1; ${registerWrites({ Tr_position_cmd: tr, El_position_cmd: el })}`);
+}
+
+/**
+ * Stop a running complex move (sine or linear); it returns to its center
+ * or holds where it is
+ */
+function stopComplexMove() {
+  const stopped = ['Sine move', 'Linear move'].filter(name => abortProcedure(name, COMPLEX_MOVE_STOP_REASON));
+  if (stopped.length === 0) {
+    updateMovementStatus('No complex move is running', 'ready');
+  }
+}
+
+/**
+ * Read the repeat linear move form
+ * @returns {Object} Settings as entered
+ */
+function readLinearMoveSettings() {
+  const value = id => parseFloat(document.getElementById(id).value);
+  return {
+    axis: document.getElementById('linearAxis').value,
+    start: value('linearStart'),
+    end: value('linearEnd'),
+    reps: Number(document.getElementById('linearReps').value),
+    velocity: value('linearVelocity'),
+  };
+}
+
+/**
+ * Validate repeat linear move settings. Each repetition is two legs:
+ * start → end and end → start.
+ * @param {Object} settings - From readLinearMoveSettings()
+ * @returns {{error: string}|{axis: string, start: number, end: number, reps: number, velocity: number, legs: Array<{from: number, to: number}>}}
+ */
+function planLinearMove(settings) {
+  const { axis, start, end, reps, velocity } = settings;
+  if (isNaN(start) || isNaN(end)) return { error: 'Enter the start and end angles' };
+  if (start === end) return { error: 'Start and end must differ' };
+  if (!Number.isInteger(reps) || reps < 1) return { error: 'Repetitions must be a whole number of at least 1' };
+  const error = limitVelocity(axis, velocity, 'reject').reason || checkSectorLimit(axis, start) || checkSectorLimit(axis, end);
+  if (error) return { error };
+
+  const legs = [];
+  for (let i = 0; i < reps; i++) {
+    legs.push({ from: start, to: end }, { from: end, to: start });
+  }
+  return { axis, start, end, reps, velocity, legs };
+}
+
+/**
+ * Start the repeat linear move from the Repeat Linear Move form
+ */
+async function startLinearMove() {
+  if (!validateMovementPrerequisites()) return;
+  if (getActiveProcedures().length > 0) {
+    updateMovementStatus(`Error: ${getActiveProcedures().join(', ')} is running`, 'error');
+    return;
+  }
+
+  const plan = planLinearMove(readLinearMoveSettings());
+  if (plan.error) {
+    updateMovementStatus(`Linear move rejected: ${plan.error}`, 'error');
+    return;
+  }
   closeComplexScenario();
-  // Implement linear move logic here
-  console.log(`Starting linear move: ${start}° to ${end}°, ${reps} reps, ${velocity}°/s`);
+  await runLinearMove(plan);
+}
+
+/**
+ * Run a planned linear move: go to the start at full speed, then drive the axis
+ * back and forth at the chosen velocity limit with position commands, waiting
+ * for arrival and dwelling at each end. The run is recorded and each completed
+ * leg is analyzed. The other axis holds its current angle.
+ * The emergency stop aborts it; Stop ends it after saving what was recorded.
+ * @param {Object} plan - From planLinearMove()
+ * @returns {Promise<boolean>} True if every leg completed
+ */
+async function runLinearMove(plan) {
+  const signal = beginProcedure('Linear move');
+  const prefix = plan.axis === 'tr' ? 'Tr' : 'El';
+  const axisName = plan.axis.toUpperCase();
+  const description = `${axisName} ${plan.start}° ↔ ${plan.end}° at ${plan.velocity}°/s, ${plan.reps} reps`;
+  const recordButton = document.getElementById('recordButton');
+  const completedLegs = [];
+  console.log(`Linear move: ${description}`);
+
+  const finish = async (outcome, message) => {
+    endProcedure(signal);
+    if (outcome === 'stopped') await holdCurrentPosition();
+    if (shouldRecordData) {
+      shouldRecordData = false;
+      if (recordButton) recordButton.style.color = '';
+      applySignalProcessingToRows();
+      saveDataToCSV(`LinearMove${outcome === 'complete' ? '' : `_${outcome}`}`);
+      showLinearMoveResults(plan, analyzeLinearMove(rows, plan.axis, completedLegs));
+    }
+    updateMovementStatus(message, outcome === 'complete' || outcome === 'stopped' ? 'ready' : 'error');
+    return outcome === 'complete';
+  };
+  const finishInterrupted = () => signal.reason === COMPLEX_MOVE_STOP_REASON
+    ? finish('stopped', `Linear move stopped after ${completedLegs.length} of ${plan.legs.length} legs`)
+    : finish('aborted', `Linear move aborted: ${signal.reason}`);
+
+  // Go to the start at full speed; the other axis holds where it is
+  const other = plan.axis === 'tr' ? 'El' : 'Tr';
+  const otherAngle = parseFloat(document.getElementById(`PositionInput${other.toUpperCase()}`)?.value) || 0;
+  updateMovementStatus(`Linear move: going to the start point (${axisName} ${plan.start}°)`, 'moving');
+  await sendMsg(`${registerWrites({ Tr_velocity_limit: MAX_VELOCITY, El_velocity_limit: MAX_VELOCITY })} ` +
+    `R1[1]=1; ${registerWrites({ [`${prefix}_position_cmd`]: plan.start, [`${other}_position_cmd`]: otherAngle })}`);
+  const atStart = await waitForAxisArrival(plan.axis, plan.start, LINEAR_ARRIVAL_TOLERANCE_DEG, 30000, signal);
+  if (signal.aborted) return finishInterrupted();
+  if (atStart === null) return finish('aborted', 'Linear move aborted: the start point was not reached');
+
+  await sendMsg(registerWrites({ [`${prefix}_velocity_limit`]: plan.velocity }));
+  rows = createEmptyRows();
+  startTime = Date.now();
+  shouldRecordData = true;
+  if (recordButton) recordButton.style.color = '#dc3545';
+
+  for (const [index, leg] of plan.legs.entries()) {
+    updateMovementStatus(`Linear move: leg ${index + 1}/${plan.legs.length}, ${axisName} ${leg.from}° → ${leg.to}°`, 'running');
+    const commandTime = Date.now();
+    await sendMsg(registerWrites({ [`${prefix}_position_cmd`]: leg.to }));
+    // Allow twice the nominal travel time plus time to accelerate and settle
+    const timeoutMs = 2000 * Math.abs(leg.to - leg.from) / plan.velocity + 5000;
+    const arrivalTime = await waitForAxisArrival(plan.axis, leg.to, LINEAR_ARRIVAL_TOLERANCE_DEG, timeoutMs, signal);
+    if (signal.aborted) return finishInterrupted();
+    if (arrivalTime === null) {
+      return finish('aborted', `Linear move aborted: ${axisName} did not reach ${leg.to}° within ${(timeoutMs / 1000).toFixed(0)} s`);
+    }
+    if (await procedureDelay(LINEAR_MOVE_DWELL_MS, signal)) return finishInterrupted();
+    completedLegs.push({
+      ...leg,
+      commandTime: (commandTime - startTime) / 1000,
+      arrivalTime: (arrivalTime - startTime) / 1000,
+      endTime: (Date.now() - startTime) / 1000,
+    });
+  }
+
+  return finish('complete', `Linear move complete: ${description}`);
+}
+
+/**
+ * Measure each completed leg of a recorded linear move
+ * @param {Object} data - Processed recording (time [s], angles [deg], velocities [deg/s])
+ * @param {string} axis - 'tr' or 'el'
+ * @param {Array<Object>} legs - { from, to, commandTime, arrivalTime, endTime } [deg, s from the recording start]
+ * @returns {Array<{from: number, to: number, travelTime: number, peakVelocity: number, overshoot: number, finalError: number}>}
+ *   travelTime from the command to the first sample within the arrival tolerance [s]; overshoot past the
+ *   target in the travel direction [deg]; finalError at the end of the dwell [deg]
+ */
+function analyzeLinearMove(data, axis, legs) {
+  const angle = data[axis === 'tr' ? 'Tr_angle' : 'El_angle'];
+  const velocity = data[axis === 'tr' ? 'Tr_velocity' : 'El_velocity'];
+  return legs.map(leg => {
+    const direction = Math.sign(leg.to - leg.from);
+    const indices = [];
+    data.time.forEach((t, i) => { if (t >= leg.commandTime && t <= leg.endTime) indices.push(i); });
+    if (indices.length === 0) {
+      return { from: leg.from, to: leg.to, travelTime: leg.arrivalTime - leg.commandTime, peakVelocity: NaN, overshoot: NaN, finalError: NaN };
+    }
+    const reached = indices.find(i => Math.abs(angle[i] - leg.to) <= LINEAR_ARRIVAL_TOLERANCE_DEG);
+    const travelTime = (reached !== undefined ? data.time[reached] : leg.arrivalTime) - leg.commandTime;
+    return {
+      from: leg.from,
+      to: leg.to,
+      travelTime,
+      peakVelocity: Math.max(...indices.map(i => Math.abs(velocity[i]))),
+      overshoot: Math.max(0, ...indices.map(i => (angle[i] - leg.to) * direction)),
+      finalError: angle[indices[indices.length - 1]] - leg.to,
+    };
+  });
 }
 
 // ==================== Joystick Control Functions ====================
@@ -176,25 +560,38 @@ function joystickCmd(direction) {
 
   playLocalTone();
 
+  let tr = joystickTr;
+  let el = joystickEl;
   switch (direction) {
     case "UP":
-      joystickEl++;
+      el++;
       break;
     case "DOWN":
-      joystickEl--;
+      el--;
       break;
     case "RIGHT":
-      joystickTr++;
+      tr++;
       break;
     case "LEFT":
-      joystickTr--;
+      tr--;
       break;
     case "CENTER":
-      joystickTr = 0;
-      joystickEl = 0;
+      tr = 0;
+      el = 0;
   }
 
-  sendMsg(`R1[12]=${joystickTr}; R1[22]=${joystickEl}`);
+  // Slowing down is always allowed; speeding up toward a sector limit is not
+  const reason =
+    (Math.abs(tr) > Math.abs(joystickTr) && checkJogStep('tr', tr, parseFloat(document.getElementById('PositionInputTR')?.value))) ||
+    (Math.abs(el) > Math.abs(joystickEl) && checkJogStep('el', el, parseFloat(document.getElementById('PositionInputEL')?.value)));
+  if (reason) {
+    reportMotionLimit('Joystick', [reason], true);
+    return;
+  }
+  joystickTr = tr;
+  joystickEl = el;
+
+  sendMsg(registerWrites({ Tr_joystick_rate: joystickTr, El_joystick_rate: joystickEl }));
 }
 
 // ==================== Installation Setup Functions ====================
@@ -203,6 +600,7 @@ function joystickCmd(direction) {
 /**
  * Set zero angle for the specified axis
  * @param {string} ax - 'tr' for traverse (S1) or 'el' for elevation (S2). Omit to set both axes.
+ * @returns {Promise<boolean|undefined>} False if a step failed (the reason is shown in the status line), undefined if cancelled
  */
 async function setZeroAngles(ax) {
   if (!serialPort) {
@@ -212,9 +610,8 @@ async function setZeroAngles(ax) {
 
   // If no axis specified, set both
   if (!ax) {
-    await setZeroAngles('tr');
-    await setZeroAngles('el');
-    return;
+    if (await setZeroAngles('tr') === false) return false;
+    return setZeroAngles('el');
   }
 
   const isTr = ax === 'tr';
@@ -240,26 +637,42 @@ async function setZeroAngles(ax) {
   await new Promise(resolve => setTimeout(resolve, 50));
   await readMsg('EO=1;;\r', { skipLock: true });
 
-  sendMsg(';\r');
-  sendMsg(`s${axisNum}[17]=s${axisNum}[17]-ax${axisNum}.px;\r`);
+  // Stop at the first step the drive rejects, with the reason
+  const fail = (reason) => {
+    recordFault('Set zero', `${axisNameCap}: ${reason}`);
+    updateMovementStatus(`Set zero ${axisName} aborted: ${reason}`, 'error');
+    showLiveData(true);
+    return false;
+  };
+  const step = async (command) => {
+    const reply = await readMsg(command, { allowError: true });
+    if (replyHasError(reply)) {
+      const { code, text } = await readErrorCode();
+      return `"${command}" rejected: ${text}${code === null ? '' : ` (EC=${code})`}`;
+    }
+    return reply ? null : `no reply to "${command}"`;
+  };
 
-  const newOffset = await readMsg(`S${axisNum}[17];\r`);
-  console.log(newOffset);
+  let error = await step(`s${axisNum}[17]=s${axisNum}[17]-ax${axisNum}.px;`);
+  if (error) return fail(error);
 
-  if (parseFloat(newOffset) > 0.0) {
-    sendMsg(`S${axisNum}[18]=0;\r`);
-    console.log(`S${axisNum}[18]=0;`);
-  } else {
-    sendMsg(`S${axisNum}[18]=-1;\r`);
-    console.log(`S${axisNum}[18]=-1;`);
-  }
+  const newOffset = await readElmoValue(`S${axisNum}[17]`);
+  if (newOffset === null) return fail(`could not read back S${axisNum}[17]`);
+  console.log(`S${axisNum}[17]=${newOffset}`);
 
-  sendMsg(`s${axisNum}[1]=0;\r`);    // Restart encoder
-  sendMsg(`s${axisNum}[1]=5;\r`);    // Set back encoder type
+  // Direction, then restart the encoder and set back the encoder type
+  const direction = newOffset > 0.0 ? 0 : -1;
+  for (const command of [`S${axisNum}[18]=${direction};`, `s${axisNum}[1]=0;`, `s${axisNum}[1]=5;`]) {
+    error = await step(command);
+    if (error) return fail(error);
+  }
 
   await new Promise(resolve => setTimeout(resolve, 200));
+  if (await readElmoValue(`ax${axisNum}.PX`) === null) return fail('the encoder did not come back after the restart');
+
   updateMovementStatus(`Zero ${axisName} set`, 'ready');
   showLiveData(true);
+  return true;
 }
 
 
@@ -287,6 +700,20 @@ async function commutation(axis = 2) {
   const commutationBtn = document.getElementById(`btn-commutation-${axis}`);
   if (commutationBtn) commutationBtn.classList.add('in-progress');
 
+  const signal = beginProcedure('Commutation');
+  // Aborted or failed: disable the axis and restore the position error limit ahead of anything queued
+  const finishAborted = async (reason = signal.reason) => {
+    endProcedure(signal);
+    await sendMsg(`ax${axis}.MO=0;ax${axis}.ER[2]=1e7;`, { priority: SERIAL_PRIORITY.HIGH });
+    if (commutationBtn) {
+      commutationBtn.classList.remove('in-progress');
+      commutationBtn.style.removeProperty('--progress');
+    }
+    updateMovementStatus(`Commutation aborted: ${reason}`, 'error');
+    showLiveData(true);
+    return false;
+  };
+
   updateMovementStatus('Performing commutation...', 'running');
   showLiveData(false);
   await turnOffMotor();
@@ -297,25 +724,35 @@ async function commutation(axis = 2) {
   await readMsg(`ax${axis}.SC[1]=80;ax${axis}.SC[2]=2;ax${axis}.SC[3]=6;`);
   await readMsg(`ax${axis}.ER[2]=0;`);
   await readMsg(`ax${axis}.CA[10]=1;`);
+  if (signal.aborted) return finishAborted();
   await readMsg(`ax${axis}.MO=1;`);
 
   updateMovementStatus('Waiting for commutation to complete...', 'running');
   if (commutationBtn) commutationBtn.style.setProperty('--progress', '0%');
 
-  let mf = 0;
+  // MF stays 0 while the drive searches; COMMUTATION_DONE_MF means done, any other fault means it failed
+  let mf = null;
   const maxAttempts = 36;
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     const pct = Math.round((attempt / maxAttempts) * 100);
     if (commutationBtn) commutationBtn.style.setProperty('--progress', `${pct}%`);
 
-    const mfRaw = await readMsg(`ax${axis}.MF;;`);
-    console.log(mfRaw);
-    const match = mfRaw.match(/MF[^-\d]*([-+]?\d+\.?\d*(?:[eE][+-]?\d+)?)/);
-    mf = match ? parseFloat(match[1]) : NaN;
-    if (!isNaN(mf) && mf === 128) break;
-    console.warn(`Commutation in progress... attempt ${attempt + 1}: MF=${mf}`);
-    await new Promise(resolve => setTimeout(resolve, 500));
+    mf = await readElmoValue(`ax${axis}.MF`);
+    if (mf === COMMUTATION_DONE_MF) break;
+    if (mf) {
+      const reason = describeMotorFault(mf);
+      recordFault('Commutation', `Axis ${axis}: ${reason}`);
+      return finishAborted(reason);
+    }
+    console.warn(`Commutation in progress... attempt ${attempt + 1}: MF=${mf ?? '?'}`);
+    if (await procedureDelay(500, signal)) return finishAborted();
   }
+  if (mf !== COMMUTATION_DONE_MF) {
+    const reason = `no result after ${maxAttempts * 0.5} s (MF=${mf ?? '?'})`;
+    recordFault('Commutation', `Axis ${axis}: ${reason}`);
+    return finishAborted(reason);
+  }
+  endProcedure(signal);
 
   if (commutationBtn) commutationBtn.style.setProperty('--progress', '100%');
   await new Promise(resolve => setTimeout(resolve, 300));
@@ -358,6 +795,15 @@ async function commutationStepByStep(axis = 2) {
     return;
   }
   
+  const signal = beginProcedure('Commutation');
+  // Aborted: disable the axis and restore the normal unit mode ahead of anything queued
+  const finishAborted = async () => {
+    await sendMsg(`ax${axis}.MO=0;ax${axis}.UM=5;`, { priority: SERIAL_PRIORITY.HIGH });
+    updateMovementStatus(`Commutation aborted: ${signal.reason}`, 'error');
+    showLiveData(true);
+    return false;
+  };
+
   updateMovementStatus('Performing commutation...', 'running');
   showLiveData(false);
   await turnOffMotor();
@@ -365,11 +811,12 @@ async function commutationStepByStep(axis = 2) {
   // await new Promise(resolve => setTimeout(resolve, 50));
   // await readMsg('EO=1;;\r', { skipLock: true });
 
+  if (signal.aborted) return finishAborted();
   await readMsg(`ax${axis}.UM=3;ax${axis}.MO=1;`);   // Stepper mode, enable motor, set torque control
-  await new Promise(resolve => setTimeout(resolve, 500));
+  if (await procedureDelay(500, signal)) return finishAborted();
   await readMsg(`ax${axis}.TC=1;`);   // Set torque control
   updateMovementStatus('Waiting for commutation to settle...', 'running');
-  await new Promise(resolve => setTimeout(resolve, 5000));
+  if (await procedureDelay(5000, signal)) return finishAborted();
 
   let wf40 = 0;
   for (let attempt = 0; attempt < 5; attempt++) {
@@ -379,8 +826,9 @@ async function commutationStepByStep(axis = 2) {
     wf40 = match ? parseFloat(match[1]) : NaN;
     if (!isNaN(wf40) && wf40 !== 0) break;
     console.warn(`WF[40] read attempt ${attempt + 1} failed (got: ${wf40Raw}), retrying...`);
-    await new Promise(resolve => setTimeout(resolve, 500));
+    if (await procedureDelay(500, signal)) return finishAborted();
   }
+  endProcedure(signal);
   await sendMsg(`ax${axis}.MO=0;ax${axis}.UM=5;`); // Disable motor, restore mode
   if (isNaN(wf40) || wf40 === 0) {
     updateMovementStatus('Commutation failed: could not read WF[40]', 'error');
@@ -440,13 +888,12 @@ function sendVelocity(v) {
     document.getElementById('movementVelocity').value = vel;
   }
 
-  if (vel > MAX_VELOCITY) {
-    vel = MAX_VELOCITY;
-    document.getElementById('movementVelocity').value = MAX_VELOCITY;
-    updateMovementStatus(`Velocity clamped to max ${MAX_VELOCITY} deg/s`, 'error');
-  }
+  const { value, reason } = limitVelocity('both', vel);
+  if (reason) reportMotionLimit('Velocity', [reason], value === null);
+  if (value === null) return;
+  if (value !== vel) document.getElementById('movementVelocity').value = value;
 
-  sendMsg(`R1[13]=${vel}; R1[23]=${vel};`);
+  sendMsg(registerWrites({ Tr_velocity_limit: value, El_velocity_limit: value }));
 }
 
 // ==================== Status Functions ====================
@@ -464,6 +911,7 @@ function updateMovementStatus(message, type) {
                                type === 'moving' ? '#007bff' : 
                                type === 'running' ? '#28a745' : '#6c757d';
   }
+  broadcastMovementStatus(message, type);
 }
 
 // ==================== Exported Functions ====================
@@ -475,6 +923,11 @@ window.moveToPosition = moveToPosition;
 window.setMovementVelocity = setMovementVelocity;
 window.runScenario = runScenario;
 window.startSineMove = startSineMove;
+window.stopComplexMove = stopComplexMove;
+window.holdCurrentPosition = holdCurrentPosition;
+window.planSineMove = planSineMove;
+window.planLinearMove = planLinearMove;
+window.analyzeLinearMove = analyzeLinearMove;
 window.startLinearMove = startLinearMove;
 window.joystickCmd = joystickCmd;
 window.updateMovementStatus = updateMovementStatus;
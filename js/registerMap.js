@@ -0,0 +1,333 @@
+/**
+ * Register Map Module
+ * Single table of the controller registers the app reads and writes. The live
+ * data poll command, frame parsing, sidebar display, recording columns, CSV
+ * headers and command strings are all derived from it, so adding a signal
+ * means adding one entry here.
+ */
+
+// ==================== Register Map ====================
+
+// R1[125] always reads 255; it leads every live data frame as an alignment sentinel
+const LIVE_DATA_SENTINEL = 255;
+
+/*
+ * name    - key in parsed frames and in the rows recording object
+ * reg     - drive register, or null for fields only the packed registers provide
+ * type    - 'int', 'float' or 'bits'
+ * unit    - engineering unit after scaling
+ * scale   - raw register value × scale = value in unit
+ * access  - 'r', 'w' or 'rw'
+ * poll    - read in every live data frame, in table order
+ * display - sidebar field { id, decimals }, or { errorBits: true } for the error bit list
+ * record  - kept in rows while recording
+ * csv     - column header in saved recordings (omit to leave the column out)
+ * filter  - median-filtered when a recording is processed
+ */
+const REGISTER_MAP = [
+  // Live data
+  { name: 'sentinel',     reg: 'R1[125]', type: 'int',  unit: '',      scale: 1,     access: 'r', poll: true },
+  { name: 'sysMode',      reg: 'R1[10]',  type: 'int',  unit: '',      scale: 1,     access: 'r', poll: true,
+    display: { id: 'systemModeInput', decimals: 1 } },
+  { name: 'Tr_angle',     reg: 'R1[31]',  type: 'int',  unit: 'deg',   scale: 0.1,   access: 'r', poll: true,
+    display: { id: 'PositionInputTR', decimals: 1 }, record: true, csv: 'Tr_Angle_deg', filter: true },
+  { name: 'Tr_velocity',  reg: 'R1[33]',  type: 'int',  unit: 'deg/s', scale: 0.1,   access: 'r', poll: true,
+    display: { id: 'VelocityInputTR', decimals: 0 }, record: true, csv: 'Tr_Velocity_deg/s', filter: true },
+  { name: 'Tr_current',   reg: 'R1[34]',  type: 'int',  unit: 'A',     scale: 0.001, access: 'r', poll: true,
+    display: { id: 'CurrentInputTR', decimals: 1 }, record: true, csv: 'Tr_Current_A', filter: true },
+  { name: 'El_angle',     reg: 'R1[41]',  type: 'int',  unit: 'deg',   scale: 0.1,   access: 'r', poll: true,
+    display: { id: 'PositionInputEL', decimals: 1 }, record: true, csv: 'El_Angle_deg', filter: true },
+  { name: 'El_velocity',  reg: 'R1[43]',  type: 'int',  unit: 'deg/s', scale: 0.1,   access: 'r', poll: true,
+    display: { id: 'VelocityInputEL', decimals: 0 }, record: true, csv: 'El_Velocity_deg/s', filter: true },
+  { name: 'El_current',   reg: 'R1[44]',  type: 'int',  unit: 'A',     scale: 0.001, access: 'r', poll: true,
+    display: { id: 'CurrentInputEL', decimals: 1 }, record: true, csv: 'El_Current_A', filter: true },
+  { name: 'status',       reg: 'R1[9]',   type: 'bits', unit: '',      scale: 1,     access: 'r', poll: true,
+    display: { errorBits: true }, record: true, csv: 'Status' },
+  { name: 'Tr_cmd_angle', reg: null,      type: 'int',  unit: 'deg',   scale: 0.1,   access: 'r',
+    record: true, filter: true },
+  { name: 'El_cmd_angle', reg: null,      type: 'int',  unit: 'deg',   scale: 0.1,   access: 'r',
+    record: true, filter: true },
+
+  // Identification: firmware application version, major * 10000 + minor * 100 + patch
+  { name: 'fw_version',   reg: 'R1[120]', type: 'int',  unit: '',      scale: 1,     access: 'r' },
+
+  // Commands
+  { name: 'Tr_position_cmd',   reg: 'R1[11]', type: 'float', unit: 'deg',   scale: 1, access: 'w' },
+  { name: 'El_position_cmd',   reg: 'R1[21]', type: 'float', unit: 'deg',   scale: 1, access: 'w' },
+  { name: 'Tr_joystick_rate',  reg: 'R1[12]', type: 'int',   unit: 'step',  scale: 1, access: 'w' },
+  { name: 'El_joystick_rate',  reg: 'R1[22]', type: 'int',   unit: 'step',  scale: 1, access: 'w' },
+  { name: 'Tr_velocity_limit', reg: 'R1[13]', type: 'float', unit: 'deg/s', scale: 1, access: 'w' },
+  { name: 'El_velocity_limit', reg: 'R1[23]', type: 'float', unit: 'deg/s', scale: 1, access: 'w' },
+  // Firmware sine mode (R1[1]=13)
+  { name: 'Tr_sine_amplitude', reg: 'R1[16]', type: 'float', unit: 'deg',   scale: 1,    access: 'w' },
+  { name: 'Tr_sine_frequency', reg: 'R1[17]', type: 'int',   unit: 'Hz',    scale: 0.01, access: 'w' },
+  { name: 'Tr_sine_center',    reg: 'R1[18]', type: 'float', unit: 'deg',   scale: 1,    access: 'w' },
+  { name: 'El_sine_amplitude', reg: 'R1[26]', type: 'float', unit: 'deg',   scale: 1,    access: 'w' },
+  { name: 'El_sine_frequency', reg: 'R1[27]', type: 'int',   unit: 'Hz',    scale: 0.01, access: 'w' },
+  { name: 'El_sine_center',    reg: 'R1[28]', type: 'float', unit: 'deg',   scale: 1,    access: 'w' },
+];
+
+// ==================== Lookups ====================
+
+/**
+ * Find a register by name
+ * @param {string} name
+ * @returns {Object} Register map entry
+ */
+function getRegister(name) {
+  const register = REGISTER_MAP.find(entry => entry.name === name);
+  if (!register) throw new Error(`Unknown register: ${name}`);
+  return register;
+}
+
+/**
+ * Registers read in every live data frame, in frame order
+ * @returns {Array<Object>}
+ */
+function getPolledRegisters() {
+  return REGISTER_MAP.filter(entry => entry.poll);
+}
+
+/**
+ * Registers kept in rows while recording
+ * @returns {Array<Object>}
+ */
+function getRecordedRegisters() {
+  return REGISTER_MAP.filter(entry => entry.record);
+}
+
+/**
+ * Registers shown in the sidebar
+ * @returns {Array<Object>}
+ */
+function getDisplayedRegisters() {
+  return REGISTER_MAP.filter(entry => entry.display);
+}
+
+// ==================== Live Data Frames ====================
+
+/**
+ * Build the live data poll command from the polled registers
+ * @param {Array<string>} [extra] - Additional read commands appended after the registers (watch list)
+ * @returns {string} e.g. 'R1[125];R1[10];...;;\r'
+ */
+function buildPollCommand(extra = []) {
+  return [...getPolledRegisters().map(entry => entry.reg), ...extra].join(';') + ';;\r';
+}
+
+/**
+ * Parse a live data reply into raw values keyed by register name.
+ * The sentinel is searched for rather than assumed first, so an unexpected
+ * echo or leading field is skipped.
+ * @param {string} reply - Reply to buildPollCommand()
+ * @param {number} [extraCount] - Number of extra reads appended to the command
+ * @returns {{frame: Object, shift: number, extra: Array}|null} null if the sentinel is missing
+ */
+function parsePollReply(reply, extraCount = 0) {
+  const values = reply.split(';').map(val => {
+    const trimmed = val.trim();
+    if (trimmed === '') return null;
+    const num = Number(trimmed);
+    return isNaN(num) ? trimmed : num;
+  });
+  const shift = values.indexOf(LIVE_DATA_SENTINEL);
+  if (shift === -1) return null;
+
+  const polled = getPolledRegisters();
+  const frame = {};
+  polled.forEach((entry, i) => {
+    frame[entry.name] = values[shift + i] ?? null;
+  });
+  const extra = [];
+  for (let i = 0; i < extraCount; i++) {
+    extra.push(values[shift + polled.length + i] ?? null);
+  }
+  return { frame, shift, extra };
+}
+
+/**
+ * Convert a raw register value to its engineering unit
+ * @param {string} name - Register name
+ * @param {number} raw
+ * @returns {number}
+ */
+function scaleRegisterValue(name, raw) {
+  return raw * getRegister(name).scale;
+}
+
+// ==================== Packed Telemetry ====================
+
+// Registers carrying the packed live data words, in word order
+const PACKED_TELEMETRY_REGS = ['R1[51]', 'R1[52]', 'R1[53]'];
+
+/*
+ * Bit layout of the packed words: field `bits` wide at bit `shift` of word `word`.
+ * name - REGISTER_MAP entry the field feeds
+ * lsb  - field resolution in that entry's unit (angles ±204.8° in 12 bits,
+ *        rates ±102.4 deg/s in 10 bits, current magnitude 0..12.75 A in 8 bits)
+ * The angle fields carry the counts of R1[31]/R1[41] (0.1° each, the scale the
+ * first packed decoder displayed them with), which covers the ±200° TR sector.
+ */
+const PACKED_TELEMETRY_FIELDS = [
+  { field: 'posTr',    name: 'Tr_angle',     word: 0, shift: 20, bits: 12, signed: true,  lsb: 0.1 },
+  { field: 'posEl',    name: 'El_angle',     word: 0, shift:  8, bits: 12, signed: true,  lsb: 0.1 },
+  { field: 'status',   name: 'status',       word: 0, shift:  0, bits:  8, signed: false, lsb: 1 },
+  { field: 'posCmdTr', name: 'Tr_cmd_angle', word: 1, shift: 20, bits: 12, signed: true,  lsb: 0.1 },
+  { field: 'posCmdEl', name: 'El_cmd_angle', word: 1, shift:  8, bits: 12, signed: true,  lsb: 0.1 },
+  { field: 'curTr',    name: 'Tr_current',   word: 1, shift:  0, bits:  8, signed: false, lsb: 0.05 },
+  { field: 'rateTr',   name: 'Tr_velocity',  word: 2, shift: 22, bits: 10, signed: true,  lsb: 0.2 },
+  { field: 'rateEl',   name: 'El_velocity',  word: 2, shift: 12, bits: 10, signed: true,  lsb: 0.2 },
+  { field: 'curEl',    name: 'El_current',   word: 2, shift:  4, bits:  8, signed: false, lsb: 0.05 },
+];
+
+/**
+ * Sign-extend a value from a given bit width to a full 32-bit signed integer.
+ * @param {number} value - The raw unsigned value
+ * @param {number} bits  - The number of bits it was extracted from
+ * @returns {number} Signed integer
+ */
+function signExtend(value, bits) {
+  const shift = 32 - bits;
+  return (value << shift) >> shift;
+}
+
+/**
+ * Build the packed live data poll command
+ * @param {Array<string>} [extra] - Additional read commands appended after the words (watch list)
+ * @returns {string} 'R1[51];R1[52];R1[53];...;;\r'
+ */
+function buildPackedPollCommand(extra = []) {
+  return [...PACKED_TELEMETRY_REGS, ...extra].join(';') + ';;\r';
+}
+
+/**
+ * Decode three packed 32-bit registers (R1[51], R1[52], R1[53]) into individual gimbal fields.
+ * @param {number} R1 - First packed register
+ * @param {number} R2 - Second packed register
+ * @param {number} R3 - Third packed register
+ * @returns {{ posTr, posEl, posCmdTr, posCmdEl, rateTr, rateEl, status, curTr, curEl }} Raw field counts
+ */
+function decodeRegisters(R1, R2, R3) {
+  const words = [R1 | 0, R2 | 0, R3 | 0];
+  const decoded = {};
+  PACKED_TELEMETRY_FIELDS.forEach(({ field, word, shift, bits, signed }) => {
+    const value = (words[word] >>> shift) & ((1 << bits) - 1);
+    decoded[field] = signed ? signExtend(value, bits) : value;
+  });
+  return decoded;
+}
+
+/**
+ * Pack raw field counts into the three registers (inverse of decodeRegisters).
+ * Values are rounded and clamped to their field range.
+ * @param {Object<string, number>} fields - { posTr, posEl, ... } raw field counts; missing fields are 0
+ * @returns {Array<number>} [R1, R2, R3] as signed 32-bit integers
+ */
+function encodeRegisters(fields) {
+  const words = [0, 0, 0];
+  PACKED_TELEMETRY_FIELDS.forEach(({ field, word, shift, bits, signed }) => {
+    const min = signed ? -(2 ** (bits - 1)) : 0;
+    const max = signed ? 2 ** (bits - 1) - 1 : 2 ** bits - 1;
+    const value = Math.min(max, Math.max(min, Math.round(fields[field] || 0)));
+    words[word] |= (value & ((1 << bits) - 1)) << shift;
+  });
+  return words.map(word => word | 0);
+}
+
+/**
+ * Convert decoded field counts to engineering units
+ * @param {Object<string, number>} decoded - Result of decodeRegisters()
+ * @returns {Object<string, number>} Values keyed by REGISTER_MAP name, in the entry's unit
+ */
+function scalePackedFields(decoded) {
+  const values = {};
+  PACKED_TELEMETRY_FIELDS.forEach(({ field, name, lsb }) => {
+    values[name] = decoded[field] * lsb;
+  });
+  return values;
+}
+
+/**
+ * Convert engineering values to field counts for encodeRegisters()
+ * @param {Object<string, number>} values - Values keyed by REGISTER_MAP name
+ * @returns {Object<string, number>} { posTr, posEl, ... }
+ */
+function unscalePackedFields(values) {
+  const fields = {};
+  PACKED_TELEMETRY_FIELDS.forEach(({ field, name, lsb }) => {
+    fields[field] = (values[name] || 0) / lsb;
+  });
+  return fields;
+}
+
+/**
+ * Decode the packed words into a live data frame in raw register units,
+ * the same units parsePollReply() returns, so display and recording scale both alike
+ * @param {Array<number>} words - [R1[51], R1[52], R1[53]]
+ * @returns {Object} Frame keyed by register name
+ */
+function decodePackedFrame(words) {
+  const values = scalePackedFields(decodeRegisters(words[0], words[1], words[2]));
+  const frame = {};
+  Object.entries(values).forEach(([name, value]) => {
+    frame[name] = value / getRegister(name).scale;
+  });
+  return frame;
+}
+
+// ==================== Recording ====================
+
+/**
+ * Create an empty rows recording object (time plus every recorded register)
+ * @returns {Object<string, Array>}
+ */
+function createEmptyRows() {
+  const emptyRows = { time: [] };
+  getRecordedRegisters().forEach(entry => { emptyRows[entry.name] = []; });
+  return emptyRows;
+}
+
+/**
+ * Recorded registers that are written to CSV files, in column order
+ * @returns {Array<Object>}
+ */
+function getCsvRegisters() {
+  return getRecordedRegisters().filter(entry => entry.csv);
+}
+
+// ==================== Commands ====================
+
+/**
+ * Build register assignments from engineering values
+ * @param {Object<string, number>} values - Register name → value in its unit
+ * @returns {string} e.g. 'R1[11]=10; R1[21]=5;'
+ */
+function registerWrites(values) {
+  return Object.entries(values).map(([name, value]) => {
+    const register = getRegister(name);
+    const raw = register.scale === 1 ? value : value / register.scale;
+    return `${register.reg}=${register.type === 'int' ? Math.round(raw) : raw};`;
+  }).join(' ');
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.REGISTER_MAP = REGISTER_MAP;
+window.getRegister = getRegister;
+window.getPolledRegisters = getPolledRegisters;
+window.getRecordedRegisters = getRecordedRegisters;
+window.getDisplayedRegisters = getDisplayedRegisters;
+window.buildPollCommand = buildPollCommand;
+window.parsePollReply = parsePollReply;
+window.scaleRegisterValue = scaleRegisterValue;
+window.PACKED_TELEMETRY_FIELDS = PACKED_TELEMETRY_FIELDS;
+window.buildPackedPollCommand = buildPackedPollCommand;
+window.decodeRegisters = decodeRegisters;
+window.encodeRegisters = encodeRegisters;
+window.scalePackedFields = scalePackedFields;
+window.unscalePackedFields = unscalePackedFields;
+window.decodePackedFrame = decodePackedFrame;
+window.createEmptyRows = createEmptyRows;
+window.getCsvRegisters = getCsvRegisters;
+window.registerWrites = registerWrites;
@@ -0,0 +1,186 @@
+/**
+ * Remote Bridge Module
+ * SerialPort-like object that carries the serial byte stream over a WebSocket
+ * to bridge/bridge.js, which owns the real port (or a simulated gimbal) on
+ * another PC. Binary frames are raw serial bytes in both directions; text
+ * frames are JSON status messages from the bridge.
+ */
+
+// ==================== Bridge Port ====================
+
+/**
+ * Create a port that talks to a gimbal through the remote bridge
+ * @param {string} url - Bridge address, e.g. 'ws://lab-pc:8765' (may carry '?token=...')
+ * @returns {Object} SerialPort-like object
+ */
+function createBridgePort(url) {
+  let socket = null;
+  let rxController = null;
+  let bridgeInfo = null;
+
+  const port = {
+    bridge: true,
+    url,
+    readable: null,
+    writable: null,
+
+    getInfo() {
+      return { bridgeUrl: url, ...(bridgeInfo || {}) };
+    },
+
+    async open() {
+      if (port.readable) throw new Error('Bridge port is already open');
+      const { socket: activeSocket, hello } = await connectBridgeSocket(url);
+      socket = activeSocket;
+      bridgeInfo = { bridgeDevice: hello.device, bridgeBaudRate: hello.baudRate };
+      console.log(`Remote bridge connected: ${hello.device} @ ${hello.baudRate} baud`);
+
+      port.readable = new ReadableStream({
+        start(controller) { rxController = controller; },
+        cancel() { rxController = null; },
+      });
+
+      port.writable = new WritableStream({
+        write(chunk) {
+          if (activeSocket.readyState !== WebSocket.OPEN) {
+            throw new Error('Bridge connection is closed');
+          }
+          activeSocket.send(chunk);
+        },
+      });
+
+      activeSocket.onmessage = (event) => {
+        if (typeof event.data === 'string') {
+          handleBridgeStatus(event.data);
+        } else if (rxController) {
+          rxController.enqueue(new Uint8Array(event.data));
+        }
+      };
+
+      // The bridge went away (network, bridge stopped, serial port lost on its side):
+      // fail the stream without a readable port so the app treats it like an unplugged cable
+      activeSocket.onclose = (event) => {
+        if (socket !== activeSocket) return;
+        socket = null;
+        port.readable = null;
+        port.writable = null;
+        if (rxController) {
+          const reason = event.reason || `code ${event.code}`;
+          try { rxController.error(new Error(`Bridge connection closed (${reason})`)); } catch (e) { /* already closed */ }
+          rxController = null;
+        }
+      };
+    },
+
+    async close() {
+      const activeSocket = socket;
+      socket = null;
+      if (rxController) {
+        try { rxController.close(); } catch (e) { /* already closed */ }
+        rxController = null;
+      }
+      port.readable = null;
+      port.writable = null;
+      if (!activeSocket || activeSocket.readyState === WebSocket.CLOSED) return;
+
+      // Wait for the bridge to confirm, so an immediate reopen (reconnect after
+      // sv;) does not find the session still in use
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, BRIDGE_CONNECT_TIMEOUT_MS);
+        activeSocket.onclose = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        activeSocket.close(1000, 'Closed by client');
+      });
+    },
+  };
+
+  /**
+   * Handle a JSON status frame from the bridge
+   * @param {string} text
+   */
+  function handleBridgeStatus(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      console.warn('Unreadable bridge message:', text);
+      return;
+    }
+    if (message.type === 'error') {
+      console.error(`Remote bridge: ${message.message}`);
+      captureSerialEvent('warn', `Bridge: ${message.message}`);
+    }
+  }
+
+  return port;
+}
+
+/**
+ * Open a WebSocket to the bridge and wait for its hello, which it sends once
+ * the serial port on its side is open
+ * @param {string} url
+ * @returns {Promise<{socket: WebSocket, hello: Object}>} Open socket (binary frames as ArrayBuffer)
+ */
+function connectBridgeSocket(url) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      reject(new Error(`Invalid bridge address: ${url}`));
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(new Error(`No answer from the bridge at ${url}`));
+    }, BRIDGE_CONNECT_TIMEOUT_MS);
+
+    socket.onmessage = (event) => {
+      let message = null;
+      try {
+        message = typeof event.data === 'string' ? JSON.parse(event.data) : null;
+      } catch (error) { /* not a status frame */ }
+      if (!message || message.type !== 'hello') return;
+      clearTimeout(timer);
+      socket.onmessage = null;
+      socket.onclose = null;
+      resolve({ socket, hello: message });
+    };
+    // The bridge refuses a second client, a wrong token or a serial port it
+    // cannot open by closing with the reason
+    socket.onclose = (event) => {
+      clearTimeout(timer);
+      reject(new Error(event.reason || `Cannot reach the bridge at ${url}`));
+    };
+  });
+}
+
+/**
+ * Ask for the bridge address (prefilled with the last one used)
+ * @returns {Promise<string>} Address entered by the user
+ */
+async function promptBridgeUrl() {
+  const result = await Swal.fire({
+    title: 'Remote Bridge',
+    text: 'Address of the bridge on the PC connected to the gimbal',
+    input: 'text',
+    inputValue: localStorage.getItem('gimbal-bridge-url') || BRIDGE_DEFAULT_URL,
+    inputValidator: (value) => (/^wss?:\/\/\S+$/.test(value.trim()) ? null : 'Enter a ws:// or wss:// address'),
+    showCancelButton: true,
+    confirmButtonText: 'Connect'
+  });
+  if (!result.isConfirmed || !result.value) {
+    throw new Error('No bridge address entered');
+  }
+  return result.value.trim();
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.createBridgePort = createBridgePort;
+window.promptBridgeUrl = promptBridgeUrl;
@@ -0,0 +1,571 @@
+/**
+ * Scenario Scripts Module
+ * Runs short JavaScript scenarios written by test engineers against a small
+ * gimbal API, so new demos and tests need no change to the app. A script runs
+ * in a Web Worker: it cannot reach the page or the serial port, only the API
+ * below, and stopping it terminates the worker even in an endless loop. The
+ * worker's network APIs are removed, but it runs with the page's origin: this
+ * keeps well-meant scripts on the API, it is no sandbox for untrusted code.
+ * Every motion call goes through the motion safety limits.
+ *
+ * Script API (all motion and read calls return promises: use await):
+ *   moveTo(tr, el, velocity?)          Position command [deg], optional velocity limit [deg/s]
+ *   waitForArrival(tolerance?, ms?)    Wait until the last moveTo target is reached (default 0.2°, 30 s)
+ *   setVelocity(velocity)              Velocity limit of both axes [deg/s]
+ *   startRecording() / stopRecording(name?)   Record live data; stop saves a CSV, returns the sample count
+ *   readRegister(name)                 REGISTER_MAP name (engineering units) or variable read (e.g. 'R1[60]', 'PX')
+ *   position()                         Current angles { tr, el } [deg]
+ *   sleep(ms)                          Wait
+ *   assert(condition, message)         Count a check; a failed check ends the script
+ *   log(...values)                     Print to the script output
+ */
+
+let scenarioRun = null;  // { name, signal, worker, target, recording, passed, timedOut }
+
+const SCENARIO_EXAMPLES = {
+  'Square scan': `// Visit the corners of a square and come back
+await setVelocity(40);
+for (const [tr, el] of [[-30, 10], [30, 10], [30, 40], [-30, 40], [0, 0]]) {
+  await moveTo(tr, el);
+  await waitForArrival();
+  log('At', tr, el);
+  await sleep(500);
+}`,
+  'Velocity check': `// Traverse at 30 deg/s and check the measured velocity
+await moveTo(-40, 0, 80);
+await waitForArrival();
+await startRecording();
+await moveTo(40, 0, 30);
+await sleep(1500);
+const velocity = await readRegister('Tr_velocity');
+assert(Math.abs(velocity - 30) < 3, \`TR velocity \${velocity} deg/s, expected 30\`);
+await waitForArrival();
+const samples = await stopRecording('VelocityCheck');
+log('Recorded', samples, 'samples');`,
+  'Arrival accuracy': `// Step EL and check the final position error
+for (const el of [0, 20, 45, 0]) {
+  await moveTo(0, el, 40);
+  await waitForArrival(0.5);
+  await sleep(1000);
+  const { el: measured } = await position();
+  assert(Math.abs(measured - el) <= 0.2, \`EL \${measured} deg, expected \${el}\`);
+}`,
+};
+
+// readRegister variable reads besides REGISTER_MAP names: only variables, since many other
+// Elmo mnemonics act when sent bare (BG, HP, CP, BT, ...). Optional 'ax1.'/'ax2.' prefix.
+const SCENARIO_READ_VARIABLES = ['PX', 'VX', 'PA', 'PE', 'IQ', 'ID', 'MF', 'SR', 'MS', 'UM', 'EC'];
+const SCENARIO_READ_EXPRESSION = new RegExp(
+  `^(ax[12]\\.)?(${SCENARIO_READ_VARIABLES.join('|')}|CA\\[\\d+\\])$|^[RS][12]\\[\\d+\\]$`);
+
+// API summary shown in the panel
+const SCENARIO_API_HELP = `await moveTo(tr, el, velocity?)
+await waitForArrival(tolerance = 0.2, timeoutMs = 30000)
+await setVelocity(velocity)
+await startRecording()
+await stopRecording(name?)      → samples
+await readRegister('Tr_angle')  → value (or 'R1[60]')
+await position()                → { tr, el }
+await sleep(ms)
+assert(condition, message)
+log(...values)
+
+Angles in deg, velocities in deg/s. Commands outside
+the motion limits are rejected and end the script.`;
+
+// ==================== Worker ====================
+
+/**
+ * Body of the script worker (runs in the worker, not the page). Exposes the API
+ * as the script's only free names and forwards every call to the page.
+ */
+function scenarioWorkerMain() {
+  const pending = new Map();
+  let nextCallId = 1;
+
+  // The script gets the API and nothing else that talks to the outside. Deleted along the
+  // whole prototype chain (WorkerGlobalScope.prototype.fetch, ...), not just shadowed on self.
+  // Dynamic import() is syntax and cannot be removed this way.
+  const blocked = ['fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport',
+    'EventSource', 'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel'];
+  for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    blocked.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+      if (!delete scope[name]) {
+        try { Object.defineProperty(scope, name, { value: undefined }); } catch (error) { /* not configurable */ }
+      }
+    });
+  }
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    // Created here so a failed call reports the script line that made it
+    const error = new Error();
+    pending.set(id, { resolve, reject, error });
+    postMessage({ type: 'call', id, method, args });
+  });
+
+  class AssertionFailed extends Error {}
+
+  const api = {
+    moveTo: (tr, el, velocity) => call('moveTo', tr, el, velocity),
+    waitForArrival: (tolerance, timeoutMs) => call('waitForArrival', tolerance, timeoutMs),
+    setVelocity: (velocity) => call('setVelocity', velocity),
+    startRecording: () => call('startRecording'),
+    stopRecording: (name) => call('stopRecording', name),
+    readRegister: (name) => call('readRegister', name),
+    position: () => call('position'),
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    assert: (condition, message = 'Assertion failed') => {
+      postMessage({ type: 'assert', passed: !!condition, message: String(message) });
+      if (!condition) throw new AssertionFailed(String(message));
+    },
+    log: (...values) => postMessage({
+      type: 'log',
+      text: values.map(value => (typeof value === 'object' ? JSON.stringify(value) : String(value))).join(' '),
+    }),
+  };
+
+  // A call the script did not await still ends it when it fails
+  self.onunhandledrejection = (event) => {
+    event.preventDefault();
+    postMessage({ type: 'error', message: event.reason?.message || String(event.reason), line: null, assertion: false });
+  };
+
+  self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'result') {
+      const call = pending.get(message.id);
+      pending.delete(message.id);
+      if (!call) return;
+      if (message.error) {
+        call.error.message = message.error;
+        call.reject(call.error);
+      }
+      else call.resolve(message.value);
+      return;
+    }
+    if (message.type !== 'run') return;
+
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    try {
+      const script = new AsyncFunction(...Object.keys(api), `'use strict';\n${message.code}`);
+      await script(...Object.values(api));
+      postMessage({ type: 'done' });
+    } catch (error) {
+      // Script frames: ', <anonymous>:line:col' (Chrome), '> Function:line:col' (Firefox).
+      // The function header adds two lines and 'use strict' one
+      const match = /(?:, <anonymous>|> Function):(\d+):\d+/.exec(error.stack || '');
+      postMessage({
+        type: 'error',
+        message: error.message,
+        line: match ? Number(match[1]) - 3 : null,
+        assertion: error instanceof AssertionFailed,
+      });
+    }
+  };
+}
+
+/**
+ * Start a worker running scenarioWorkerMain
+ * @returns {Worker}
+ */
+function createScenarioWorker() {
+  const source = `(${scenarioWorkerMain.toString()})();`;
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  return worker;
+}
+
+// ==================== Script API (page side) ====================
+
+/**
+ * Page side of the script API: each method checks its arguments and the
+ * motion limits, then talks to the gimbal. Thrown errors end up in the script.
+ */
+const scenarioApi = {
+  async moveTo(run, tr, el, velocity) {
+    const command = checkMotionCommand(velocity === undefined ? { tr, el } : { tr, el, velocity }, 'reject');
+    if (command.rejected) throw new Error(`moveTo rejected: ${command.reasons.join('; ')}`);
+    const velocityWrites = velocity === undefined ? ''
+      : `${registerWrites({ Tr_velocity_limit: command.velocity, El_velocity_limit: command.velocity })} `;
+    await sendMsg(`${velocityWrites}R1[1]=1; ${registerWrites({ Tr_position_cmd: command.tr, El_position_cmd: command.el })}`);
+    run.target = { tr: command.tr, el: command.el };
+  },
+
+  async waitForArrival(run, tolerance = LINEAR_ARRIVAL_TOLERANCE_DEG, timeoutMs = SCENARIO_WAIT_TIMEOUT_MS) {
+    if (!run.target) throw new Error('waitForArrival needs a moveTo first');
+    const arrived = await waitForPosition(run.target.tr, run.target.el, tolerance, timeoutMs, run.signal);
+    if (!arrived && !run.signal.aborted) {
+      throw new Error(`TR ${run.target.tr}°, EL ${run.target.el}° not reached within ${timeoutMs / 1000} s`);
+    }
+  },
+
+  async setVelocity(run, velocity) {
+    const { value, reason } = limitVelocity('both', Number(velocity), 'reject');
+    if (value === null) throw new Error(`setVelocity rejected: ${reason}`);
+    await sendMsg(registerWrites({ Tr_velocity_limit: value, El_velocity_limit: value }));
+  },
+
+  startRecording(run) {
+    if (shouldRecordData) {
+      throw new Error(run.recording ? 'startRecording while the script is recording' : 'A recording is already running');
+    }
+    rows = createEmptyRows();
+    startTime = Date.now();
+    shouldRecordData = true;
+    run.recording = true;
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.style.color = '#dc3545';
+  },
+
+  stopRecording(run, name) {
+    if (!run.recording) throw new Error('stopRecording without startRecording');
+    return stopScenarioRecording(run, name ? String(name).replace(/[^\w-]+/g, '_') : run.name);
+  },
+
+  async readRegister(run, name) {
+    const register = REGISTER_MAP.find(entry => entry.name === name);
+    if (register && !(register.reg && register.access.includes('r'))) {
+      throw new Error(`${name} cannot be read`);
+    }
+    const expr = register ? register.reg : String(name).trim();
+    if (!register && !SCENARIO_READ_EXPRESSION.test(expr)) {
+      throw new Error(`readRegister takes a register name, R1[n]/R2[n]/S1[n]/S2[n], CA[n] or one of `
+        + `${SCENARIO_READ_VARIABLES.join(', ')}, not "${name}"`);
+    }
+    const reply = await readMsg(expr, { timeoutMs: TERMINAL_RESPONSE_TIMEOUT_MS, allowError: true });
+    const answer = reply.split(';').map(field => field.trim()).filter(Boolean).pop();
+    if (!answer || answer === '?' || isNaN(Number(answer))) {
+      throw new Error(`The drive did not return a number for "${expr}"`);
+    }
+    return register ? Number(answer) * register.scale : Number(answer);
+  },
+
+  position() {
+    return {
+      tr: parseFloat(document.getElementById('PositionInputTR')?.value),
+      el: parseFloat(document.getElementById('PositionInputEL')?.value),
+    };
+  },
+};
+
+/**
+ * Stop a recording started by the script and save it
+ * @param {Object} run - Running script
+ * @param {string} name - CSV file prefix
+ * @returns {number} Samples recorded
+ */
+function stopScenarioRecording(run, name) {
+  shouldRecordData = false;
+  run.recording = false;
+  const recordButton = document.getElementById('recordButton');
+  if (recordButton) recordButton.style.color = '';
+  applySignalProcessingToRows();
+  saveDataToCSV(`Script_${name}`);
+  return rows.time.length;
+}
+
+// ==================== Runner ====================
+
+/**
+ * Run the script in the editor as procedure 'Scenario script'. It ends when the
+ * script returns, throws, fails an assertion, times out or is aborted; the
+ * gimbal then holds where it is (the emergency stop stops it instead).
+ * @returns {Promise<boolean>} True if the script ran to the end
+ */
+async function runScenarioScript() {
+  const code = document.getElementById('scenario-code').value;
+  localStorage.setItem('gimbal-scenario-script', code);
+  if (!code.trim()) return false;
+  if (!validateMovementPrerequisites()) return false;
+  if (getActiveProcedures().length > 0) {
+    updateMovementStatus(`Error: ${getActiveProcedures().join(', ')} is running`, 'error');
+    return false;
+  }
+
+  const name = (document.getElementById('scenario-name').value.trim() || 'Scenario').replace(/[^\w-]+/g, '_');
+  const timeoutS = Number(document.getElementById('scenario-timeout').value) || SCENARIO_DEFAULT_TIMEOUT_S;
+  const signal = beginProcedure('Scenario script');
+  const run = { name, signal, worker: createScenarioWorker(), target: null, recording: false, passed: 0, timedOut: false };
+  scenarioRun = run;
+  renderScenarioControls();
+  clearScenarioOutput();
+  appendScenarioLine('info', `Running ${name} (timeout ${timeoutS} s)`);
+  updateMovementStatus(`Scenario script ${name} running`, 'running');
+
+  const result = await new Promise(resolve => {
+    const timer = setTimeout(() => {
+      run.timedOut = true;
+      abortProcedure('Scenario script', `Timed out after ${timeoutS} s`);
+    }, timeoutS * 1000);
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      resolve(outcome);
+    };
+    signal.addEventListener('abort', () => finish({ error: signal.reason }));
+    run.worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ error: event.message });
+    };
+    run.worker.onmessage = (event) => handleScenarioMessage(run, event.data, finish);
+    run.worker.postMessage({ type: 'run', code });
+  });
+
+  run.worker.terminate();
+  // Our own abort, a timeout or a script error stops where it is; other aborts stopped the gimbal already
+  const stoppedElsewhere = signal.aborted && signal.reason !== SCENARIO_ABORT_REASON && !run.timedOut;
+  if (result.error && !stoppedElsewhere) await holdCurrentPosition();
+  endProcedure(signal);
+  scenarioRun = null;
+  if (run.recording) stopScenarioRecording(run, `${name}_aborted`);
+
+  if (result.error) {
+    const where = result.line ? ` (line ${result.line})` : '';
+    const what = result.assertion ? 'Assertion failed' : signal.aborted ? 'Aborted' : 'Error';
+    appendScenarioLine('error', `${what}${where}: ${result.error}`);
+    updateMovementStatus(`Scenario script ${name}: ${what.toLowerCase()}${where}: ${result.error}`, 'error');
+  } else {
+    const summary = `${run.passed} assertion${run.passed === 1 ? '' : 's'} passed`;
+    appendScenarioLine('info', `Done, ${summary}`);
+    updateMovementStatus(`Scenario script ${name} done, ${summary}`, 'ready');
+  }
+  renderScenarioControls();
+  return !result.error;
+}
+
+/**
+ * Handle a message from the script worker
+ * @param {Object} run - Running script
+ * @param {Object} message - { type, ... }
+ * @param {Function} finish - Ends the run with { error?, line?, assertion? }
+ */
+async function handleScenarioMessage(run, message, finish) {
+  switch (message.type) {
+    case 'call': {
+      const reply = { type: 'result', id: message.id };
+      try {
+        // Own properties only: 'constructor', 'toString', ... are not API functions
+        if (!Object.hasOwn(scenarioApi, message.method)) throw new Error(`Unknown API function ${message.method}`);
+        reply.value = await scenarioApi[message.method](run, ...message.args);
+      } catch (error) {
+        reply.error = error.message;
+      }
+      if (scenarioRun !== run || run.signal.aborted) break;
+      try {
+        run.worker.postMessage(reply);
+      } catch (error) {
+        // A value that cannot be cloned to the worker fails the call instead
+        run.worker.postMessage({ type: 'result', id: message.id, error: `Cannot return the result: ${error.message}` });
+      }
+      break;
+    }
+    case 'log':
+      appendScenarioLine('rx', message.text);
+      break;
+    case 'assert':
+      if (message.passed) run.passed++;
+      appendScenarioLine(message.passed ? 'info' : 'error', `${message.passed ? 'PASS' : 'FAIL'} ${message.message}`);
+      break;
+    case 'done':
+      finish({});
+      break;
+    case 'error':
+      finish({ error: message.message, line: message.line, assertion: message.assertion });
+      break;
+  }
+}
+
+/**
+ * Abort the running script
+ */
+function abortScenarioScript() {
+  if (!abortProcedure('Scenario script', SCENARIO_ABORT_REASON)) {
+    updateMovementStatus('No scenario script is running', 'ready');
+  }
+}
+
+// ==================== Scenario Panel UI ====================
+
+/**
+ * Initialize and display the scenario scripts panel
+ */
+function ScenarioScripts() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const scenarioButton = document.querySelector('a[onclick*="ScenarioScripts"]');
+  if (scenarioButton) {
+    scenarioButton.classList.add('active');
+  }
+
+  // Remove existing scenario panel if it exists
+  const existingPanel = document.getElementById('scenario-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create scenario sidebar panel
+  const scenarioPanel = document.createElement('div');
+  scenarioPanel.id = 'scenario-panel';
+  scenarioPanel.classList.add('movement-panel');
+
+  const exampleOptions = Object.keys(SCENARIO_EXAMPLES)
+    .map(name => `<option value="${name}">${name}</option>`)
+    .join('');
+
+  scenarioPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Scenario Scripts</h1>
+      <button class="panel-close-btn" onclick="closeScenarioScripts()">×</button>
+    </div>
+
+    <div class="terminal-input-row">
+      <input type="text" id="scenario-name" placeholder="Scenario name" value="Scenario" autocomplete="off" spellcheck="false" />
+      <input type="number" id="scenario-timeout" min="1" value="${SCENARIO_DEFAULT_TIMEOUT_S}" title="Timeout [s]: the script is aborted after this time" />
+      <select id="scenario-example" onchange="loadScenarioExample(this.value)" title="Load an example">
+        <option value="">Examples</option>${exampleOptions}
+      </select>
+    </div>
+    <textarea id="scenario-code" class="scenario-editor" spellcheck="false"></textarea>
+    <div class="terminal-input-row">
+      <button id="scenario-run" onclick="runScenarioScript()">Run</button>
+      <button id="scenario-abort" onclick="abortScenarioScript()">Abort</button>
+      <button onclick="importScenarioScript()" title="Load a script file">Load</button>
+      <button onclick="exportScenarioScript()" title="Save the script as a file">Save</button>
+    </div>
+    <div id="scenario-output" class="terminal-output"></div>
+
+    <details class="scenario-help">
+      <summary>Script API</summary>
+      <pre>${SCENARIO_API_HELP}</pre>
+    </details>
+  `;
+
+  document.body.appendChild(scenarioPanel);
+  document.getElementById('scenario-code').value = localStorage.getItem('gimbal-scenario-script') || SCENARIO_EXAMPLES['Square scan'];
+  renderScenarioControls();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+}
+
+/**
+ * Close the scenario scripts panel and restore layout (a running script keeps running)
+ */
+function closeScenarioScripts() {
+  const code = document.getElementById('scenario-code');
+  if (code) localStorage.setItem('gimbal-scenario-script', code.value);
+
+  const scenarioPanel = document.getElementById('scenario-panel');
+  if (scenarioPanel) {
+    scenarioPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Enable Run or Abort depending on whether a script is running
+ */
+function renderScenarioControls() {
+  const runButton = document.getElementById('scenario-run');
+  if (!runButton) return;
+  runButton.disabled = !!scenarioRun;
+  document.getElementById('scenario-abort').disabled = !scenarioRun;
+}
+
+/**
+ * Replace the editor content with an example
+ * @param {string} name - Key of SCENARIO_EXAMPLES
+ */
+async function loadScenarioExample(name) {
+  document.getElementById('scenario-example').value = '';
+  if (!SCENARIO_EXAMPLES[name]) return;
+  const code = document.getElementById('scenario-code');
+  if (code.value.trim()) {
+    const result = await Swal.fire({
+      title: 'Replace Script?',
+      text: `The editor is replaced by the "${name}" example.`,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonText: 'Replace'
+    });
+    if (!result.isConfirmed) return;
+  }
+  code.value = SCENARIO_EXAMPLES[name];
+  document.getElementById('scenario-name').value = name.replace(/\s+/g, '');
+}
+
+/**
+ * Download the script in the editor
+ */
+function exportScenarioScript() {
+  const name = (document.getElementById('scenario-name').value.trim() || 'Scenario').replace(/[^\w-]+/g, '_');
+  downloadFile(document.getElementById('scenario-code').value, `${name}.js`, 'text/javascript;charset=utf-8;');
+}
+
+/**
+ * Load a script file into the editor
+ */
+async function importScenarioScript() {
+  const result = await Swal.fire({
+    title: 'Load Script',
+    text: 'Select a scenario script (.js)',
+    input: 'file',
+    inputAttributes: { accept: '.js,.txt,text/javascript' },
+    showCancelButton: true,
+    confirmButtonText: 'Open'
+  });
+  if (!result.isConfirmed || !result.value) return;
+  document.getElementById('scenario-code').value = await result.value.text();
+  document.getElementById('scenario-name').value = result.value.name.replace(/\.\w+$/, '');
+}
+
+/**
+ * Add a line to the script output
+ * @param {string} type - 'info', 'rx' (script log) or 'error'
+ * @param {string} text
+ */
+function appendScenarioLine(type, text) {
+  const output = document.getElementById('scenario-output');
+  if (!output) return;
+  const line = document.createElement('div');
+  line.className = `terminal-line terminal-${type}`;
+  line.textContent = text;
+  output.appendChild(line);
+  while (output.childElementCount > SCENARIO_MAX_OUTPUT_LINES) output.removeChild(output.firstChild);
+  output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Clear the script output
+ */
+function clearScenarioOutput() {
+  const output = document.getElementById('scenario-output');
+  if (output) output.innerHTML = '';
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.ScenarioScripts = ScenarioScripts;
+window.closeScenarioScripts = closeScenarioScripts;
+window.runScenarioScript = runScenarioScript;
+window.abortScenarioScript = abortScenarioScript;
+window.loadScenarioExample = loadScenarioExample;
+window.exportScenarioScript = exportScenarioScript;
+window.importScenarioScript = importScenarioScript;
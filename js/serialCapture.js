@@ -0,0 +1,235 @@
+/**
+ * Serial Capture Module
+ * Records the exact wire traffic (every TX write, every RX chunk) plus framing
+ * and realignment warnings into a ring buffer with high-resolution timestamps.
+ * The capture can be viewed in a side panel and exported as a text or JSON log
+ * for bug reports; the JSON log can be replayed through the 'replay' transport.
+ */
+
+let serialCaptureActive = false;
+let serialCaptureBuffer = new Array(SERIAL_CAPTURE_SIZE);
+let serialCaptureHead = 0;    // index of the next slot to write
+let serialCaptureCount = 0;
+let serialCaptureStart = 0;   // performance.now() at capture start
+let serialCaptureStartedAt = null;
+let serialCaptureViewTimer = null;
+
+// ==================== Capture Buffer ====================
+
+/**
+ * Record one serial event if capture is on
+ * @param {string} dir - 'tx' (written), 'rx' (received chunk) or 'warn' (framing/realignment)
+ * @param {string} data - Raw text as written/received, or the warning message
+ */
+function captureSerialEvent(dir, data) {
+  if (!serialCaptureActive) return;
+  serialCaptureBuffer[serialCaptureHead] = {
+    t: Math.round((performance.now() - serialCaptureStart) * 1000) / 1000,
+    dir,
+    data,
+  };
+  serialCaptureHead = (serialCaptureHead + 1) % SERIAL_CAPTURE_SIZE;
+  serialCaptureCount = Math.min(serialCaptureCount + 1, SERIAL_CAPTURE_SIZE);
+}
+
+/**
+ * Start or stop capturing. Starting clears the previous capture.
+ * @param {boolean} on
+ */
+function setSerialCapture(on) {
+  if (on && !serialCaptureActive) {
+    clearSerialCapture();
+    serialCaptureStart = performance.now();
+    serialCaptureStartedAt = new Date().toISOString();
+  }
+  serialCaptureActive = on;
+  console.log(`Serial capture ${on ? 'started' : 'stopped'}`);
+}
+
+/**
+ * Discard all captured events
+ */
+function clearSerialCapture() {
+  serialCaptureBuffer = new Array(SERIAL_CAPTURE_SIZE);
+  serialCaptureHead = 0;
+  serialCaptureCount = 0;
+}
+
+/**
+ * Get the captured events, oldest first
+ * @returns {Array<{t: number, dir: string, data: string}>} t is ms since capture start
+ */
+function getSerialCapture() {
+  const start = (serialCaptureHead - serialCaptureCount + SERIAL_CAPTURE_SIZE) % SERIAL_CAPTURE_SIZE;
+  const events = [];
+  for (let i = 0; i < serialCaptureCount; i++) {
+    events.push(serialCaptureBuffer[(start + i) % SERIAL_CAPTURE_SIZE]);
+  }
+  return events;
+}
+
+// ==================== Formatting and Export ====================
+
+/**
+ * Make control characters visible in captured text
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeCaptureText(text) {
+  return text.replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format one event as a log line: time [ms], direction, data
+ * @param {{t: number, dir: string, data: string}} event
+ * @returns {string}
+ */
+function formatCaptureLine(event) {
+  return `${event.t.toFixed(3).padStart(12)}  ${event.dir.toUpperCase().padEnd(4)} ${escapeCaptureText(event.data)}`;
+}
+
+/**
+ * Download the capture as a plain text log
+ */
+function exportSerialCaptureText() {
+  const header = [
+    `# Gimbal serial capture, started ${serialCaptureStartedAt || 'n/a'}`,
+    `# Transport: ${getSerialTransport().label}`,
+    `# Events: ${serialCaptureCount} (time [ms] since capture start, TX = written, RX = received chunk)`,
+  ];
+  const lines = getSerialCapture().map(formatCaptureLine);
+  downloadFile([...header, ...lines].join('\n') + '\n', `SerialCapture_${formatTimestamp()}.txt`, 'text/plain;charset=utf-8;');
+}
+
+/**
+ * Download the capture as JSON (the format the replay transport loads)
+ */
+function exportSerialCaptureJSON() {
+  const capture = {
+    format: 'gimbal-serial-capture',
+    version: 1,
+    startedAt: serialCaptureStartedAt,
+    transport: getSerialTransport().name,
+    events: getSerialCapture(),
+  };
+  downloadFile(JSON.stringify(capture, null, 1), `SerialCapture_${formatTimestamp()}.json`, 'application/json');
+}
+
+// ==================== Capture Panel UI ====================
+
+/**
+ * Initialize and display the serial capture panel
+ */
+function SerialCapture() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const captureButton = document.querySelector('a[onclick*="SerialCapture"]');
+  if (captureButton) {
+    captureButton.classList.add('active');
+  }
+
+  // Remove existing capture panel if it exists
+  const existingPanel = document.getElementById('capture-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create capture sidebar panel
+  const capturePanel = document.createElement('div');
+  capturePanel.id = 'capture-panel';
+  capturePanel.classList.add('movement-panel');
+
+  capturePanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Serial Capture</h1>
+      <button class="panel-close-btn" onclick="closeSerialCapture()">×</button>
+    </div>
+
+    <div class="toggle-container" title="Record every byte written to and read from the device">
+      <label class="toggle-label" for="capture-toggle">Capture</label>
+      <label class="toggle-container">
+        <input type="checkbox" id="capture-toggle" class="toggle-input" onchange="setSerialCapture(this.checked)">
+        <span class="toggle-slider"></span>
+      </label>
+    </div>
+    <div id="capture-count" class="terminal-info" style="text-align: center; margin: 8px 0;"></div>
+    <div id="capture-output" class="terminal-output"></div>
+    <div class="terminal-input-row">
+      <button onclick="exportSerialCaptureText()">Export Text</button>
+      <button onclick="exportSerialCaptureJSON()">Export JSON</button>
+      <button onclick="clearSerialCapture(); renderSerialCaptureView();">Clear</button>
+    </div>
+  `;
+
+  document.body.appendChild(capturePanel);
+  document.getElementById('capture-toggle').checked = serialCaptureActive;
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+
+  renderSerialCaptureView();
+  clearInterval(serialCaptureViewTimer);
+  serialCaptureViewTimer = setInterval(renderSerialCaptureView, 500);
+}
+
+/**
+ * Close the serial capture panel and restore layout (capture keeps running)
+ */
+function closeSerialCapture() {
+  clearInterval(serialCaptureViewTimer);
+  serialCaptureViewTimer = null;
+
+  const capturePanel = document.getElementById('capture-panel');
+  if (capturePanel) {
+    capturePanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Show the most recent captured events in the panel
+ */
+function renderSerialCaptureView() {
+  const output = document.getElementById('capture-output');
+  const count = document.getElementById('capture-count');
+  if (!output) return;
+
+  if (count) {
+    count.textContent = `${serialCaptureCount} / ${SERIAL_CAPTURE_SIZE} events${serialCaptureActive ? ' (capturing)' : ''}`;
+  }
+  output.innerHTML = '';
+  getSerialCapture().slice(-SERIAL_CAPTURE_VIEW_LINES).forEach(event => {
+    const line = document.createElement('div');
+    line.className = `terminal-line ${event.dir === 'tx' ? 'terminal-tx' : event.dir === 'warn' ? 'terminal-error' : ''}`;
+    line.textContent = formatCaptureLine(event);
+    output.appendChild(line);
+  });
+  output.scrollTop = output.scrollHeight;
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.captureSerialEvent = captureSerialEvent;
+window.setSerialCapture = setSerialCapture;
+window.clearSerialCapture = clearSerialCapture;
+window.getSerialCapture = getSerialCapture;
+window.exportSerialCaptureText = exportSerialCaptureText;
+window.exportSerialCaptureJSON = exportSerialCaptureJSON;
+window.SerialCapture = SerialCapture;
+window.closeSerialCapture = closeSerialCapture;
+window.renderSerialCaptureView = renderSerialCaptureView;
@@ -0,0 +1,192 @@
+/**
+ * Serial Transport Module
+ * Registry of the links gimbalSerial.js can open (hardware, simulator, remote
+ * bridge, capture replay). Every transport returns an object with the Web Serial
+ * SerialPort surface (open/close/readable/writable), so the rest of the app does
+ * not care whether it talks to hardware or to a model.
+ */
+
+// ==================== Transport Registry ====================
+
+const SERIAL_TRANSPORTS = {
+  serial: {
+    label: 'USB Serial',
+    /**
+     * Prompt the user to pick a hardware port
+     * @returns {Promise<SerialPort>}
+     */
+    requestPort() {
+      if (!('serial' in navigator)) {
+        throw new Error('Web Serial API is not supported in this browser');
+      }
+      return navigator.serial.requestPort();
+    },
+    /**
+     * Find the last used port among those the user already granted, without prompting
+     * @returns {Promise<SerialPort|null>}
+     */
+    async getKnownPort() {
+      if (!('serial' in navigator)) return null;
+      const ports = await navigator.serial.getPorts();
+      const saved = JSON.parse(localStorage.getItem('gimbal-serial-port') || 'null');
+      if (!saved) return ports.length === 1 ? ports[0] : null;
+      return ports.find(port => isSameSerialDevice(port.getInfo(), saved)) || null;
+    },
+    /**
+     * Remember the USB identity of a port so getKnownPort() finds it next session
+     * @param {SerialPort} port
+     */
+    rememberPort(port) {
+      localStorage.setItem('gimbal-serial-port', JSON.stringify(port.getInfo()));
+    },
+  },
+  simulator: {
+    label: 'Simulator',
+    /**
+     * Create a port connected to the built-in simulated gimbal
+     * @param {number} [unit] - Simulated unit (each has its own state and serial number)
+     * @returns {Promise<Object>} SerialPort-like object
+     */
+    async requestPort(unit = 1) {
+      return createSimulatedPort(getSimulatedGimbal(unit));
+    },
+    /**
+     * The simulator needs no permission, so it is always known
+     * @returns {Promise<Object>} SerialPort-like object
+     */
+    async getKnownPort() {
+      return createSimulatedPort(getSimulatedGimbal());
+    },
+  },
+  bridge: {
+    label: 'Remote Bridge',
+    /**
+     * Ask for the address of a bridge (bridge/bridge.js) and connect to it
+     * @returns {Promise<Object>} SerialPort-like object
+     */
+    async requestPort() {
+      return createBridgePort(await promptBridgeUrl());
+    },
+    /**
+     * Connect to the last used bridge without prompting
+     * @returns {Promise<Object|null>} SerialPort-like object, or null if none was used yet
+     */
+    async getKnownPort() {
+      const url = localStorage.getItem('gimbal-bridge-url');
+      return url ? createBridgePort(url) : null;
+    },
+    /**
+     * Remember the bridge address for the next session
+     * @param {Object} port - Port created by createBridgePort()
+     */
+    rememberPort(port) {
+      localStorage.setItem('gimbal-bridge-url', port.url);
+    },
+  },
+  replay: {
+    label: 'Capture Replay',
+    /**
+     * Ask for a serial capture file and replay its drive side
+     * @returns {Promise<Object>} SerialPort-like object
+     */
+    async requestPort() {
+      const result = await Swal.fire({
+        title: 'Replay Serial Capture',
+        text: 'Select a capture exported from Serial Capture (JSON)',
+        input: 'file',
+        inputAttributes: { accept: '.json,application/json' },
+        showCancelButton: true,
+        confirmButtonText: 'Replay'
+      });
+      if (!result.isConfirmed || !result.value) {
+        throw new Error('No capture file selected');
+      }
+      try {
+        replayCapture = parseSerialCapture(await result.value.text());
+      } catch (error) {
+        Swal.fire({ title: 'Invalid Capture', text: error.message, icon: 'error' });
+        throw error;
+      }
+      return createSimulatedPort(createReplayDevice(replayCapture));
+    },
+    /**
+     * Replay the last loaded capture again from its start
+     * @returns {Promise<Object|null>} SerialPort-like object, or null if none was loaded
+     */
+    async getKnownPort() {
+      return replayCapture ? createSimulatedPort(createReplayDevice(replayCapture)) : null;
+    },
+  },
+};
+
+// Capture loaded by the replay transport (kept so a reconnect replays it again)
+let replayCapture = null;
+
+/**
+ * Parse and validate a capture exported by exportSerialCaptureJSON()
+ * @param {string} text - File content
+ * @returns {Object} Capture with an events array
+ */
+function parseSerialCapture(text) {
+  let capture;
+  try {
+    capture = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!capture || capture.format !== 'gimbal-serial-capture' || !Array.isArray(capture.events)) {
+    throw new Error('The file is not a gimbal serial capture');
+  }
+  if (!capture.events.some(event => event.dir === 'tx')) {
+    throw new Error('The capture contains no serial traffic');
+  }
+  return capture;
+}
+
+/**
+ * Compare two SerialPortInfo objects (USB vendor and product id)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSerialDevice(a, b) {
+  return a.usbVendorId === b.usbVendorId && a.usbProductId === b.usbProductId;
+}
+
+let activeTransportName = localStorage.getItem('gimbal-transport') || 'serial';
+if (!SERIAL_TRANSPORTS[activeTransportName]) {
+  activeTransportName = 'serial';
+}
+
+/**
+ * Select the transport used by the next requestSerialPort() call
+ * @param {string} name - Key in SERIAL_TRANSPORTS
+ * @returns {boolean} True if the transport exists
+ */
+function setSerialTransport(name) {
+  if (!SERIAL_TRANSPORTS[name]) {
+    console.error(`Unknown serial transport: ${name}`);
+    return false;
+  }
+  activeTransportName = name;
+  localStorage.setItem('gimbal-transport', name);
+  console.log(`Serial transport set to ${SERIAL_TRANSPORTS[name].label}`);
+  return true;
+}
+
+/**
+ * Get the currently selected transport
+ * @returns {{name: string, label: string, requestPort: (unit?: number) => Promise<Object>,
+ *   getKnownPort: () => Promise<Object|null>, rememberPort?: (port: Object) => void}}
+ */
+function getSerialTransport() {
+  return { name: activeTransportName, ...SERIAL_TRANSPORTS[activeTransportName] };
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.SERIAL_TRANSPORTS = SERIAL_TRANSPORTS;
+window.setSerialTransport = setSerialTransport;
+window.getSerialTransport = getSerialTransport;
+window.parseSerialCapture = parseSerialCapture;
@@ -0,0 +1,338 @@
+/**
+ * Tab Coordination Module
+ * Keeps one browser tab in charge of the serial connection. The tab with the
+ * open port (the owner) announces itself on a BroadcastChannel and streams its
+ * live telemetry and status; other tabs become read-only mirrors. A mirror can
+ * take control: the owner stops motion, turns the motor off, disconnects and
+ * hands the port over.
+ */
+
+// Random id of this tab (BroadcastChannel messages carry the sender's id)
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const tabChannel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(TAB_CHANNEL_NAME);
+
+// Tab that owns the connection, as seen by a mirror: { tabId, since, status, lastSeen }
+let remoteOwner = null;
+// Time this tab became owner (the earlier owner wins a conflict)
+let ownedSince = null;
+let tabHeartbeatTimer = null;
+let ownerWatchTimer = null;
+// Take-control request waiting for the owner: { from, resolve, timer }
+let pendingHandover = null;
+let releasingTabControl = false;
+
+// ==================== Roles ====================
+
+/**
+ * Whether this tab owns the connection
+ * @returns {boolean}
+ */
+function isTabOwner() {
+  return !!serialPort;
+}
+
+/**
+ * Whether this tab is a read-only mirror of another tab's connection
+ * @returns {boolean}
+ */
+function isTabMirror() {
+  return !serialPort && remoteOwner !== null;
+}
+
+/**
+ * Status an owner shares with its mirrors
+ * @returns {{identity: Object|null, motorOn: boolean, recording: boolean, transport: string, unit: string|null}}
+ */
+function collectTabStatus() {
+  const motorToggleEl = document.getElementById('motor-toggle');
+  const device = getSelectedDevice();
+  return {
+    identity: getDeviceIdentity(),
+    motorOn: !!(motorToggleEl && motorToggleEl.checked),
+    recording: shouldRecordData,
+    transport: getSerialTransport().label,
+    unit: device ? device.name : null,
+  };
+}
+
+// ==================== Channel ====================
+
+/**
+ * Join the channel and ask whether another tab owns the connection
+ * @returns {Promise<void>} Resolves once an owner had time to answer
+ */
+function initTabCoordination() {
+  if (!tabChannel) return Promise.resolve();
+  tabChannel.onmessage = (event) => handleTabMessage(event.data);
+  window.addEventListener('pagehide', () => {
+    if (isTabOwner()) postTabMessage({ type: 'closed' });
+  });
+  ownerWatchTimer = setInterval(checkRemoteOwner, TAB_HEARTBEAT_MS);
+  postTabMessage({ type: 'query' });
+  return new Promise(resolve => setTimeout(resolve, TAB_DISCOVERY_MS));
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message - { type, ... }
+ */
+function postTabMessage(message) {
+  if (tabChannel) tabChannel.postMessage({ ...message, from: tabId });
+}
+
+/**
+ * Handle a message from another tab
+ * @param {Object} message
+ */
+function handleTabMessage(message) {
+  const fromOwner = remoteOwner && message.from === remoteOwner.tabId;
+  switch (message.type) {
+    case 'query':
+      if (isTabOwner()) sendOwnerHeartbeat();
+      break;
+    case 'owner':
+      if (isTabOwner()) {
+        resolveOwnerConflict(message);
+      } else {
+        setRemoteOwner(message);
+      }
+      break;
+    case 'closed':
+      if (fromOwner) clearRemoteOwner();
+      break;
+    case 'telemetry':
+      if (fromOwner && !serialPort) showTelemetryFrame(message.frame, message.packed);
+      break;
+    case 'movement-status':
+      if (fromOwner && !serialPort) updateMovementStatus(message.message, message.statusType);
+      break;
+    case 'take-control':
+      if (message.to === tabId && isTabOwner()) releaseTabControl(message.from);
+      break;
+    case 'released':
+      if (message.to === tabId && pendingHandover) pendingHandover.resolve(true);
+      break;
+    case 'emergency-stop':
+      if (isTabOwner()) {
+        console.warn('Emergency stop requested by another tab');
+        stopSignClick();
+      }
+      break;
+  }
+}
+
+// ==================== Owner Side ====================
+
+/**
+ * Start or stop announcing this tab as the owner; called whenever the
+ * connection state changes (updateConnectionIndicator)
+ */
+function updateTabOwnership() {
+  if (isTabOwner()) {
+    if (!tabHeartbeatTimer) {
+      ownedSince = Date.now();
+      remoteOwner = null;
+      tabHeartbeatTimer = setInterval(sendOwnerHeartbeat, TAB_HEARTBEAT_MS);
+    }
+    sendOwnerHeartbeat();
+  } else if (tabHeartbeatTimer) {
+    clearInterval(tabHeartbeatTimer);
+    tabHeartbeatTimer = null;
+    ownedSince = null;
+    postTabMessage({ type: 'closed' });
+  }
+  renderTabControlBanner();
+}
+
+/**
+ * Announce this tab as the owner, with its current status
+ */
+function sendOwnerHeartbeat() {
+  if (!isTabOwner()) return;
+  postTabMessage({ type: 'owner', since: ownedSince, status: collectTabStatus() });
+}
+
+/**
+ * Share a live data frame with the mirrors (called from updateLiveData)
+ * @param {Object} frame - Raw register values keyed by REGISTER_MAP name
+ * @param {boolean} packed - Frame came from the packed telemetry words
+ */
+function broadcastTelemetry(frame, packed) {
+  if (isTabOwner()) postTabMessage({ type: 'telemetry', frame, packed });
+}
+
+/**
+ * Share a movement status line with the mirrors
+ * @param {string} message
+ * @param {string} statusType
+ */
+function broadcastMovementStatus(message, statusType) {
+  if (isTabOwner()) postTabMessage({ type: 'movement-status', message, statusType });
+}
+
+/**
+ * Another tab takes control: stop motion, turn the motor off, save a running
+ * recording, disconnect and tell the requester the port is free
+ * @param {string} requester - Tab id of the new owner
+ */
+async function releaseTabControl(requester) {
+  if (releasingTabControl) return;
+  releasingTabControl = true;
+  try {
+    console.warn('Another tab takes control: stopping motion and disconnecting');
+    abortProcedures('Control moved to another tab');
+    if (intervalMove) {
+      clearInterval(intervalMove);
+      intervalMove = null;
+    }
+    await sendMsg('kl;r1[1]=0;\r', { priority: SERIAL_PRIORITY.EMERGENCY });
+    emergencyStopOtherDevices();
+    turnOffMotor();
+    if (shouldRecordData) recordData(); // stops and saves the recording
+
+    const connectionToggle = document.getElementById('connection-toggle');
+    connectionToggle.checked = false;
+    await connectToggle(connectionToggle);
+    updateMovementStatus('Control moved to another tab', 'ready');
+    postTabMessage({ type: 'released', to: requester });
+  } finally {
+    releasingTabControl = false;
+  }
+}
+
+/**
+ * Two tabs own a connection at once (both connected before hearing of each
+ * other): the later one gives up its connection
+ * @param {Object} message - The other owner's announcement
+ */
+function resolveOwnerConflict(message) {
+  const otherIsEarlier = message.since < ownedSince || (message.since === ownedSince && message.from < tabId);
+  if (!otherIsEarlier) return;
+  Swal.fire({
+    title: 'Connection Closed',
+    text: 'Another tab already controls the gimbal. This tab stopped motion and disconnected.',
+    icon: 'warning'
+  });
+  releaseTabControl(message.from);
+}
+
+// ==================== Mirror Side ====================
+
+/**
+ * Follow the owner's announcement: show its identity and motor state
+ * @param {Object} message - { from, since, status }
+ */
+function setRemoteOwner(message) {
+  const wasMirror = isTabMirror();
+  remoteOwner = { tabId: message.from, since: message.since, status: message.status, lastSeen: Date.now() };
+  updateDeviceIdentityDisplay(message.status.identity);
+  const motorToggleEl = document.getElementById('motor-toggle');
+  if (motorToggleEl) motorToggleEl.checked = message.status.motorOn;
+  if (!wasMirror) updateConnectionIndicator();
+  renderTabControlBanner();
+}
+
+/**
+ * The owner disconnected or went away: leave mirror mode
+ */
+function clearRemoteOwner() {
+  remoteOwner = null;
+  if (serialPort) return;
+  updateDeviceIdentityDisplay(null);
+  const motorToggleEl = document.getElementById('motor-toggle');
+  if (motorToggleEl) motorToggleEl.checked = false;
+  updateConnectionIndicator();
+}
+
+/**
+ * Drop an owner that stopped announcing itself (tab crashed or frozen)
+ */
+function checkRemoteOwner() {
+  if (remoteOwner && Date.now() - remoteOwner.lastSeen > TAB_OWNER_TIMEOUT_MS) {
+    console.warn('The tab controlling the gimbal stopped responding');
+    clearRemoteOwner();
+  }
+}
+
+/**
+ * Ask the owner for the connection and connect once it has let go
+ * @returns {Promise<boolean>} True if this tab took control
+ */
+async function requestTabControl() {
+  if (!isTabMirror() || pendingHandover) return false;
+  const result = await Swal.fire({
+    title: 'Take Control?',
+    text: 'The other tab stops all motion, turns the motor off and disconnects. This tab then connects.',
+    icon: 'warning',
+    showCancelButton: true,
+    confirmButtonText: 'Take Control'
+  });
+  if (!result.isConfirmed || !isTabMirror()) return false;
+
+  const owner = remoteOwner.tabId;
+  const released = await new Promise(resolve => {
+    const timer = setTimeout(() => resolve(false), TAB_HANDOVER_TIMEOUT_MS);
+    pendingHandover = { from: owner, resolve: (value) => { clearTimeout(timer); resolve(value); } };
+    postTabMessage({ type: 'take-control', to: owner });
+  });
+  pendingHandover = null;
+
+  if (!released) {
+    Swal.fire({ title: 'No Answer', text: 'The tab controlling the gimbal did not release it', icon: 'error' });
+    return false;
+  }
+  remoteOwner = null;
+  return connectAfterHandover();
+}
+
+/**
+ * Ask the owner to stop (the mirror's stop sign)
+ */
+function requestRemoteEmergencyStop() {
+  postTabMessage({ type: 'emergency-stop' });
+  updateMovementStatus('Emergency stop sent to the controlling tab', 'error');
+}
+
+/**
+ * Show or hide the read-only notice with the Take Control button
+ */
+function renderTabControlBanner() {
+  const banner = document.getElementById('tab-control-banner');
+  if (!banner) return;
+  if (!isTabMirror()) {
+    banner.hidden = true;
+    banner.innerHTML = '';
+    return;
+  }
+  const status = remoteOwner.status;
+  const target = [status.unit, status.identity && status.identity.serialNumber].filter(Boolean).join(', ');
+  banner.hidden = false;
+  banner.innerHTML = `
+    <div>Read-only: another tab controls the gimbal${target ? ` (${target})` : ''} over ${status.transport}${status.recording ? ', recording' : ''}</div>
+    <button onclick="requestTabControl()" title="Stop motion in the other tab and connect here">Take Control</button>
+  `;
+}
+
+/**
+ * Tell the user a mirror cannot command the gimbal
+ */
+function showTabMirrorNotice() {
+  Swal.fire({
+    title: 'Read-Only',
+    text: 'Another tab controls the gimbal. Use Take Control to command it from this tab.',
+    icon: 'info'
+  });
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.isTabOwner = isTabOwner;
+window.isTabMirror = isTabMirror;
+window.initTabCoordination = initTabCoordination;
+window.updateTabOwnership = updateTabOwnership;
+window.broadcastTelemetry = broadcastTelemetry;
+window.broadcastMovementStatus = broadcastMovementStatus;
+window.requestTabControl = requestTabControl;
+window.requestRemoteEmergencyStop = requestRemoteEmergencyStop;
+window.showTabMirrorNotice = showTabMirrorNotice;
@@ -0,0 +1,425 @@
+/**
+ * Telemetry Diagnostics Module
+ * Measures the live data loop: achieved sample rate, inter-sample jitter,
+ * readMsg round-trip time, and the frames that were skipped (previous cycle
+ * still running, polling paused), timed out, realigned or discarded.
+ * Recordings are checked against timing thresholds when they are saved.
+ * The panel also holds the communication watchdog settings and incident log
+ * (the watchdog itself runs in gimbalSerial.js).
+ */
+
+let telemetryIntervals = [];   // ms between accepted frames, last TELEMETRY_DIAG_WINDOW
+let telemetryRoundTrips = [];  // ms from poll request to reply, last TELEMETRY_DIAG_WINDOW
+let telemetryLastFrameTime = null;
+let telemetryCounters = createTelemetryCounters();
+let telemetryDiagStart = performance.now();
+let lastRecordingTiming = null;
+let telemetryDiagViewTimer = null;
+
+// ==================== Measurement ====================
+
+/**
+ * Zeroed event counters
+ * @returns {Object<string, number>}
+ */
+function createTelemetryCounters() {
+  return { frames: 0, realigned: 0, discarded: 0, timeouts: 0, overruns: 0, paused: 0 };
+}
+
+/**
+ * Count a live data event
+ * @param {string} type - 'realigned', 'discarded', 'timeouts', 'overruns' (tick skipped,
+ *   previous cycle still running) or 'paused' (tick skipped, polling paused or held)
+ */
+function recordTelemetryEvent(type) {
+  telemetryCounters[type]++;
+}
+
+/**
+ * Record an accepted frame
+ * @param {number} requestTime - performance.now() when the poll was queued
+ * @param {number} replyTime - performance.now() when its reply was complete
+ */
+function recordTelemetryFrame(requestTime, replyTime) {
+  telemetryCounters.frames++;
+  pushTelemetrySample(telemetryRoundTrips, replyTime - requestTime);
+  if (telemetryLastFrameTime !== null) {
+    pushTelemetrySample(telemetryIntervals, replyTime - telemetryLastFrameTime);
+  }
+  telemetryLastFrameTime = replyTime;
+}
+
+/**
+ * Append to a sample window, dropping the oldest sample when full
+ * @param {Array<number>} samples
+ * @param {number} value
+ */
+function pushTelemetrySample(samples, value) {
+  samples.push(value);
+  if (samples.length > TELEMETRY_DIAG_WINDOW) samples.shift();
+}
+
+/**
+ * Forget all measurements
+ */
+function resetTelemetryDiagnostics() {
+  telemetryIntervals = [];
+  telemetryRoundTrips = [];
+  telemetryLastFrameTime = null;
+  telemetryCounters = createTelemetryCounters();
+  telemetryDiagStart = performance.now();
+  renderTelemetryDiagnostics();
+}
+
+// ==================== Statistics ====================
+
+/**
+ * Mean, standard deviation, 95th percentile and maximum of a sample set
+ * @param {Array<number>} samples
+ * @returns {{mean: number, std: number, p95: number, max: number, n: number}} NaN fields when empty
+ */
+function describeSamples(samples) {
+  if (samples.length === 0) return { mean: NaN, std: NaN, p95: NaN, max: NaN, n: 0 };
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+  const variance = samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / samples.length;
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+    n: samples.length,
+  };
+}
+
+/**
+ * Histogram of inter-sample intervals in TELEMETRY_HIST_BIN_MS bins;
+ * the last bin collects everything at or above TELEMETRY_HIST_MAX_MS
+ * @param {Array<number>} intervals - ms
+ * @returns {{bins: Array<string>, counts: Array<number>}}
+ */
+function buildIntervalHistogram(intervals) {
+  const binCount = Math.ceil(TELEMETRY_HIST_MAX_MS / TELEMETRY_HIST_BIN_MS) + 1;
+  const counts = new Array(binCount).fill(0);
+  intervals.forEach(interval => {
+    counts[Math.min(binCount - 1, Math.floor(interval / TELEMETRY_HIST_BIN_MS))]++;
+  });
+  const bins = counts.map((_, i) => i === binCount - 1
+    ? `≥${TELEMETRY_HIST_MAX_MS}`
+    : `${i * TELEMETRY_HIST_BIN_MS}–${(i + 1) * TELEMETRY_HIST_BIN_MS}`);
+  return { bins, counts };
+}
+
+/**
+ * Current live data statistics
+ * @returns {Object} { rateHz, interval, roundTrip, counters, histogram }
+ */
+function getTelemetryStats() {
+  const interval = describeSamples(telemetryIntervals);
+  return {
+    rateHz: interval.n ? 1000 / interval.mean : 0,
+    interval,
+    roundTrip: describeSamples(telemetryRoundTrips),
+    counters: { ...telemetryCounters },
+    elapsedS: (performance.now() - telemetryDiagStart) / 1000,
+    histogram: buildIntervalHistogram(telemetryIntervals),
+  };
+}
+
+/**
+ * Check the timing of a recording against the RECORDING_* thresholds and keep
+ * the result for the diagnostics panel
+ * @param {Array<number>} times - rows.time as saved (seconds)
+ * @returns {{ok: boolean, rateHz: number, jitterMs: number, maxGapMs: number, reasons: Array<string>}}
+ */
+function assessRecordingTiming(times) {
+  const intervals = [];
+  for (let i = 1; i < times.length; i++) {
+    intervals.push((times[i] - times[i - 1]) * 1000);
+  }
+  const stats = describeSamples(intervals);
+  const rateHz = stats.n ? 1000 / stats.mean : 0;
+
+  const reasons = [];
+  if (stats.n === 0) reasons.push('fewer than two samples');
+  if (stats.n && rateHz < RECORDING_MIN_RATE_HZ) reasons.push(`rate ${rateHz.toFixed(1)} Hz < ${RECORDING_MIN_RATE_HZ} Hz`);
+  if (stats.std > RECORDING_MAX_JITTER_MS) reasons.push(`jitter ${stats.std.toFixed(1)} ms > ${RECORDING_MAX_JITTER_MS} ms`);
+  if (stats.max > RECORDING_MAX_GAP_MS) reasons.push(`gap ${stats.max.toFixed(0)} ms > ${RECORDING_MAX_GAP_MS} ms`);
+
+  lastRecordingTiming = {
+    ok: reasons.length === 0,
+    rateHz,
+    jitterMs: stats.std,
+    maxGapMs: stats.max,
+    samples: times.length,
+    reasons,
+  };
+  if (!lastRecordingTiming.ok) {
+    console.warn(`Recording timing below threshold: ${reasons.join(', ')}`);
+  }
+  return lastRecordingTiming;
+}
+
+// ==================== Diagnostics Panel UI ====================
+
+/**
+ * Initialize and display the telemetry diagnostics panel
+ */
+function TelemetryDiagnostics() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const diagnosticsButton = document.querySelector('a[onclick*="TelemetryDiagnostics"]');
+  if (diagnosticsButton) {
+    diagnosticsButton.classList.add('active');
+  }
+
+  // Remove existing diagnostics panel if it exists
+  const existingPanel = document.getElementById('diagnostics-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create diagnostics sidebar panel
+  const diagnosticsPanel = document.createElement('div');
+  diagnosticsPanel.id = 'diagnostics-panel';
+  diagnosticsPanel.classList.add('movement-panel');
+
+  diagnosticsPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Telemetry Diagnostics</h1>
+      <button class="panel-close-btn" onclick="closeTelemetryDiagnostics()">×</button>
+    </div>
+
+    <table class="watch-table">
+      <tbody id="diagnostics-stats"></tbody>
+    </table>
+    <div id="diagnostics-histogram" class="watch-chart"></div>
+    <h2>Last Recording</h2>
+    <div id="diagnostics-recording" class="terminal-info"></div>
+    <div class="terminal-input-row">
+      <button onclick="resetTelemetryDiagnostics()">Reset</button>
+    </div>
+
+    <hr>
+    <h2>Communication Watchdog</h2>
+    <div class="toggle-container" title="Recover the link, then stop the gimbal, when live data stops arriving">
+      <label class="toggle-label" for="watchdog-enabled">Enabled</label>
+      <label class="toggle-container">
+        <input type="checkbox" id="watchdog-enabled" class="toggle-input" onchange="setWatchdogSettings({ enabled: this.checked })">
+        <span class="toggle-slider"></span>
+      </label>
+    </div>
+    <div class="target-control" title="Consecutive failed live data reads before the link is resynchronized">
+      <label for="watchdog-failures">Failed reads</label>
+      <input type="number" id="watchdog-failures" min="1" step="1" onchange="updateWatchdogSetting('failureLimit', this)">
+    </div>
+    <div class="target-control" title="Time without a valid frame before the link is resynchronized">
+      <label for="watchdog-recovery">Recover after [ms]</label>
+      <input type="number" id="watchdog-recovery" min="50" step="50" onchange="updateWatchdogSetting('recoveryMs', this)">
+    </div>
+    <div class="target-control" title="Time without a valid frame before the emergency stop">
+      <label for="watchdog-stop">Stop after [ms]</label>
+      <input type="number" id="watchdog-stop" min="50" step="50" onchange="updateWatchdogSetting('stopMs', this)">
+    </div>
+    <h2>Incidents</h2>
+    <div class="terminal-output" id="watchdog-incidents"></div>
+    <div class="terminal-input-row">
+      <button onclick="downloadWatchdogIncidents()">Download</button>
+      <button onclick="clearWatchdogIncidents()">Clear</button>
+    </div>
+  `;
+
+  document.body.appendChild(diagnosticsPanel);
+  renderWatchdogSettings();
+  renderWatchdogIncidents();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+
+  renderTelemetryDiagnostics();
+  clearInterval(telemetryDiagViewTimer);
+  telemetryDiagViewTimer = setInterval(renderTelemetryDiagnostics, 500);
+}
+
+/**
+ * Close the diagnostics panel and restore layout (measurement continues)
+ */
+function closeTelemetryDiagnostics() {
+  clearInterval(telemetryDiagViewTimer);
+  telemetryDiagViewTimer = null;
+
+  const diagnosticsPanel = document.getElementById('diagnostics-panel');
+  if (diagnosticsPanel) {
+    diagnosticsPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Refresh the statistics table, interval histogram and last recording verdict
+ */
+function renderTelemetryDiagnostics() {
+  const statsBody = document.getElementById('diagnostics-stats');
+  if (!statsBody) return;
+
+  const stats = getTelemetryStats();
+  const ms = value => isNaN(value) ? '—' : `${value.toFixed(1)} ms`;
+  const { counters } = stats;
+  const lines = [
+    ['Sample rate', `${stats.rateHz.toFixed(1)} Hz (nominal ${(1000 / LIVE_DATA_INTERVAL_MS).toFixed(0)} Hz)`],
+    ['Interval mean / std', `${ms(stats.interval.mean)} / ${ms(stats.interval.std)}`],
+    ['Interval p95 / max', `${ms(stats.interval.p95)} / ${ms(stats.interval.max)}`],
+    ['Round trip mean / p95', `${ms(stats.roundTrip.mean)} / ${ms(stats.roundTrip.p95)}`],
+    ['Round trip max', ms(stats.roundTrip.max)],
+    ['Frames', `${counters.frames} in ${stats.elapsedS.toFixed(0)} s`],
+    ['Realigned', counters.realigned],
+    ['Discarded', counters.discarded],
+    ['Timed out', counters.timeouts],
+    ['Skipped (busy)', counters.overruns],
+    ['Skipped (paused)', counters.paused],
+    ['Watchdog', describeWatchdogState()],
+  ];
+
+  statsBody.innerHTML = '';
+  lines.forEach(([label, value]) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = label;
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(name);
+    row.appendChild(cell);
+    statsBody.appendChild(row);
+  });
+
+  const recording = document.getElementById('diagnostics-recording');
+  if (recording) {
+    if (!lastRecordingTiming) {
+      recording.textContent = 'No recording saved yet';
+    } else {
+      const t = lastRecordingTiming;
+      recording.className = t.ok ? 'terminal-info' : 'terminal-error';
+      recording.textContent = `${t.ok ? 'OK' : 'Poor timing'}: ${t.samples} samples, ${t.rateHz.toFixed(1)} Hz, ` +
+        `jitter ${ms(t.jitterMs)}, max gap ${ms(t.maxGapMs)}${t.ok ? '' : ` (${t.reasons.join(', ')})`}`;
+    }
+  }
+
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text-primary').trim();
+  Plotly.react('diagnostics-histogram', [{
+    x: stats.histogram.bins,
+    y: stats.histogram.counts,
+    type: 'bar',
+  }], {
+    height: 220,
+    margin: { l: 45, r: 10, t: 10, b: 40 },
+    paper_bgcolor: 'rgba(0,0,0,0)',
+    plot_bgcolor: 'rgba(0,0,0,0)',
+    font: { color: textColor, size: 10 },
+    xaxis: { title: 'Inter-sample interval [ms]', type: 'category' },
+    yaxis: { title: 'Frames' },
+  }, { displayModeBar: false, responsive: true });
+}
+
+// ==================== Watchdog UI ====================
+
+/**
+ * Watchdog state for the statistics table
+ * @returns {string}
+ */
+function describeWatchdogState() {
+  const status = getWatchdogStatus();
+  if (!status.settings.enabled) return 'Disabled';
+  if (!intervalShowLiveData) return 'Idle (live data off)';
+  return `${status.stage}, last frame ${status.silenceMs.toFixed(0)} ms ago`;
+}
+
+/**
+ * Fill the watchdog inputs from the current settings
+ */
+function renderWatchdogSettings() {
+  const { settings } = getWatchdogStatus();
+  const enabled = document.getElementById('watchdog-enabled');
+  if (!enabled) return;
+  enabled.checked = settings.enabled;
+  document.getElementById('watchdog-failures').value = settings.failureLimit;
+  document.getElementById('watchdog-recovery').value = settings.recoveryMs;
+  document.getElementById('watchdog-stop').value = settings.stopMs;
+}
+
+/**
+ * Apply one numeric watchdog setting from its input (invalid values are reverted)
+ * @param {string} key - 'failureLimit', 'recoveryMs' or 'stopMs'
+ * @param {HTMLInputElement} input
+ */
+function updateWatchdogSetting(key, input) {
+  const value = Number(input.value);
+  if (Number.isFinite(value) && value > 0) {
+    setWatchdogSettings({ [key]: Math.round(value) });
+  }
+  renderWatchdogSettings();
+}
+
+/**
+ * List the logged watchdog incidents, newest last
+ */
+function renderWatchdogIncidents() {
+  const output = document.getElementById('watchdog-incidents');
+  if (!output) return;
+  const { incidents } = getWatchdogStatus();
+  output.innerHTML = '';
+  if (incidents.length === 0) {
+    const line = document.createElement('div');
+    line.className = 'terminal-line terminal-info';
+    line.textContent = 'No incidents';
+    output.appendChild(line);
+    return;
+  }
+  incidents.forEach(incident => {
+    const line = document.createElement('div');
+    line.className = `terminal-line ${incident.outcome === 'recovered' ? 'terminal-info' : 'terminal-error'}`;
+    const details = incident.outcome === 'recovered'
+      ? `recovered after ${incident.downMs} ms`
+      : `emergency stop after ${incident.stoppedAfterMs} ms` +
+        (incident.restoredAfterMs ? `, link back after ${incident.restoredAfterMs} ms` : '');
+    line.textContent = `${new Date(incident.time).toLocaleString()} ${details}` +
+      `${incident.motorOn ? ', motor on' : ''}${incident.procedures.length ? `, during ${incident.procedures.join(', ')}` : ''}`;
+    output.appendChild(line);
+  });
+  output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Download the incident log as JSON
+ */
+function downloadWatchdogIncidents() {
+  const { settings, incidents } = getWatchdogStatus();
+  downloadFile(JSON.stringify({ settings, incidents }, null, 2), `WatchdogIncidents_${formatTimestamp()}.json`, 'application/json');
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.recordTelemetryEvent = recordTelemetryEvent;
+window.recordTelemetryFrame = recordTelemetryFrame;
+window.resetTelemetryDiagnostics = resetTelemetryDiagnostics;
+window.getTelemetryStats = getTelemetryStats;
+window.assessRecordingTiming = assessRecordingTiming;
+window.TelemetryDiagnostics = TelemetryDiagnostics;
+window.closeTelemetryDiagnostics = closeTelemetryDiagnostics;
+window.updateWatchdogSetting = updateWatchdogSetting;
+window.renderWatchdogIncidents = renderWatchdogIncidents;
+window.downloadWatchdogIncidents = downloadWatchdogIncidents;
@@ -0,0 +1,278 @@
+/**
+ * Terminal Module
+ * Side panel for typing raw Elmo commands: timestamped TX/RX log,
+ * up/down command history and saved snippets. Live data polling is held
+ * off while the panel is open so replies are not mixed with telemetry.
+ */
+
+let terminalHistory = JSON.parse(localStorage.getItem('gimbal-terminal-history') || '[]');
+let terminalHistoryIndex = terminalHistory.length;
+let terminalSnippets = JSON.parse(localStorage.getItem('gimbal-terminal-snippets') || '[]');
+
+// ==================== Terminal Panel UI ====================
+
+/**
+ * Initialize and display the terminal panel
+ */
+function Terminal() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const terminalButton = document.querySelector('a[onclick*="Terminal"]');
+  if (terminalButton) {
+    terminalButton.classList.add('active');
+  }
+
+  // Remove existing terminal panel if it exists
+  const existingPanel = document.getElementById('terminal-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create terminal sidebar panel
+  const terminalPanel = document.createElement('div');
+  terminalPanel.id = 'terminal-panel';
+  terminalPanel.classList.add('movement-panel');
+
+  terminalPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Terminal</h1>
+      <button class="panel-close-btn" onclick="closeTerminal()">×</button>
+    </div>
+
+    <div id="terminal-output" class="terminal-output"></div>
+    <div class="terminal-input-row">
+      <input type="text" id="terminal-input" placeholder="e.g. ax1.PX" autocomplete="off" spellcheck="false"
+        onkeydown="terminalKeyDown(event)" />
+      <button onclick="sendTerminalCommand()">Send</button>
+    </div>
+    <div class="terminal-input-row">
+      <button onclick="saveTerminalSnippet()" title="Save the current command as a snippet">Save Snippet</button>
+      <button onclick="clearTerminal()" title="Clear the output">Clear</button>
+    </div>
+
+    <hr>
+    <h2>Snippets</h2>
+    <div id="terminal-snippets" class="terminal-snippets"></div>
+  `;
+
+  document.body.appendChild(terminalPanel);
+  renderTerminalSnippets();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+
+  setLiveDataHold('terminal', true);
+  appendTerminalLine('info', 'Live data paused while the terminal is open');
+  document.getElementById('terminal-input').focus();
+}
+
+/**
+ * Close the terminal panel, restore layout and resume live data
+ */
+function closeTerminal() {
+  const terminalPanel = document.getElementById('terminal-panel');
+  if (terminalPanel) {
+    terminalPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+  setLiveDataHold('terminal', false);
+}
+
+/**
+ * Append a timestamped line to the terminal output
+ * @param {string} type - 'tx', 'rx', 'error' or 'info'
+ * @param {string} text - Line text
+ */
+function appendTerminalLine(type, text) {
+  const output = document.getElementById('terminal-output');
+  if (!output) return;
+
+  const now = new Date();
+  const time = now.toTimeString().slice(0, 8) + '.' + String(now.getMilliseconds()).padStart(3, '0');
+  const prefix = { tx: 'TX', rx: 'RX', error: '!!', info: '--' }[type] || '--';
+
+  const line = document.createElement('div');
+  line.className = `terminal-line terminal-${type}`;
+  line.textContent = `${time} ${prefix} ${text}`;
+  output.appendChild(line);
+
+  while (output.childElementCount > TERMINAL_MAX_LINES) {
+    output.removeChild(output.firstChild);
+  }
+  output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Clear the terminal output
+ */
+function clearTerminal() {
+  const output = document.getElementById('terminal-output');
+  if (output) output.innerHTML = '';
+}
+
+// ==================== Commands and History ====================
+
+/**
+ * Send the command in the terminal input (or the given one) and log the reply
+ * @param {string} [command] - Command to send instead of the input contents
+ */
+async function sendTerminalCommand(command) {
+  const input = document.getElementById('terminal-input');
+  const text = (command ?? input?.value ?? '').trim();
+  if (!text) return;
+
+  if (!serialPort) {
+    appendTerminalLine('error', 'No connection to device');
+    return;
+  }
+
+  addTerminalHistory(text);
+  if (input) input.value = '';
+
+  appendTerminalLine('tx', text);
+  const reply = await readMsg(text, { timeoutMs: TERMINAL_RESPONSE_TIMEOUT_MS, allowError: true });
+  if (reply) {
+    appendTerminalLine('rx', reply);
+    if (replyHasError(reply)) {
+      const { code, text: description } = await readErrorCode();
+      appendTerminalLine('error', `${description}${code === null ? '' : ` (EC=${code})`}`);
+    }
+  } else {
+    appendTerminalLine('error', 'No reply');
+  }
+}
+
+/**
+ * Add a command to the history (skipping repeats of the last one) and persist it
+ * @param {string} command
+ */
+function addTerminalHistory(command) {
+  if (terminalHistory[terminalHistory.length - 1] !== command) {
+    terminalHistory.push(command);
+    if (terminalHistory.length > TERMINAL_HISTORY_SIZE) {
+      terminalHistory = terminalHistory.slice(-TERMINAL_HISTORY_SIZE);
+    }
+    localStorage.setItem('gimbal-terminal-history', JSON.stringify(terminalHistory));
+  }
+  terminalHistoryIndex = terminalHistory.length;
+}
+
+/**
+ * Terminal input keys: Enter sends, Up/Down walk the history
+ * @param {KeyboardEvent} event
+ */
+function terminalKeyDown(event) {
+  const input = event.target;
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    sendTerminalCommand();
+  } else if (event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (terminalHistoryIndex > 0) {
+      terminalHistoryIndex--;
+      input.value = terminalHistory[terminalHistoryIndex];
+    }
+  } else if (event.key === 'ArrowDown') {
+    event.preventDefault();
+    if (terminalHistoryIndex < terminalHistory.length) {
+      terminalHistoryIndex++;
+      input.value = terminalHistory[terminalHistoryIndex] ?? '';
+    }
+  }
+}
+
+// ==================== Snippets ====================
+
+/**
+ * Save the command in the terminal input as a named snippet
+ */
+async function saveTerminalSnippet() {
+  const input = document.getElementById('terminal-input');
+  const command = input?.value.trim();
+  if (!command) {
+    appendTerminalLine('error', 'Type a command to save it as a snippet');
+    return;
+  }
+
+  const result = await Swal.fire({
+    title: 'Save Snippet',
+    input: 'text',
+    inputLabel: command,
+    inputValue: command,
+    inputPlaceholder: 'Snippet name',
+    showCancelButton: true,
+    confirmButtonText: 'Save'
+  });
+  if (!result.isConfirmed) return;
+
+  terminalSnippets.push({ name: (result.value || command).trim(), command });
+  localStorage.setItem('gimbal-terminal-snippets', JSON.stringify(terminalSnippets));
+  renderTerminalSnippets();
+}
+
+/**
+ * Delete a saved snippet
+ * @param {number} index - Index in terminalSnippets
+ */
+function deleteTerminalSnippet(index) {
+  terminalSnippets.splice(index, 1);
+  localStorage.setItem('gimbal-terminal-snippets', JSON.stringify(terminalSnippets));
+  renderTerminalSnippets();
+}
+
+/**
+ * Render the snippet list: click a snippet to send it, × to delete it
+ */
+function renderTerminalSnippets() {
+  const container = document.getElementById('terminal-snippets');
+  if (!container) return;
+  container.innerHTML = '';
+
+  if (terminalSnippets.length === 0) {
+    container.textContent = 'No snippets saved';
+    return;
+  }
+
+  terminalSnippets.forEach((snippet, index) => {
+    const row = document.createElement('div');
+    row.className = 'terminal-snippet';
+
+    const sendButton = document.createElement('button');
+    sendButton.textContent = snippet.name;
+    sendButton.title = snippet.command;
+    sendButton.onclick = () => sendTerminalCommand(snippet.command);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '×';
+    deleteButton.title = 'Delete snippet';
+    deleteButton.onclick = () => deleteTerminalSnippet(index);
+
+    row.appendChild(sendButton);
+    row.appendChild(deleteButton);
+    container.appendChild(row);
+  });
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.Terminal = Terminal;
+window.closeTerminal = closeTerminal;
+window.sendTerminalCommand = sendTerminalCommand;
+window.terminalKeyDown = terminalKeyDown;
+window.saveTerminalSnippet = saveTerminalSnippet;
+window.clearTerminal = clearTerminal;
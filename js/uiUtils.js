@@ -9,9 +9,31 @@
  */
 function about(){
   //alert('For support, contact me:\n\nAmihay Blau\nmail: amihay@blaurobotics.co.il\nPhone: +972-54-6668902');
+  const content = document.createElement('div');
+  content.innerHTML = "For support, contact me:<br><br> Amihay Blau <br> mail: amihay@blaurobotics.co.il <br> Phone: +972-54-6668902";
+
+  // Identity of the connected controller (text from the drive, so not parsed as HTML)
+  const identity = getDeviceIdentity();
+  if (identity) {
+    const device = document.createElement('div');
+    device.style.marginTop = '16px';
+    [
+      'Connected controller:',
+      `Serial number: ${identity.serialNumber ?? 'unknown'}`,
+      `Drive version: ${identity.driveVersion ?? 'unknown'}`,
+      `Firmware: ${identity.firmwareVersion ?? 'unknown'}${identity.supported ? '' : ' (unsupported)'}`,
+      `Supported firmware: ${FIRMWARE_MIN_VERSION} - ${FIRMWARE_MAX_VERSION}`,
+    ].forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      device.appendChild(line);
+    });
+    content.appendChild(device);
+  }
+
   Swal.fire({
     title: "Lynx Control",
-    html: "For support, contact me:<br><br> Amihay Blau <br> mail: amihay@blaurobotics.co.il <br> Phone: +972-54-6668902",
+    html: content,
     icon: "info"
   });
 }
@@ -215,18 +237,26 @@ function playLocalTone() {
 // ==================== Input Validation Functions ====================
 
 /**
- * Validate angle input
+ * Validate angle input; with an axis, also clamp it to the sector limits
  * @param {HTMLElement} inputElement - The input element to validate
+ * @param {string} [axis] - 'tr' or 'el'
  */
-function validateAngleInput(inputElement) {
+function validateAngleInput(inputElement, axis) {
   const value = parseFloat(inputElement.value);
-  if (isNaN(value)) {   //|| value < -160 || value > 110
+  if (isNaN(value)) {
     inputElement.value = '0';
     Swal.fire({
       title: 'Invalid Angle',
       text: 'Angle must be a valid degree number.',
       icon: 'error'
     });
+    return;
+  }
+  if (!axis) return;
+  const { value: limited, reason } = limitAngle(axis, value);
+  if (reason) {
+    inputElement.value = limited;
+    reportMotionLimit('Angle', [reason], false);
   }
 }
 
@@ -279,12 +309,12 @@ function MovementControl() {
     <!-- Angle Control Section -->
     <div class="target-control" title="Traverse angle control">
       <label for="trAngle">TR [deg]</label>
-      <input type="number" id="trAngle" value="0" step="0.1" style="width: 60px;" />
+      <input type="number" id="trAngle" value="0" step="0.1" style="width: 60px;" onchange="validateAngleInput(this, 'tr')" />
     </div><br>
     
     <div class="target-control" title="Elevation angle control">
       <label for="elAngle">EL [deg]</label>
-      <input type="number" id="elAngle" value="0" step="0.1" style="width: 60px;" />
+      <input type="number" id="elAngle" value="0" step="0.1" style="width: 60px;" onchange="validateAngleInput(this, 'el')" />
     </div><br>
     
     <div class="target-control" title="Movement velocity">
@@ -323,15 +353,23 @@ function MovementControl() {
           <path d="M50,86 54,78 46,78Z" fill="rgba(0,0,0,0.8)" onclick="joystickCmd('DOWN')" />
           <path d="M14,50 22,54 22,46Z" fill="rgba(0,0,0,0.8)" onclick="joystickCmd('LEFT')" />
           <path d="M86,50 78,54 78,46Z" fill="rgba(0,0,0,0.8)" onclick="joystickCmd('RIGHT')" />
+          <circle id="gamepad-stick" cx="50" cy="50" r="5" visibility="hidden" pointer-events="none" />
         </svg>
       </div>
     </div>
+    <div id="gamepad-status" class="gamepad-status"></div>
+    <div class="target-control gamepad-settings" title="Gamepad: left stick jogs, right stick jogs fine, hold the right trigger to move. A home, B emergency stop, X record">
+      <label><input type="checkbox" id="gamepad-enabled" onchange="setGamepadSettings({ enabled: this.checked })" /> Gamepad</label>
+      <label>Deadzone <input type="number" id="gamepad-deadzone" min="0" max="0.9" step="0.05" onchange="setGamepadSettings({ deadzone: this.value })" /></label>
+      <label>Expo <input type="number" id="gamepad-expo" min="0" max="1" step="0.1" onchange="setGamepadSettings({ expo: this.value })" /></label>
+      <label>Max rate <input type="number" id="gamepad-max-rate" min="1" max="${MAX_VELOCITY}" step="1" onchange="setGamepadSettings({ maxRate: this.value })" /></label>
+    </div>
 
     <hr>
     <h2>Predefined Positions</h2>
     <div class="target-control" style="display: flex; justify-content: center; margin-top: 10px; gap: 10px;">
-      <button onclick="moveToPosition('topLeft', -200, 65)" title="Top Left (-200°, 65°)" style="background-color: var(--color-btn-active); color: var(--color-text-active);"><i class="fa fa-arrow-up" style="transform: rotate(-45deg); display: inline-block;"></i></button>
-      <button onclick="moveToPosition('topRight', 200, 65)" title="Top Right (200°, 65°)" style="background-color: var(--color-btn-active); color: var(--color-text-active);"><i class="fa fa-arrow-up" style="transform: rotate(45deg); display: inline-block;"></i></button>
+      <button onclick="moveToPosition('topLeft', -200, 60)" title="Top Left (-200°, 60°)" style="background-color: var(--color-btn-active); color: var(--color-text-active);"><i class="fa fa-arrow-up" style="transform: rotate(-45deg); display: inline-block;"></i></button>
+      <button onclick="moveToPosition('topRight', 200, 60)" title="Top Right (200°, 60°)" style="background-color: var(--color-btn-active); color: var(--color-text-active);"><i class="fa fa-arrow-up" style="transform: rotate(45deg); display: inline-block;"></i></button>
     </div><br>
     <div class="target-control" style="display: flex; justify-content: center; margin-top: 10px;">
       <button onclick="moveToPosition('home', 0, 0)" title="Home (0°, 0°)" style="background-color: var(--color-btn-active); color: var(--color-text-active);"><i class="fa fa-home"></i></button>
@@ -354,11 +392,13 @@ function MovementControl() {
     <div style="margin: 10px 0;">
       <button onclick="openComplexScenario('sine')">Sine Move</button>
       <button onclick="openComplexScenario('linear')">Repeat Linear</button>
+      <button onclick="stopComplexMove()" title="Stop the running complex move and return to its center">Stop</button>
     </div>
     
   `;
 
   document.body.appendChild(movementPanel);
+  refreshGamepadPanel();
 
   // Send velocity to both axes when the user changes the velocity input
   const velInput = document.getElementById('movementVelocity');
@@ -421,8 +461,18 @@ function openComplexScenario(type) {
   `;
 
   if (type === 'sine') {
+    const currentTr = parseFloat(document.getElementById('PositionInputTR')?.value) || 0;
+    const currentEl = parseFloat(document.getElementById('PositionInputEL')?.value) || 0;
     submenu.innerHTML = `
       <h3>Sine Move Configuration</h3>
+      <div style="margin: 15px 0;">
+        <label>Axis:</label>
+        <select id="sineAxis" style="width: 100%; padding: 8px; margin: 5px 0;">
+          <option value="tr">Traverse (TR)</option>
+          <option value="el">Elevation (EL)</option>
+          <option value="both">Both</option>
+        </select>
+      </div>
       <div style="margin: 15px 0;">
         <label>Amplitude [deg]:</label>
         <input type="number" id="sineAmplitude" value="30" style="width: 100%; padding: 8px; margin: 5px 0;">
@@ -435,6 +485,34 @@ function openComplexScenario(type) {
         <label>Duration [sec]:</label>
         <input type="number" id="sineDuration" value="60" style="width: 100%; padding: 8px; margin: 5px 0;">
       </div>
+      <div style="margin: 15px 0; display: flex; gap: 10px;">
+        <div style="flex: 1;">
+          <label>Center TR [deg]:</label>
+          <input type="number" id="sineCenterTr" value="${currentTr}" style="width: 100%; padding: 8px; margin: 5px 0;">
+        </div>
+        <div style="flex: 1;">
+          <label>Center EL [deg]:</label>
+          <input type="number" id="sineCenterEl" value="${currentEl}" style="width: 100%; padding: 8px; margin: 5px 0;">
+        </div>
+      </div>
+      <div style="margin: 15px 0;" title="Phase of EL relative to TR when both axes move (90 draws a circle or ellipse)">
+        <label>EL Phase Offset [deg]:</label>
+        <input type="number" id="sinePhase" value="90" style="width: 100%; padding: 8px; margin: 5px 0;">
+      </div>
+      <div style="margin: 15px 0;" title="Streaming sends a position setpoint at a fixed rate; firmware mode runs the drive's own sine (R1[1]=13, 0.01 Hz steps, no phase offset)">
+        <label>Execution:</label>
+        <select id="sineMode" style="width: 100%; padding: 8px; margin: 5px 0;">
+          <option value="stream">Stream setpoints (R1[11]/R1[21])</option>
+          <option value="firmware">Firmware sine mode (R1[1]=13)</option>
+        </select>
+      </div>
+      <div style="margin: 15px 0;">
+        <label>Stream Rate [Hz]:</label>
+        <input type="number" id="sineRate" value="${SINE_STREAM_RATE_HZ}" min="1" max="${SINE_STREAM_MAX_RATE_HZ}" style="width: 100%; padding: 8px; margin: 5px 0;">
+      </div>
+      <div style="margin: 15px 0;">
+        <label><input type="checkbox" id="sineRecord" checked> Record and save CSV</label>
+      </div>
       <div style="display: flex; gap: 10px; justify-content: end; margin-top: 20px;">
         <button onclick="closeComplexScenario()" style="padding: 10px 20px; background-color: #6c757d; color: white; border: none; border-radius: 5px; cursor: pointer;">Cancel</button>
         <button onclick="startSineMove()" style="padding: 10px 20px; background-color: #28a745; color: white; border: none; border-radius: 5px; cursor: pointer;">Start</button>
@@ -443,9 +521,16 @@ function openComplexScenario(type) {
   } else if (type === 'linear') {
     submenu.innerHTML = `
       <h3>Repeat Linear Move Configuration</h3>
+      <div style="margin: 15px 0;">
+        <label>Axis:</label>
+        <select id="linearAxis" style="width: 100%; padding: 8px; margin: 5px 0;">
+          <option value="tr">Traverse (TR)</option>
+          <option value="el">Elevation (EL)</option>
+        </select>
+      </div>
       <div style="margin: 15px 0;">
         <label>Start Angle [deg]:</label>
-        <input type="number" id="linearStart" value="-30" style="width: 100%; padding: 8px; margin: 5px 0;">
+        <input type="number" id="linearStart" value="-10" style="width: 100%; padding: 8px; margin: 5px 0;">
       </div>
       <div style="margin: 15px 0;">
         <label>End Angle [deg]:</label>
@@ -522,6 +607,13 @@ function InstallationSetup() {
       <a class="button" id="btn-commutation-2" onclick="commutation(2)">Commutation Elevation</a>
       <a class="button" onclick="saveElmo()">Save Elmo Settings</a>
     </div>
+
+    <hr>
+    <h2>Drive Parameters</h2>
+    <div style="margin: 10px 0;">
+      <a class="button" id="btn-backup-parameters" onclick="backupElmoParameters()" title="Save the drive configuration of both axes to a JSON file">Backup Parameters</a>
+      <a class="button" id="btn-restore-parameters" onclick="restoreElmoParameters()" title="Write a parameter backup to the drive, verify and save">Restore Parameters</a>
+    </div>
   `;
 
   document.body.appendChild(installationPanel);
@@ -555,6 +647,19 @@ function closeInstallationSetup() {
 
 // ==================== ATP UI Functions ====================
 
+/**
+ * Add a line identifying the controller under an ATP results table
+ * @param {string} containerId - Results table container
+ */
+function appendDeviceStamp(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const stamp = document.createElement('p');
+  stamp.className = 'device-stamp';
+  stamp.textContent = `Device: ${describeDeviceIdentity()} - ${new Date().toLocaleString()}`;
+  container.appendChild(stamp);
+}
+
 /**
  * Initialize and display the ATP (Acceptance Test Procedure) panel
  */
@@ -666,45 +771,124 @@ function showIBITResults() {
   const layout = BP.buildLayout(2, 2, { pattern: 'independent', roworder: 'top to bottom' });
   BP.plot('plot', traces, layout);
 
-  BP.yline('plot',  200, { color: 'green', dash: 'dash', label: 'sector limits',    yref: 'y',  xref: 'x domain',  editable: false });
-  BP.yline('plot', -200, { color: 'green', dash: 'dash',                             yref: 'y',  xref: 'x domain',  editable: false });
-  BP.yline('plot',   60, { color: 'green', dash: 'dash', label: 'sector limits',    yref: 'y2', xref: 'x2 domain', editable: false });
-  BP.yline('plot',  -15, { color: 'green', dash: 'dash',                             yref: 'y2', xref: 'x2 domain', editable: false });
-  BP.yline('plot',   80, { color: 'green', dash: 'dash', label: 'Velocity Command', yref: 'y3', xref: 'x3 domain', editable: false });
-  BP.yline('plot',  -80, { color: 'green', dash: 'dash',                             yref: 'y3', xref: 'x3 domain', editable: false });
-  BP.yline('plot',   80, { color: 'green', dash: 'dash', label: 'Velocity Command', yref: 'y4', xref: 'x4 domain', editable: false });
-  BP.yline('plot',  -80, { color: 'green', dash: 'dash',                             yref: 'y4', xref: 'x4 domain', editable: false });
+  // Expected extremes: the sector limits and the velocity limit (MOTION_LIMITS)
+  const { tr, el } = MOTION_LIMITS;
+  BP.yline('plot', tr.maxAngle,     { color: 'green', dash: 'dash', label: 'sector limits',    yref: 'y',  xref: 'x domain',  editable: false });
+  BP.yline('plot', tr.minAngle,     { color: 'green', dash: 'dash',                             yref: 'y',  xref: 'x domain',  editable: false });
+  BP.yline('plot', el.maxAngle,     { color: 'green', dash: 'dash', label: 'sector limits',    yref: 'y2', xref: 'x2 domain', editable: false });
+  BP.yline('plot', el.minAngle,     { color: 'green', dash: 'dash',                             yref: 'y2', xref: 'x2 domain', editable: false });
+  BP.yline('plot', tr.maxVelocity,  { color: 'green', dash: 'dash', label: 'Velocity Command', yref: 'y3', xref: 'x3 domain', editable: false });
+  BP.yline('plot', -tr.maxVelocity, { color: 'green', dash: 'dash',                             yref: 'y3', xref: 'x3 domain', editable: false });
+  BP.yline('plot', el.maxVelocity,  { color: 'green', dash: 'dash', label: 'Velocity Command', yref: 'y4', xref: 'x4 domain', editable: false });
+  BP.yline('plot', -el.maxVelocity, { color: 'green', dash: 'dash',                             yref: 'y4', xref: 'x4 domain', editable: false });
 
   BP.drawTable('resultsTable', [
     {
       parameter: 'Upper Sector Limits Error',
-      value1: minAbs(plus(rows.Tr_angle, -200)),
-      value2: minAbs(plus(rows.Tr_angle, -60)),
+      value1: minAbs(plus(rows.Tr_angle, -tr.maxAngle)),
+      value2: minAbs(plus(rows.El_angle, -el.maxAngle)),
       successCriteria: 1,
       successMethod: 'smaller'
     },
     {
       parameter: 'Lower Sector Limits Error',
-      value1: minAbs(plus(rows.Tr_angle, 200)),
-      value2: minAbs(plus(rows.El_angle, 15)),
+      value1: minAbs(plus(rows.Tr_angle, -tr.minAngle)),
+      value2: minAbs(plus(rows.El_angle, -el.minAngle)),
       successCriteria: 1,
       successMethod: 'smaller'
     },
     {
       parameter: 'Right Max Velocity Error',
-      value1: minAbs(plus(rows.Tr_velocity, -80)),
-      value2: minAbs(plus(rows.El_velocity, -80)),
+      value1: minAbs(plus(rows.Tr_velocity, -tr.maxVelocity)),
+      value2: minAbs(plus(rows.El_velocity, -el.maxVelocity)),
       successCriteria: 4,
       successMethod: 'smaller'
-    }
+    },
     {
       parameter: 'Left Max Velocity Error',
-      value1: minAbs(plus(rows.Tr_velocity, 80)),
-      value2: minAbs(plus(rows.El_velocity, 80)),
+      value1: minAbs(plus(rows.Tr_velocity, tr.maxVelocity)),
+      value2: minAbs(plus(rows.El_velocity, el.maxVelocity)),
       successCriteria: 4,
       successMethod: 'smaller'
     }
   ]);
+  appendDeviceStamp('resultsTable');
+}
+
+/**
+ * Render repeat linear move results: plot the moving axis and list each leg
+ * (travel time, peak velocity, overshoot, final error) in the results table
+ * @param {Object} plan - From planLinearMove()
+ * @param {Array<Object>} legs - From analyzeLinearMove()
+ */
+function showLinearMoveResults(plan, legs) {
+  const welcomeEl = document.getElementById('explenation_text');
+  if (welcomeEl) welcomeEl.style.display = 'none';
+
+  const prefix = plan.axis === 'tr' ? 'Tr' : 'El';
+  const plotArea = document.getElementById('plot-area');
+  while (plotArea.firstChild) plotArea.removeChild(plotArea.firstChild);
+  const plotDiv = document.createElement('div');
+  plotDiv.id = 'plot';
+  plotArea.appendChild(plotDiv);
+
+  const gridOptions = { gridRows: 2, gridCols: 1, pattern: 'independent' };
+  BP.plot('plot', [
+    BP.buildLine(`${prefix}_angle`,    rows, 1, 'time', gridOptions),
+    BP.buildLine(`${prefix}_velocity`, rows, 2, 'time', gridOptions),
+  ], BP.buildLayout(2, 1, { pattern: 'independent', roworder: 'top to bottom' }));
+  BP.yline('plot',  plan.start,    { color: 'green', dash: 'dash', label: 'start / end',      yref: 'y',  xref: 'x domain',  editable: false });
+  BP.yline('plot',  plan.end,      { color: 'green', dash: 'dash',                            yref: 'y',  xref: 'x domain',  editable: false });
+  BP.yline('plot',  plan.velocity, { color: 'green', dash: 'dash', label: 'Velocity Command', yref: 'y2', xref: 'x2 domain', editable: false });
+  BP.yline('plot', -plan.velocity, { color: 'green', dash: 'dash',                            yref: 'y2', xref: 'x2 domain', editable: false });
+
+  const container = document.getElementById('resultsTable');
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  const title = document.createElement('p');
+  title.textContent = `Repeat Linear Move: ${plan.axis.toUpperCase()} ${plan.start}° ↔ ${plan.end}° at ${plan.velocity}°/s, ` +
+    `${legs.length} of ${plan.legs.length} legs completed`;
+  container.appendChild(title);
+
+  const table = document.createElement('table');
+  table.style.borderCollapse = 'collapse';
+  const headerRow = document.createElement('tr');
+  ['Leg', 'Move [deg]', 'Travel Time [s]', 'Peak Velocity [deg/s]', 'Overshoot [deg]', 'Final Error [deg]'].forEach(header => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    th.style.textAlign = 'center';
+    headerRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  // Nominal travel time at the velocity limit, for comparison
+  const nominalTime = Math.abs(plan.end - plan.start) / plan.velocity;
+  const tbody = document.createElement('tbody');
+  legs.forEach((leg, index) => {
+    const row = document.createElement('tr');
+    const cells = [
+      index + 1,
+      `${leg.from} → ${leg.to}`,
+      leg.travelTime.toFixed(2),
+      leg.peakVelocity.toFixed(1),
+      leg.overshoot.toFixed(2),
+      leg.finalError.toFixed(2),
+    ];
+    cells.forEach((cellValue, cellIndex) => {
+      const td = document.createElement('td');
+      td.textContent = cellValue;
+      td.style.textAlign = 'center';
+      if (cellIndex === 2) td.title = `Nominal ${nominalTime.toFixed(2)} s`;
+      if (cellIndex === 5) td.style.color = Math.abs(leg.finalError) <= LINEAR_ARRIVAL_TOLERANCE_DEG ? 'green' : 'red';
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+  appendDeviceStamp('resultsTable');
 }
 
 /**
@@ -727,39 +911,21 @@ async function runIBIT() {
     ibitBtn.classList.add('in-progress');
     ibitBtn.style.setProperty('--progress', '0%');
   }
-
-  // Set max velocity
-  await readMsg('R1[13]=80; R1[23]=80;');
-
-  // Trigger IBIT
-  await sendMsg('R1[1]=5\r');
-
-  // Start recording
-  shouldRecordData = true;
-  rows = { time: [], Tr_angle: [], Tr_velocity: [], Tr_current: [], El_angle: [], El_velocity: [], El_current: [], Tr_cmd_angle: [], El_cmd_angle: [], status: [] };
-  startTime = Date.now();
+  const signal = beginProcedure('IBIT');
   const recordButton = document.getElementById('recordButton');
-  if (recordButton) recordButton.style.color = '#dc3545';
-
-  // Poll R1[51] until result or timeout (30 seconds)
-  const maxWaitMs = 12000;
-  const pollIntervalMs = 200;
-  const pollStart = Date.now();
-  let ibitResult = null;
 
-  while (Date.now() - pollStart < maxWaitMs) {
-    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
-
-    const pct = Math.min(100, Math.round(((Date.now() - pollStart) / maxWaitMs) * 100));
-    if (ibitBtn) ibitBtn.style.setProperty('--progress', `${pct}%`);
-
-    const response = await readMsg('R1[51];;\r');
-    console.log(response);
-    const value = parseInt(response.trim().split(';')[0]);
-    console.log(value);
-    if (value === 4) { ibitResult = 'success'; break; }
-    if (value === 9) { ibitResult = 'failure'; break; }
-  }
+  const ibitResult = await performIBIT(signal, {
+    onStarted: () => {
+      // Start recording
+      shouldRecordData = true;
+      rows = createEmptyRows();
+      startTime = Date.now();
+      if (recordButton) recordButton.style.color = '#dc3545';
+    },
+    onProgress: pct => {
+      if (ibitBtn) ibitBtn.style.setProperty('--progress', `${pct}%`);
+    },
+  });
 
   if (ibitBtn) ibitBtn.style.setProperty('--progress', '100%');
   await new Promise(resolve => setTimeout(resolve, 300));
@@ -772,6 +938,12 @@ async function runIBIT() {
   shouldRecordData = false;
   if (recordButton) recordButton.style.color = '';
   applySignalProcessingToRows();
+  endProcedure(signal);
+  if (signal.aborted) {
+    saveDataToCSV('IBIT_aborted');
+    Swal.fire({ title: 'IBIT Aborted', text: `IBIT was aborted: ${signal.reason}`, icon: 'warning' });
+    return;
+  }
   saveDataToCSV('IBIT');
 
   // Show result
@@ -785,6 +957,45 @@ async function runIBIT() {
   showIBITResults();
 }
 
+/**
+ * IBIT sequence on one unit: set the velocity limits, trigger IBIT and poll
+ * R1[51] until it reports a result or the time runs out
+ * @param {AbortSignal} signal - Procedure signal
+ * @param {Object} [options]
+ * @param {Object} [options.link] - Link of the unit (default: the selected unit)
+ * @param {Function} [options.onStarted] - Called once IBIT is triggered (start recording here)
+ * @param {Function} [options.onProgress] - Called with the elapsed time in percent
+ * @returns {Promise<string|null>} 'success', 'failure', or null on timeout or abort
+ */
+async function performIBIT(signal, { link, onStarted, onProgress } = {}) {
+  // Set max velocity
+  await readMsg(registerWrites({ Tr_velocity_limit: 80, El_velocity_limit: 80 }), { link });
+
+  // Trigger IBIT
+  await sendMsg('R1[1]=5\r', { link });
+  if (onStarted) onStarted();
+
+  // Poll R1[51] until result or timeout (30 seconds)
+  const maxWaitMs = 12000;
+  const pollIntervalMs = 200;
+  const pollStart = Date.now();
+
+  while (Date.now() - pollStart < maxWaitMs) {
+    if (await procedureDelay(pollIntervalMs, signal)) break;
+
+    const pct = Math.min(100, Math.round(((Date.now() - pollStart) / maxWaitMs) * 100));
+    if (onProgress) onProgress(pct);
+
+    const response = await readMsg('R1[51];;\r', { link });
+    console.log(response);
+    const value = parseInt(response.trim().split(';')[0]);
+    console.log(value);
+    if (value === 4) return 'success';
+    if (value === 9) return 'failure';
+  }
+  return null;
+}
+
 /**
  * Run Sine Test: move to random angles, run sine scenario, record 10s, return home
  */
@@ -805,6 +1016,22 @@ async function runSineTest() {
     sineBtn.classList.add('in-progress');
     sineBtn.style.setProperty('--progress', '0%');
   }
+  const signal = beginProcedure('Sine test');
+  const finishAborted = () => {
+    endProcedure(signal);
+    if (shouldRecordData) {
+      shouldRecordData = false;
+      applySignalProcessingToRows();
+      saveDataToCSV('SineTest_aborted');
+    }
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.style.color = '';
+    if (sineBtn) {
+      sineBtn.classList.remove('in-progress');
+      sineBtn.style.removeProperty('--progress');
+    }
+    Swal.fire({ title: 'Sine Test Aborted', text: `Sine test was aborted: ${signal.reason}`, icon: 'warning' });
+  };
 
   // Pick random target angles
   const randomAngTr = Math.round(Math.random() * (90 - (-190)) + (-190));
@@ -812,18 +1039,25 @@ async function runSineTest() {
   console.log(`Sine Test: moving to TR=${randomAngTr}°, EL=${randomAngEl}°`);
 
   // Set max velocity
-  await readMsg('R1[13]=80; R1[23]=80;');
+  await readMsg(registerWrites({ Tr_velocity_limit: 80, El_velocity_limit: 80 }));
 
   // Move to random angles and wait for arrival
-  moveToPosition('sine-target', randomAngTr, randomAngEl);
-  await waitForPosition(randomAngTr, randomAngEl);
+  if (!moveToPosition('sine-target', randomAngTr, randomAngEl, 'reject')) {
+    abortProcedure('Sine test', 'target outside the motion limits');
+    return finishAborted();
+  }
+  await waitForPosition(randomAngTr, randomAngEl, undefined, undefined, signal);
+  if (signal.aborted) return finishAborted();
 
   // Start sine scenario
-  await sendMsg(`R1[16]=10; R1[17]=40; R1[18]=${randomAngTr}; R1[26]=5; R1[27]=40; R1[28]=${randomAngEl}; R1[1]=13;`);
+  if (!runFirmwareSine('Sine test', { amplitude: 10, frequency: 0.4, center: randomAngTr }, { amplitude: 5, frequency: 0.4, center: randomAngEl })) {
+    abortProcedure('Sine test', 'sine outside the motion limits');
+    return finishAborted();
+  }
 
   // Start recording
   shouldRecordData = true;
-  rows = { time: [], Tr_angle: [], Tr_velocity: [], Tr_current: [], El_angle: [], El_velocity: [], El_current: [], Tr_cmd_angle: [], El_cmd_angle: [], status: [] };
+  rows = createEmptyRows();
   startTime = Date.now();
   const recordButton = document.getElementById('recordButton');
   if (recordButton) recordButton.style.color = '#dc3545';
@@ -833,10 +1067,11 @@ async function runSineTest() {
   const pollInterval = 200;
   const recordStart = Date.now();
   while (Date.now() - recordStart < recordDuration) {
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
+    if (await procedureDelay(pollInterval, signal)) return finishAborted();
     const pct = Math.min(100, Math.round(((Date.now() - recordStart) / recordDuration) * 100));
     if (sineBtn) sineBtn.style.setProperty('--progress', `${pct}%`);
   }
+  endProcedure(signal);
 
   // Stop recording and save
   shouldRecordData = false;
@@ -877,18 +1112,44 @@ async function runFrictionTest() {
     frictionBtn.classList.add('in-progress');
     frictionBtn.style.setProperty('--progress', '0%');
   }
+  const signal = beginProcedure('Friction test');
+  const finishAborted = () => {
+    endProcedure(signal);
+    if (shouldRecordData) {
+      shouldRecordData = false;
+      applySignalProcessingToRows();
+      saveDataToCSV('FrictionTest_aborted');
+    }
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.style.color = '';
+    if (frictionBtn) {
+      frictionBtn.classList.remove('in-progress');
+      frictionBtn.style.removeProperty('--progress');
+    }
+    Swal.fire({ title: 'Friction Test Aborted', text: `Friction test was aborted: ${signal.reason}`, icon: 'warning' });
+  };
+
+  // The sweep runs corner to corner: both must be inside the motion limits
+  const cornerErrors = ['bottomLeft', 'topRight']
+    .flatMap(name => checkMotionCommand(PREDEFINED_POSITIONS[name], 'reject').reasons);
+  if (cornerErrors.length > 0) {
+    reportMotionLimit('Friction test', cornerErrors, true);
+    abortProcedure('Friction test', 'sweep corners outside the motion limits');
+    return finishAborted();
+  }
 
   // Move to bottom-left at high speed and wait for arrival
-  await readMsg('R1[13]=80; R1[23]=80;');
+  await readMsg(registerWrites({ Tr_velocity_limit: 80, El_velocity_limit: 80 }));
   moveToPosition('bottomLeft', PREDEFINED_POSITIONS.bottomLeft.tr, PREDEFINED_POSITIONS.bottomLeft.el);
-  await waitForPosition(PREDEFINED_POSITIONS.bottomLeft.tr, PREDEFINED_POSITIONS.bottomLeft.el);
+  await waitForPosition(PREDEFINED_POSITIONS.bottomLeft.tr, PREDEFINED_POSITIONS.bottomLeft.el, undefined, undefined, signal);
+  if (signal.aborted) return finishAborted();
 
   // Set slow velocity for the sweep
-  await readMsg('R1[13]=10; R1[23]=10;');
+  await readMsg(registerWrites({ Tr_velocity_limit: 10, El_velocity_limit: 10 }));
 
   // Start recording
   shouldRecordData = true;
-  rows = { time: [], Tr_angle: [], Tr_velocity: [], Tr_current: [], El_angle: [], El_velocity: [], El_current: [], Tr_cmd_angle: [], El_cmd_angle: [], status: [] };
+  rows = createEmptyRows();
   startTime = Date.now();
   const recordButton = document.getElementById('recordButton');
   if (recordButton) recordButton.style.color = '#dc3545';
@@ -900,7 +1161,7 @@ async function runFrictionTest() {
   const dist1 = Math.max(Math.abs(trEnd1 - trStart1), Math.abs(elEnd1 - elStart1));
   moveToPosition('topRight', trEnd1, elEnd1);
   while (true) {
-    await new Promise(resolve => setTimeout(resolve, 200));
+    if (await procedureDelay(200, signal)) return finishAborted();
     const curTr = parseFloat(document.getElementById('PositionInputTR')?.value);
     const curEl = parseFloat(document.getElementById('PositionInputEL')?.value);
     if (!isNaN(curTr) && !isNaN(curEl)) {
@@ -916,7 +1177,7 @@ async function runFrictionTest() {
   const dist2 = Math.max(Math.abs(trEnd2 - trEnd1), Math.abs(elEnd2 - elEnd1));
   moveToPosition('bottomLeft', trEnd2, elEnd2);
   while (true) {
-    await new Promise(resolve => setTimeout(resolve, 200));
+    if (await procedureDelay(200, signal)) return finishAborted();
     const curTr = parseFloat(document.getElementById('PositionInputTR')?.value);
     const curEl = parseFloat(document.getElementById('PositionInputEL')?.value);
     if (!isNaN(curTr) && !isNaN(curEl)) {
@@ -928,13 +1189,14 @@ async function runFrictionTest() {
   }
 
   // Stop recording and save
+  endProcedure(signal);
   shouldRecordData = false;
   if (recordButton) recordButton.style.color = '';
   applySignalProcessingToRows();
   saveDataToCSV('FrictionTest');
 
   // Restore high velocity and return home
-  await readMsg('R1[13]=80; R1[23]=80;');
+  await readMsg(registerWrites({ Tr_velocity_limit: 80, El_velocity_limit: 80 }));
   moveToPosition('home', 0, 0);
 
   if (frictionBtn) frictionBtn.style.setProperty('--progress', '100%');
@@ -963,12 +1225,13 @@ async function runFrictionTest() {
  * @param {number} targetEl - Target elevation angle [deg]
  * @param {number} tolerance - Acceptable error [deg] (default 0.2)
  * @param {number} timeoutMs - Max wait time in ms (default 30000)
+ * @param {AbortSignal} [signal] - Procedure signal; stops waiting when aborted
  */
-async function waitForPosition(targetTr, targetEl, tolerance = 0.2, timeoutMs = 30000) {
+async function waitForPosition(targetTr, targetEl, tolerance = 0.2, timeoutMs = 30000, signal) {
   const pollInterval = 200;
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
-    await new Promise(resolve => setTimeout(resolve, pollInterval));
+    if (await procedureDelay(pollInterval, signal)) return false;
     const currentTr = parseFloat(document.getElementById('PositionInputTR')?.value);
     const currentEl = parseFloat(document.getElementById('PositionInputEL')?.value);
     if (!isNaN(currentTr) && !isNaN(currentEl) &&
@@ -982,6 +1245,37 @@ async function waitForPosition(targetTr, targetEl, tolerance = 0.2, timeoutMs =
   return false;
 }
 
+/**
+ * Poll until one axis settles at a target: within tolerance for
+ * LINEAR_ARRIVAL_SETTLE_MS. Reads PositionInputTR / PositionInputEL.
+ * @param {string} axis - 'tr' or 'el'
+ * @param {number} target - Target angle [deg]
+ * @param {number} tolerance - Acceptable error [deg]
+ * @param {number} timeoutMs - Max wait time in ms
+ * @param {AbortSignal} [signal] - Procedure signal; stops waiting when aborted
+ * @returns {Promise<number|null>} Time (Date.now()) the axis first came within tolerance
+ *   before settling, or null on timeout or abort
+ */
+async function waitForAxisArrival(axis, target, tolerance, timeoutMs, signal) {
+  const pollInterval = 50;
+  const input = document.getElementById(`PositionInput${axis.toUpperCase()}`);
+  const start = Date.now();
+  let enteredAt = null;
+  while (Date.now() - start < timeoutMs) {
+    if (await procedureDelay(pollInterval, signal)) return null;
+    const current = parseFloat(input?.value);
+    if (isNaN(current) || Math.abs(current - target) > tolerance) {
+      enteredAt = null;
+    } else if (enteredAt === null) {
+      enteredAt = Date.now();
+    } else if (Date.now() - enteredAt >= LINEAR_ARRIVAL_SETTLE_MS) {
+      return enteredAt;
+    }
+  }
+  console.warn(`Timeout waiting for ${axis.toUpperCase()}=${target}°`);
+  return null;
+}
+
 async function updateInputValue(inputId, valueString, factor = 10, decimalPlaces = 1) {
   // Convert the valueString to a number
   const number = parseFloat(valueString);
@@ -1065,6 +1359,8 @@ window.ATP = ATP;
 window.closeATP = closeATP;
 window.ViewTelemetry = ViewTelemetry;
 window.runIBIT = runIBIT;
+window.performIBIT = performIBIT;
+window.showLinearMoveResults = showLinearMoveResults;
 window.runSineTest = runSineTest;
 window.runFrictionTest = runFrictionTest;
 window.updateInputValue = updateInputValue;
@@ -0,0 +1,415 @@
+/**
+ * Watch List Module
+ * User-defined registers and expressions (e.g. R1[60], ax1.PX) read alongside
+ * the live data frame. Entries that are due are appended to the updateLiveData()
+ * poll command, so no separate timer talks to the drive. Each entry has its own
+ * poll rate, scale and unit, and can be recorded as an extra CSV column and
+ * drawn on a live strip chart.
+ */
+
+let watchItems = JSON.parse(localStorage.getItem('gimbal-watch-list') || '[]').map(createWatchItem);
+let watchCsvHeaders = {};   // rows key → CSV header of every watch column recorded so far
+let watchChartTimer = null;
+
+// ==================== Watch Items ====================
+
+/**
+ * Create a watch entry with its runtime state
+ * @param {Object} config - { expr, label, scale, unit, rateMs, record, chart }
+ * @returns {Object} Watch entry
+ */
+function createWatchItem(config) {
+  return {
+    expr: config.expr,
+    label: config.label || config.expr,
+    scale: Number(config.scale) || 1,
+    unit: config.unit || '',
+    rateMs: Number(config.rateMs) || 0,
+    record: !!config.record,
+    chart: !!config.chart,
+    value: null,        // last value × scale, null until read
+    invalid: false,     // the drive answered '?'; not polled again until re-added
+    lastPolled: -Infinity,
+    samples: { t: [], v: [] },
+  };
+}
+
+/**
+ * Persist the watch list configuration
+ */
+function saveWatchList() {
+  const config = watchItems.map(({ expr, label, scale, unit, rateMs, record, chart }) =>
+    ({ expr, label, scale, unit, rateMs, record, chart }));
+  localStorage.setItem('gimbal-watch-list', JSON.stringify(config));
+}
+
+/**
+ * Key of a watch entry in the rows recording object
+ * @param {Object} item - Watch entry
+ * @returns {string}
+ */
+function getWatchRowKey(item) {
+  return `watch:${item.label}`;
+}
+
+/**
+ * Add the entry typed in the watch panel form. When connected, the expression
+ * is read once first so a typo is rejected before it joins the poll command.
+ */
+async function addWatchItem() {
+  const expr = document.getElementById('watch-expr').value.trim();
+  const label = (document.getElementById('watch-label').value.trim() || expr).replace(/[\s,;]+/g, '_');
+  if (!expr) return;
+
+  if (/[;=\r\n]/.test(expr)) {
+    Swal.fire({ title: 'Invalid Expression', text: 'Watch entries are read-only: one register or expression, no ";" or "="', icon: 'error' });
+    return;
+  }
+  if (watchItems.some(item => item.label === label)) {
+    Swal.fire({ title: 'Duplicate Label', text: `"${label}" is already watched`, icon: 'error' });
+    return;
+  }
+
+  if (serialPort) {
+    const reply = await readMsg(expr, { timeoutMs: TERMINAL_RESPONSE_TIMEOUT_MS, allowError: true });
+    const answer = reply.split(';').map(field => field.trim()).filter(Boolean).pop();
+    if (!answer || answer === '?' || isNaN(Number(answer))) {
+      Swal.fire({ title: 'Invalid Expression', text: `The drive did not return a number for "${expr}"`, icon: 'error' });
+      return;
+    }
+  }
+
+  watchItems.push(createWatchItem({
+    expr,
+    label,
+    scale: document.getElementById('watch-scale').value,
+    unit: document.getElementById('watch-unit').value.trim(),
+    rateMs: document.getElementById('watch-rate').value,
+    record: false,
+    chart: true,
+  }));
+  saveWatchList();
+  document.getElementById('watch-expr').value = '';
+  document.getElementById('watch-label').value = '';
+  renderWatchList();
+}
+
+/**
+ * Remove a watch entry
+ * @param {number} index - Index in watchItems
+ */
+function removeWatchItem(index) {
+  watchItems.splice(index, 1);
+  saveWatchList();
+  renderWatchList();
+}
+
+/**
+ * Change a watch entry option from the panel
+ * @param {number} index - Index in watchItems
+ * @param {string} key - 'rateMs', 'record' or 'chart'
+ * @param {number|boolean} value
+ */
+function setWatchItemOption(index, key, value) {
+  const item = watchItems[index];
+  if (!item) return;
+  item[key] = value;
+  if (key === 'chart' && !value) item.samples = { t: [], v: [] };
+  saveWatchList();
+}
+
+// ==================== Live Data Integration ====================
+
+/**
+ * Select the entries to read in this live data frame and mark them polled
+ * @param {number} now - Date.now() of the frame
+ * @returns {Array<Object>} Due entries, in the order their reads are appended
+ */
+function getDueWatchItems(now) {
+  const due = watchItems.filter(item => !item.invalid && now - item.lastPolled >= item.rateMs);
+  due.forEach(item => { item.lastPolled = now; });
+  return due;
+}
+
+/**
+ * Store the values read for the due entries and refresh the panel
+ * @param {Array<Object>} items - Entries returned by getDueWatchItems()
+ * @param {Array<number|string|null>} values - Raw replies, in the same order
+ * @param {number} now - Date.now() of the frame
+ */
+function updateWatchValues(items, values, now) {
+  items.forEach((item, i) => {
+    const raw = values[i];
+    if (raw === null || raw === undefined || raw === '') return;
+
+    const num = Number(raw);
+    if (isNaN(num)) {
+      // '?' — the drive rejected the expression; stop polling it
+      item.invalid = true;
+      item.value = null;
+      console.warn(`Watch list: "${item.expr}" returned "${raw}", polling stopped`);
+    } else {
+      item.value = num * item.scale;
+      if (item.chart) {
+        item.samples.t.push(now);
+        item.samples.v.push(item.value);
+        while (item.samples.t.length && now - item.samples.t[0] > WATCH_CHART_WINDOW_MS) {
+          item.samples.t.shift();
+          item.samples.v.shift();
+        }
+      }
+    }
+
+    const cell = document.getElementById(`watch-value-${watchItems.indexOf(item)}`);
+    if (cell) {
+      cell.textContent = formatWatchValue(item);
+      cell.className = item.invalid ? 'terminal-error' : '';
+    }
+  });
+}
+
+/**
+ * Append the latest value of every recorded entry to rows (sample-and-hold for
+ * entries polled slower than the frame rate). Called before rows.time is pushed;
+ * a column added mid-recording is padded so it lines up with rows.time.
+ */
+function recordWatchValues() {
+  watchItems.filter(item => item.record).forEach(item => {
+    const key = getWatchRowKey(item);
+    if (!rows[key]) rows[key] = new Array(rows.time.length).fill(null);
+    watchCsvHeaders[key] = item.unit ? `${item.label}_${item.unit}` : item.label;
+    rows[key].push(item.value);
+  });
+}
+
+/**
+ * Watch columns present in rows, shaped like REGISTER_MAP entries for saveDataToCSV()
+ * @param {Object} [data] - Recording to look in (default: the global rows)
+ * @returns {Array<{name: string, csv: string, type: string}>}
+ */
+function getWatchCsvColumns(data = rows) {
+  return Object.keys(watchCsvHeaders)
+    .filter(key => data[key])
+    .map(key => ({ name: key, csv: watchCsvHeaders[key], type: 'float' }));
+}
+
+// ==================== Watch Panel UI ====================
+
+/**
+ * Format an entry's current value for the panel
+ * @param {Object} item - Watch entry
+ * @returns {string}
+ */
+function formatWatchValue(item) {
+  if (item.invalid) return 'invalid';
+  if (item.value === null) return '—';
+  return `${Number(item.value.toPrecision(6))}${item.unit ? ' ' + item.unit : ''}`;
+}
+
+/**
+ * Label of a poll rate option
+ * @param {number} rateMs
+ * @returns {string}
+ */
+function formatWatchRate(rateMs) {
+  return rateMs === 0 ? 'Every frame' : `${1000 / rateMs} Hz`;
+}
+
+/**
+ * Initialize and display the watch list panel
+ */
+function WatchList() {
+  // Update button states
+  document.querySelectorAll('.button').forEach(button => {
+    button.classList.remove('active');
+  });
+  const watchButton = document.querySelector('a[onclick*="WatchList"]');
+  if (watchButton) {
+    watchButton.classList.add('active');
+  }
+
+  // Remove existing watch panel if it exists
+  const existingPanel = document.getElementById('watch-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  // Create watch sidebar panel
+  const watchPanel = document.createElement('div');
+  watchPanel.id = 'watch-panel';
+  watchPanel.classList.add('movement-panel');
+
+  const rateOptions = WATCH_RATE_OPTIONS_MS
+    .map(rateMs => `<option value="${rateMs}">${formatWatchRate(rateMs)}</option>`)
+    .join('');
+
+  watchPanel.innerHTML = `
+    <div class="panel-header">
+      <h1>Watch List</h1>
+      <button class="panel-close-btn" onclick="closeWatchList()">×</button>
+    </div>
+
+    <div class="terminal-input-row">
+      <input type="text" id="watch-expr" placeholder="e.g. R1[60] or ax1.PX" autocomplete="off" spellcheck="false"
+        onkeydown="if (event.key === 'Enter') addWatchItem()" />
+      <input type="text" id="watch-label" placeholder="Label" autocomplete="off" spellcheck="false" />
+    </div>
+    <div class="terminal-input-row">
+      <input type="number" id="watch-scale" value="1" step="any" title="Scale: value shown = reply × scale" />
+      <input type="text" id="watch-unit" placeholder="Unit" autocomplete="off" />
+      <select id="watch-rate" title="Poll rate">${rateOptions}</select>
+      <button onclick="addWatchItem()">Add</button>
+    </div>
+
+    <table class="watch-table">
+      <thead>
+        <tr><th>Name</th><th>Value</th><th>Rate</th><th title="Include in recordings">Rec</th><th title="Show on strip chart">Plot</th><th></th></tr>
+      </thead>
+      <tbody id="watch-items"></tbody>
+    </table>
+    <div id="watch-chart" class="watch-chart"></div>
+  `;
+
+  document.body.appendChild(watchPanel);
+  renderWatchList();
+
+  // Adjust main content area to account for extended sidebar
+  const explanationTextEl = document.getElementById('explenation_text');
+  const plotAreaEl = document.getElementById('plot-area');
+  const resultsTableEl = document.getElementById('resultsTable');
+  explanationTextEl.style.marginLeft = '720px';
+  plotAreaEl.style.marginLeft = '720px';
+  resultsTableEl.style.marginLeft = '720px';
+
+  renderWatchChart();
+  clearInterval(watchChartTimer);
+  watchChartTimer = setInterval(renderWatchChart, WATCH_CHART_REFRESH_MS);
+}
+
+/**
+ * Close the watch list panel and restore layout (entries keep being polled)
+ */
+function closeWatchList() {
+  clearInterval(watchChartTimer);
+  watchChartTimer = null;
+
+  const watchPanel = document.getElementById('watch-panel');
+  if (watchPanel) {
+    watchPanel.remove();
+
+    // Restore original layout
+    const explanationTextRestore = document.getElementById('explenation_text');
+    const plotAreaRestore = document.getElementById('plot-area');
+    const resultsTableRestore = document.getElementById('resultsTable');
+    explanationTextRestore.style.marginLeft = '370px';
+    plotAreaRestore.style.marginLeft = '370px';
+    resultsTableRestore.style.marginLeft = '370px';
+  }
+}
+
+/**
+ * Render the watch entries table
+ */
+function renderWatchList() {
+  const body = document.getElementById('watch-items');
+  if (!body) return;
+  body.innerHTML = '';
+
+  if (watchItems.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'terminal-info';
+    cell.textContent = 'No registers watched';
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  watchItems.forEach((item, index) => {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    name.textContent = item.label;
+    name.title = item.scale === 1 ? item.expr : `${item.expr} × ${item.scale}`;
+
+    const value = document.createElement('td');
+    value.id = `watch-value-${index}`;
+    value.className = item.invalid ? 'terminal-error' : '';
+    value.textContent = formatWatchValue(item);
+
+    const rate = document.createElement('td');
+    const rateSelect = document.createElement('select');
+    WATCH_RATE_OPTIONS_MS.forEach(rateMs => rateSelect.add(new Option(formatWatchRate(rateMs), rateMs)));
+    rateSelect.value = item.rateMs;
+    rateSelect.onchange = () => setWatchItemOption(index, 'rateMs', Number(rateSelect.value));
+    rate.appendChild(rateSelect);
+
+    const record = document.createElement('td');
+    const recordBox = document.createElement('input');
+    recordBox.type = 'checkbox';
+    recordBox.checked = item.record;
+    recordBox.onchange = () => setWatchItemOption(index, 'record', recordBox.checked);
+    record.appendChild(recordBox);
+
+    const chart = document.createElement('td');
+    const chartBox = document.createElement('input');
+    chartBox.type = 'checkbox';
+    chartBox.checked = item.chart;
+    chartBox.onchange = () => setWatchItemOption(index, 'chart', chartBox.checked);
+    chart.appendChild(chartBox);
+
+    const remove = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '×';
+    removeButton.title = 'Stop watching';
+    removeButton.onclick = () => removeWatchItem(index);
+    remove.appendChild(removeButton);
+
+    [name, value, rate, record, chart, remove].forEach(cell => row.appendChild(cell));
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Redraw the strip chart: the last WATCH_CHART_WINDOW_MS of every charted entry
+ */
+function renderWatchChart() {
+  const chartDiv = document.getElementById('watch-chart');
+  if (!chartDiv) return;
+
+  const now = Date.now();
+  const traces = watchItems.filter(item => item.chart).map(item => ({
+    x: item.samples.t.map(t => (t - now) / 1000),
+    y: item.samples.v,
+    name: item.unit ? `${item.label} [${item.unit}]` : item.label,
+    type: 'scatter',
+    mode: 'lines',
+  }));
+
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text-primary').trim();
+  const layout = {
+    height: 240,
+    margin: { l: 45, r: 10, t: 30, b: 35 },
+    paper_bgcolor: 'rgba(0,0,0,0)',
+    plot_bgcolor: 'rgba(0,0,0,0)',
+    font: { color: textColor, size: 10 },
+    xaxis: { title: 'Time [s]', range: [-WATCH_CHART_WINDOW_MS / 1000, 0] },
+    legend: { orientation: 'h', x: 0, y: 1.02, yanchor: 'bottom' },
+    showlegend: true,
+  };
+
+  Plotly.react(chartDiv, traces, layout, { displayModeBar: false, responsive: true });
+}
+
+// ==================== Exported Functions ====================
+
+// Make functions available globally
+window.WatchList = WatchList;
+window.closeWatchList = closeWatchList;
+window.addWatchItem = addWatchItem;
+window.removeWatchItem = removeWatchItem;
+window.getDueWatchItems = getDueWatchItems;
+window.updateWatchValues = updateWatchValues;
+window.recordWatchValues = recordWatchValues;
+window.getWatchCsvColumns = getWatchCsvColumns;
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'gimbal-control-v1';
+const CACHE_NAME = 'gimbal-control-v16';
 
 const STATIC_ASSETS = [
   './',
@@ -10,12 +10,28 @@ const STATIC_ASSETS = [
   './vendor/sweetalert2@11.js',
   './vendor/plotly-latest.min.js',
   './js/constants.js',
+  './js/registerMap.js',
   './js/mathUtils.js',
   './js/uiUtils.js',
+  './js/gimbalSimulator.js',
+  './js/remoteBridge.js',
+  './js/serialTransport.js',
+  './js/serialCapture.js',
+  './js/telemetryDiagnostics.js',
+  './js/elmoFaults.js',
   './js/gimbalSerial.js',
   './js/fileHandling.js',
   './js/plotting.js',
+  './js/motionSafety.js',
   './js/movementControl.js',
+  './js/gamepadControl.js',
+  './js/missionEditor.js',
+  './js/scenarioScripts.js',
+  './js/elmoParameters.js',
+  './js/terminal.js',
+  './js/watchList.js',
+  './js/deviceManager.js',
+  './js/tabCoordination.js',
   './js/app.js',
   './images/RafLogo.svg',
   './images/logo-title.svg',